@@ -0,0 +1,215 @@
+/**
+ * NPC AI
+ * Named behaviors, AI profiles, and the utility scoring that picks a behavior each tick
+ */
+
+import { gameState } from './state.js';
+import { economy } from './economy.js';
+
+const THREAT_RANGE = 800;  // Enemies this close worry even a healthy ship
+const ESCORT_RANGE = 500;  // Ships friendly to the player stay this close
+const SHELTER_RANGE = 200; // Traders we've promised to help run to within this of us
+
+// Behaviors every profile has on top of its own, weighted above anything a profile
+// scores: dodging beats terms agreed over comms and orders, and those beat temperament
+const CORE_WEIGHTS = { evade: 3, surrender: 2, standDown: 2, shelter: 2, orders: 2 };
+
+class AIDirector {
+    constructor() {
+        this.behaviors = new Map(); // name -> { label, score(ship, context), act(ship, context) }
+        this.profiles = new Map();  // id -> { name, weights: { behavior: weight } }
+    }
+
+    // score returns 0-1, how much the situation calls for the behavior; act sets the
+    // ship's aiState, target and destination for the simulation to fly
+    registerBehavior(name, behavior) {
+        this.behaviors.set(name, behavior);
+    }
+
+    // weights say how much the profile cares for each behavior (ties go to the one listed first)
+    registerProfile(id, profile) {
+        this.profiles.set(id, profile);
+    }
+
+    getProfileIds() {
+        return [...this.profiles.keys()];
+    }
+
+    getProfile(id) {
+        return this.profiles.get(id) || null;
+    }
+
+    getBehavior(name) {
+        return this.behaviors.get(name) || null;
+    }
+
+    // The ship's own profile, or one that suits its class and side
+    getProfileId(ship) {
+        if (ship.aiProfile && this.profiles.has(ship.aiProfile)) return ship.aiProfile;
+        if (ship.type === 'freighter') return 'trader';
+        return gameState.getDisposition(ship) === 'friendly' ? 'escort' : 'patrol';
+    }
+
+    // Score every behavior the ship's profile weighs and act on the best one. The scores
+    // are kept on ship.brain for the Tactical debug overlay.
+    think(ship, sim) {
+        const profile = this.getProfileId(ship);
+        const weights = { ...CORE_WEIGHTS, ...this.profiles.get(profile).weights };
+        const enemy = sim.findNearestEnemy(ship);
+        const context = {
+            sim,
+            tactics: sim.getTactics(ship),
+            enemy,
+            // Ships with no quarrel of their own still run from anyone attacking them
+            attacker: enemy ? null : sim.findAttacker(ship)
+        };
+
+        const scores = {};
+        let best = null;
+        let bestUtility = 0;
+        Object.entries(weights).forEach(([name, weight]) => {
+            const behavior = this.behaviors.get(name);
+            if (!behavior || weight <= 0) return;
+            const utility = weight * behavior.score(ship, context);
+            scores[name] = Math.round(utility * 100) / 100;
+            if (utility > bestUtility) {
+                best = name;
+                bestUtility = utility;
+            }
+        });
+
+        if (best) {
+            this.behaviors.get(best).act(ship, context);
+        } else {
+            ship.aiState = 'patrol';
+            ship.target = null;
+        }
+        ship.brain = { profile, behavior: best, scores };
+    }
+}
+
+// Singleton instance
+export const ai = new AIDirector();
+
+// Built-in behaviors
+
+// Turn across the path of a torpedo on a collision course (see Simulation.findIncomingTorpedo)
+ai.registerBehavior('evade', {
+    label: 'Evade',
+    score: (ship, { sim }) => sim.findIncomingTorpedo(ship) ? 1 : 0,
+    act: (ship) => {
+        ship.aiState = 'evade';
+    }
+});
+
+// Fleet orders from the player (see Simulation.followOrders)
+ai.registerBehavior('orders', {
+    label: 'Follow orders',
+    score: (ship) => ship.orders ? 1 : 0,
+    act: (ship, { sim }) => sim.followOrders(ship)
+});
+
+// Terms agreed over comms (see gameState.respondToHail)
+
+// Hold where the ship gave itself up, weapons cold
+ai.registerBehavior('surrender', {
+    label: 'Surrender',
+    score: (ship) => ship.terms && ship.terms.type === 'surrender' ? 1 : 0,
+    act: (ship) => {
+        ship.aiState = 'surrender';
+        ship.target = null;
+        ship.destination = ship.terms.point;
+    }
+});
+
+// Leave, keeping well away from us
+ai.registerBehavior('standDown', {
+    label: 'Stand down',
+    score: (ship) => ship.terms && ship.terms.type === 'standDown' ? 1 : 0,
+    act: (ship) => {
+        ship.aiState = 'flee';
+        ship.target = 'player';
+    }
+});
+
+// A trader we've promised to help runs to us whenever it's threatened
+ai.registerBehavior('shelter', {
+    label: 'Shelter',
+    score: (ship, { sim, enemy, attacker }) => ship.terms && ship.terms.type === 'shelter' && (enemy || attacker) &&
+        sim.distanceBetween(ship, gameState.playerShip) > SHELTER_RANGE ? 1 : 0,
+    act: (ship) => {
+        ship.aiState = 'approach';
+        ship.target = 'player';
+    }
+});
+
+// Run when badly hurt, or from anyone shooting at us. A healthy ship still feels some
+// pull to run from an enemy close by - enough to decide it for cowards, who keep
+// running until they're well clear.
+ai.registerBehavior('flee', {
+    label: 'Flee',
+    score: (ship, { sim, tactics, enemy, attacker }) => {
+        if (attacker || (enemy && ship.hull / ship.maxHull < tactics.fleeHull)) return 1;
+        const range = ship.aiState === 'flee' ? THREAT_RANGE * 1.5 : THREAT_RANGE;
+        return enemy && sim.distanceBetween(ship, enemy) < range ? 0.5 : 0;
+    },
+    act: (ship, { enemy, attacker }) => {
+        ship.aiState = 'flee';
+        ship.target = (attacker || enemy).id;
+    }
+});
+
+// Close on the nearest enemy and attack it
+ai.registerBehavior('attack', {
+    label: 'Attack',
+    score: (ship, { enemy }) => enemy ? 1 : 0,
+    act: (ship, { sim, enemy }) => sim.pursue(ship, enemy)
+});
+
+// Prey on the nearest enemy freighter in sensor range, ignoring warships if there is one
+ai.registerBehavior('raid', {
+    label: 'Raid',
+    score: (ship, context) => {
+        context.prey = gameState.ships
+            .filter(other => other.type === 'freighter' && gameState.isEnemy(ship, other) &&
+                context.sim.distanceBetween(ship, other) < ship.sensorRange)
+            .sort((a, b) => context.sim.distanceBetween(ship, a) - context.sim.distanceBetween(ship, b))[0];
+        return context.prey ? 1 : 0;
+    },
+    act: (ship, { sim, prey }) => sim.pursue(ship, prey)
+});
+
+// Ships friendly to the player stay within ESCORT_RANGE of it
+ai.registerBehavior('escortPlayer', {
+    label: 'Escort player',
+    score: (ship, { sim }) => gameState.getDisposition(ship) === 'friendly' &&
+        sim.distanceBetween(ship, gameState.playerShip) > ESCORT_RANGE ? 1 : 0,
+    act: (ship) => {
+        ship.aiState = 'approach';
+        ship.target = 'player';
+    }
+});
+
+// Haul goods between markets (see economy.js). Scoring plans a route if the ship has none.
+ai.registerBehavior('trade', {
+    label: 'Trade',
+    score: (ship) => economy.getRoute(ship) ? 1 : 0,
+    act: (ship) => economy.trade(ship)
+});
+
+// Fly the patrol route - what a ship does when nothing else calls for anything
+ai.registerBehavior('patrol', {
+    label: 'Patrol',
+    score: () => 1,
+    act: (ship) => {
+        ship.aiState = 'patrol';
+        ship.target = null;
+    }
+});
+
+// Built-in profiles (flee first, so a badly hurt ship runs rather than fights)
+ai.registerProfile('escort', { name: 'Escort', weights: { flee: 1, attack: 1, escortPlayer: 0.9, patrol: 0.1 } });
+ai.registerProfile('patrol', { name: 'Patrol', weights: { flee: 1, attack: 1, patrol: 0.1 } });
+ai.registerProfile('pirate', { name: 'Pirate', weights: { flee: 1, raid: 1, attack: 0.8, patrol: 0.1 } });
+ai.registerProfile('trader', { name: 'Trader', weights: { flee: 1, trade: 0.4, patrol: 0.1 } });
+ai.registerProfile('coward', { name: 'Coward', weights: { flee: 1, attack: 0.4, patrol: 0.1 } });
@@ -202,6 +202,19 @@ class AudioManager {
         });
     }
 
+    // Mission outcome
+    playVictory() {
+        const notes = [523, 659, 784, 1047]; // C, E, G, C
+        notes.forEach((freq, i) => {
+            setTimeout(() => this.playTone(freq, i === 3 ? 0.6 : 0.2, 'sine', 0.25), i * 180);
+        });
+    }
+
+    playDefeat() {
+        this.playSweep(400, 80, 1.2, 'sawtooth', 0.25);
+        setTimeout(() => this.createNoise(0.8, 0.2), 300);
+    }
+
     // Target lock
     playTargetLock() {
         this.playTone(600, 0.05, 'square', 0.2);
@@ -0,0 +1,193 @@
+/**
+ * Trade Economy
+ * Markets on planets and starbases, freighters hauling goods between them, and cargo salvage
+ */
+
+import { gameState, GOODS, describeCargo } from './state.js';
+import { rng } from './random.js';
+
+const PRODUCTION_TICKS = 100; // Every 5 seconds each market makes one of each good it produces and uses one it consumes
+const MAX_STOCK = 60;         // Most of a good a market will hold
+const CARGO_CAPACITY = 20;    // Most a freighter loads at once
+const TRADE_STANDOFF = 60;    // Freighters stop this far off a market's edge to load and unload...
+const TRADE_RANGE = 100;      // ...and can work cargo anywhere this close to it
+const LOADING_TICKS = 100;    // Time to load or unload
+const SMUGGLING_CHANCE = 0.2; // Chance a freighter slips contraband in with a load
+const SALVAGE_RANGE = 80;     // Cargo pods this close to the player are beamed aboard
+
+class Economy {
+    // Planets and starbases, which produce and consume goods
+    getMarkets() {
+        return gameState.bodies.filter(body => body.produces);
+    }
+
+    // Any planet will trade; a starbase turns away ships its faction is hostile to
+    canTradeAt(ship, market) {
+        return !market.faction || gameState.getStanding(market.faction, ship.faction) !== 'hostile';
+    }
+
+    // Opening stock for every market, and a first load for freighters the scenario left empty
+    load() {
+        const markets = this.getMarkets();
+        markets.forEach(market => {
+            market.produces.forEach(good => {
+                market.stock[good] = Math.round(rng.range(MAX_STOCK * 0.25, MAX_STOCK * 0.75));
+            });
+            market.consumes.forEach(good => {
+                if (!(good in market.stock)) market.stock[good] = Math.round(rng.range(0, MAX_STOCK * 0.25));
+            });
+        });
+
+        // Goods some market makes and another wants, so the first run is a delivery
+        const traded = Object.keys(GOODS).filter(good =>
+            markets.some(market => market.produces.includes(good)) &&
+            markets.some(market => market.consumes.includes(good)));
+        if (traded.length === 0) return;
+        gameState.ships.forEach(ship => {
+            if (ship.type !== 'freighter' || Object.keys(ship.cargo).length > 0) return;
+            ship.cargo[rng.pick(traded)] = CARGO_CAPACITY;
+        });
+    }
+
+    // The ship's trade route, planning a new one if it has none. Null when there's no trade to be had.
+    getRoute(ship) {
+        if (!ship.trade) ship.trade = this.planRoute(ship);
+        return ship.trade;
+    }
+
+    // Deliver a good the ship already carries, or fetch one from a market with stock to a market
+    // that consumes it
+    planRoute(ship) {
+        const markets = this.getMarkets().filter(market => this.canTradeAt(ship, market));
+
+        const carried = Object.keys(ship.cargo).find(good => ship.cargo[good] > 0 && !GOODS[good].contraband &&
+            markets.some(market => market.consumes.includes(good)));
+        if (carried) {
+            const buyers = markets.filter(market => market.consumes.includes(carried));
+            return { leg: 'delivery', good: carried, from: null, to: rng.pick(buyers).id, timer: 0 };
+        }
+
+        const routes = [];
+        markets.forEach(from => from.produces.forEach(good => {
+            if (!(from.stock[good] > 0)) return;
+            markets.forEach(to => {
+                if (to !== from && to.consumes.includes(good)) routes.push({ from: from.id, to: to.id, good });
+            });
+        }));
+        return routes.length > 0 ? { ...rng.pick(routes), leg: 'pickup', timer: 0 } : null;
+    }
+
+    // Fly the trade route: to the pickup market to load, then on to the delivery market to unload.
+    // Sets the ship's AI state and destination like any other behavior (see ai.js).
+    trade(ship) {
+        const route = ship.trade;
+        const market = gameState.bodies.find(body => body.id === (route.leg === 'pickup' ? route.from : route.to));
+        ship.target = null;
+        if (!market || !this.canTradeAt(ship, market)) {
+            // The market is gone or has turned us away - try again next tick
+            ship.trade = null;
+            ship.aiState = 'patrol';
+            return;
+        }
+
+        ship.aiState = 'trade';
+        const distance = Math.hypot(ship.x - market.x, ship.y - market.y) || 1;
+        if (distance > market.radius + TRADE_RANGE) {
+            // Head for the near side of the market
+            route.timer = 0;
+            ship.destination = {
+                x: market.x + (ship.x - market.x) / distance * (market.radius + TRADE_STANDOFF),
+                y: market.y + (ship.y - market.y) / distance * (market.radius + TRADE_STANDOFF)
+            };
+            return;
+        }
+
+        // Hold still while the cargo moves
+        ship.destination = { x: ship.x, y: ship.y };
+        if (++route.timer < LOADING_TICKS) return;
+
+        if (route.leg === 'pickup') {
+            this.loadCargo(ship, market, route);
+        } else {
+            this.unloadCargo(ship, market, route);
+        }
+    }
+
+    // Take on as much of the route's good as the market has, plus now and then something that isn't
+    // on the manifest
+    loadCargo(ship, market, route) {
+        const amount = Math.min(CARGO_CAPACITY, market.stock[route.good] || 0);
+        if (amount <= 0) {
+            // Someone else got here first
+            ship.trade = null;
+            return;
+        }
+        market.stock[route.good] -= amount;
+        ship.cargo[route.good] = (ship.cargo[route.good] || 0) + amount;
+        if (rng.chance(SMUGGLING_CHANCE)) {
+            ship.cargo.contraband = (ship.cargo.contraband || 0) + Math.round(rng.range(2, 6));
+        }
+        route.leg = 'delivery';
+        route.timer = 0;
+    }
+
+    // Hand the route's good over (any contraband slips ashore with it) and look for the next run
+    unloadCargo(ship, market, route) {
+        market.stock[route.good] = Math.min(MAX_STOCK, (market.stock[route.good] || 0) + (ship.cargo[route.good] || 0));
+        delete ship.cargo[route.good];
+        delete ship.cargo.contraband;
+        ship.trade = null;
+    }
+
+    // Production and consumption, and salvage. Runs every tick on the host.
+    update() {
+        if (gameState.gameTime % PRODUCTION_TICKS === 0) {
+            this.getMarkets().forEach(market => {
+                market.produces.forEach(good => {
+                    market.stock[good] = Math.min(MAX_STOCK, (market.stock[good] || 0) + 1);
+                });
+                market.consumes.forEach(good => {
+                    market.stock[good] = Math.max(0, (market.stock[good] || 0) - 1);
+                });
+            });
+        }
+
+        this.updateCargoPods();
+        this.handOverCargo();
+    }
+
+    // Pods break up once their time runs out; the transporters pull in any the player flies past
+    updateCargoPods() {
+        const player = gameState.playerShip;
+        gameState.cargoPods = gameState.cargoPods.filter(pod => {
+            if (!gameState.isAtWarp() && Math.hypot(pod.x - player.x, pod.y - player.y) < SALVAGE_RANGE) {
+                Object.entries(pod.cargo).forEach(([good, amount]) => {
+                    player.cargo[good] = (player.cargo[good] || 0) + amount;
+                });
+                gameState.addCommsMessage('TRANSPORTER ROOM', `Cargo pod beamed aboard: ${describeCargo(pod.cargo)}.`, 'info');
+                gameState.emit('cargoSalvaged', pod);
+                return false;
+            }
+            return --pod.lifetime > 0;
+        });
+    }
+
+    // Docked at a starbase, the hold goes ashore: goods into the market, contraband to the authorities
+    handOverCargo() {
+        const player = gameState.playerShip;
+        if (!gameState.isDocked() || Object.keys(player.cargo).length === 0) return;
+
+        const starbase = gameState.bodies.find(body => body.id === gameState.docking.stationId);
+        const { contraband, ...goods } = player.cargo;
+        Object.entries(goods).forEach(([good, amount]) => {
+            starbase.stock[good] = Math.min(MAX_STOCK, (starbase.stock[good] || 0) + amount);
+        });
+        const received = Object.keys(goods).length > 0 ? `Cargo received: ${describeCargo(goods)}. ` : '';
+        const seized = contraband ? `${contraband} units of contraband handed to the authorities. ` : '';
+        gameState.addCommsMessage(starbase.name.toUpperCase(), `${received}${seized}Thank you, ${player.name}.`, 'hail');
+        player.cargo = {};
+    }
+}
+
+// Singleton instance
+export const economy = new Economy();
@@ -0,0 +1,95 @@
+/**
+ * NPC Hails
+ * Ships calling us on their own: distress calls, surrender offers and contact reports
+ */
+
+import { gameState } from './state.js';
+import { rng } from './random.js';
+import { getShipClass } from './shipClasses.js';
+
+const CALL_INTERVAL = 1200;   // A ship waits a minute before making the same kind of call again
+const SURRENDER_HULL = 0.25;  // Enemies this badly hurt think about giving up...
+const SURRENDER_CHANCE = 0.5; // ...and about half of them do
+const REPORT_TICKS = 20;      // Friendlies compare notes with us once a second
+
+class Hails {
+    // Calls and expiring hails. Runs every tick on the host, after the sensors.
+    update(sim) {
+        gameState.expireHails();
+        gameState.ships.forEach(ship => {
+            this.checkDistress(ship, sim);
+            this.checkSurrender(ship, sim);
+        });
+        if (gameState.gameTime % REPORT_TICKS === 0) {
+            this.reportContacts(sim);
+        }
+    }
+
+    // Whether the ship made (or weighed) this kind of call within the last CALL_INTERVAL
+    hasCalled(ship, kind) {
+        return kind in ship.calls && gameState.gameTime - ship.calls[kind] < CALL_INTERVAL;
+    }
+
+    // A trader that means us no harm cries for help when another ship makes an attack run on it
+    checkDistress(ship, sim) {
+        if (ship.type !== 'freighter' || ship.terms || gameState.getDisposition(ship) === 'hostile' ||
+            this.hasCalled(ship, 'distress')) return;
+
+        const attacker = sim.findAttacker(ship);
+        if (!attacker) return;
+        gameState.receiveHail(ship, 'distress',
+            `Mayday, mayday! This is ${ship.name}. We are under attack by ${this.describeShip(attacker)}, ` +
+            `${this.describePosition(ship)}. Requesting immediate assistance!`,
+            { attackerId: attacker.id });
+    }
+
+    // A beaten enemy with us in sensor range may offer to surrender. It weighs it up
+    // once a CALL_INTERVAL, so refusing to surrender now doesn't rule it out later.
+    checkSurrender(ship, sim) {
+        if (ship.terms || gameState.getDisposition(ship) !== 'hostile' || this.hasCalled(ship, 'surrender') ||
+            ship.hull / ship.maxHull >= SURRENDER_HULL ||
+            sim.distanceBetween(ship, gameState.playerShip) > ship.sensorRange) return;
+
+        ship.calls.surrender = gameState.gameTime;
+        if (!rng.chance(SURRENDER_CHANCE)) return;
+        gameState.receiveHail(ship, 'surrender',
+            `This is ${ship.name}. We are crippled and can fight no longer. We offer our surrender.`);
+    }
+
+    // Friendlies tell us about hostiles they can see and we can't, one at a time. Contacts we
+    // have no fix on are marked on the map at the reported position.
+    reportContacts(sim) {
+        const friendlies = gameState.ships.filter(ship => gameState.getDisposition(ship) === 'friendly');
+        for (const contact of gameState.ships) {
+            if (contact.reported || gameState.getDisposition(contact) !== 'hostile' ||
+                gameState.getContactStatus(contact) === 'detected') continue;
+
+            const spotter = friendlies.find(ship => sim.distanceBetween(ship, contact) <= ship.sensorRange);
+            if (!spotter) continue;
+
+            contact.reported = true;
+            if (!gameState.isTracked(contact)) {
+                gameState.contacts[contact.id] = { status: 'lost', x: contact.x, y: contact.y, lastSeen: gameState.gameTime };
+            }
+            gameState.receiveHail(spotter, 'contact',
+                `Contact report: ${this.describeShip(contact)}, ${this.describePosition(contact)}.`);
+            return;
+        }
+    }
+
+    // "an unidentified warbird", or the ship's name once we've identified it
+    describeShip(ship) {
+        return ship.scanned ? ship.name : `an unidentified ${getShipClass(ship.type).name.toLowerCase()}`;
+    }
+
+    // "bearing 045, 2300 km from you"
+    describePosition(ship) {
+        const player = gameState.playerShip;
+        const bearing = (Math.round(Math.atan2(ship.y - player.y, ship.x - player.x) * 180 / Math.PI) + 360) % 360;
+        const distance = Math.round(Math.hypot(ship.x - player.x, ship.y - player.y));
+        return `bearing ${String(bearing).padStart(3, '0')}, ${distance} km from you`;
+    }
+}
+
+// Singleton instance
+export const hails = new Hails();
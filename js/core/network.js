@@ -0,0 +1,262 @@
+/**
+ * Network Bridge
+ * Connects a host browser and remote station browsers through the WebSocket relay
+ */
+
+import { gameState, SYNCED_FIELDS } from './state.js';
+import { simulation } from './simulation.js';
+
+// Game state methods a remote station is allowed to invoke on the host
+const REMOTE_COMMANDS = [
+    'setThrottle', 'setHeading', 'turn', 'setCourseToWaypoint',
+    'fireWeapon', 'setTarget', 'startScan', 'cancelScan',
+    'setPower', 'reinforceShields', 'repairSubsystem', 'setAlertLevel',
+    'setWaypoint', 'plotWaypoint', 'clearWaypoint',
+    'hailShip', 'broadcastMessage', 'issueOrder', 'setFlightModel',
+    'setWarpFactor', 'engageWarp', 'disengageWarp', 'warpToWaypoint',
+    'requestDocking', 'undock', 'dockAtNearestStarbase', 'setTorpedoMode',
+    'loadTube', 'unloadTube', 'inspectCargo', 'respondToHail'
+];
+
+// Argument positions that must be finite numbers (a NaN heading or throttle would stick)
+const NUMERIC_ARGS = {
+    setThrottle: [0], setHeading: [0], turn: [0], setPower: [1], setWarpFactor: [0],
+    setWaypoint: [0, 1], plotWaypoint: [0, 1]
+};
+
+class NetworkManager {
+    constructor() {
+        this.mode = 'local'; // 'local', 'host', 'station'
+        this.station = null; // Station id when joined as a remote station
+        this.serverUrl = null;
+        this.socket = null;
+        this.connected = false;
+        this.hostOnline = false;
+        this.stations = new Map(); // clientId -> station id (host only)
+        this.lastSent = {}; // field -> serialized value last broadcast (host only)
+        this.broadcastInterval = 2; // Ticks between state broadcasts
+        this.listeners = new Map();
+    }
+
+    // Read the multiplayer role from URL parameters
+    // ?role=host                     -> authoritative host
+    // ?station=helm                  -> remote helm station
+    // &server=ws://host:8080         -> relay address (defaults to the page host)
+    configure(params) {
+        const station = params.get('station');
+        const role = params.get('role');
+
+        if (station) {
+            this.mode = 'station';
+            this.station = station;
+        } else if (role === 'host') {
+            this.mode = 'host';
+        } else {
+            this.mode = 'local';
+            return;
+        }
+
+        this.serverUrl = params.get('server') || this.getDefaultServerUrl();
+
+        // Remote stations mirror the host instead of simulating
+        if (this.mode === 'station') {
+            simulation.authoritative = false;
+        } else {
+            gameState.on('tick', (tick) => {
+                if (tick % this.broadcastInterval === 0) {
+                    this.broadcastState();
+                }
+            });
+            gameState.on('stateRestored', () => this.broadcastState(true));
+            gameState.on('missionStarted', () => this.broadcastState(true));
+            // The simulation stops ticking when a mission ends, so push the outcome now
+            gameState.on('missionEnded', () => this.broadcastState());
+        }
+
+        this.connect();
+    }
+
+    getDefaultServerUrl() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host || 'localhost:8080'}`;
+    }
+
+    isRemoteStation() {
+        return this.mode === 'station';
+    }
+
+    // Event system (connection status for the UI)
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(cb => cb(data));
+        }
+    }
+
+    // Open the relay connection and retry when it drops
+    connect() {
+        this.socket = new WebSocket(this.serverUrl);
+
+        this.socket.addEventListener('open', () => {
+            this.connected = true;
+            this.send({
+                type: 'join',
+                role: this.mode === 'host' ? 'host' : 'station',
+                station: this.station
+            });
+            if (this.mode === 'host') {
+                this.broadcastState(true);
+            }
+            this.emit('statusChanged', this.getStatus());
+        });
+
+        this.socket.addEventListener('message', (event) => {
+            let msg;
+            try {
+                msg = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('Ignoring malformed network message:', e);
+                return;
+            }
+            this.handleMessage(msg);
+        });
+
+        this.socket.addEventListener('close', () => {
+            const wasConnected = this.connected;
+            this.connected = false;
+            this.hostOnline = false;
+            this.stations.clear();
+            this.emit('statusChanged', this.getStatus());
+            if (wasConnected) {
+                gameState.addCommsMessage('SYSTEM', 'Lost connection to bridge relay.', 'alert');
+            }
+            setTimeout(() => this.connect(), 2000);
+        });
+    }
+
+    send(msg) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(msg));
+        }
+    }
+
+    handleMessage(msg) {
+        switch (msg.type) {
+            case 'state':
+                if (this.mode === 'station') {
+                    gameState.applySyncState(msg.fields);
+                }
+                break;
+
+            case 'command':
+                if (this.mode === 'host') {
+                    this.executeRemoteCommand(msg);
+                }
+                break;
+
+            case 'stationJoined':
+                this.stations.set(msg.clientId, msg.station);
+                gameState.addCommsMessage('BRIDGE', `${msg.station.toUpperCase()} station online.`, 'info');
+                this.broadcastState(true);
+                this.emit('statusChanged', this.getStatus());
+                break;
+
+            case 'stationLeft':
+                this.stations.delete(msg.clientId);
+                gameState.addCommsMessage('BRIDGE', `${msg.station.toUpperCase()} station offline.`, 'alert');
+                this.emit('statusChanged', this.getStatus());
+                break;
+
+            case 'hostStatus':
+                this.hostOnline = msg.online;
+                this.emit('statusChanged', this.getStatus());
+                break;
+
+            case 'error':
+                console.warn('Relay error:', msg.message);
+                gameState.addCommsMessage('SYSTEM', msg.message, 'alert');
+                break;
+        }
+    }
+
+    // Run a station action locally, or forward it to the host when remote.
+    // Remote dispatches return 'sent': the host may still refuse, and its state update is
+    // authoritative. 'sent' is truthy so acknowledgement sounds still play, but it only means
+    // the order went out.
+    dispatch(command, ...args) {
+        if (!REMOTE_COMMANDS.includes(command)) {
+            throw new Error(`Unknown command: ${command}`);
+        }
+
+        if (this.mode === 'station') {
+            this.send({ type: 'command', name: command, args });
+            return 'sent';
+        }
+
+        const result = gameState[command](...args);
+        if (this.mode === 'host') {
+            this.broadcastState();
+        }
+        return result;
+    }
+
+    // A malformed command (a ship that's gone, a heading that isn't a number) is logged and
+    // dropped; the stations still get the current state
+    executeRemoteCommand(msg) {
+        if (!REMOTE_COMMANDS.includes(msg.name)) {
+            console.warn(`Rejected remote command from ${msg.station}:`, msg.name);
+            return;
+        }
+        const args = Array.isArray(msg.args) ? msg.args : [];
+        if ((NUMERIC_ARGS[msg.name] || []).some(i => !Number.isFinite(args[i]))) {
+            console.warn(`Dropped remote command ${msg.name} from ${msg.station}: bad arguments`, args);
+        } else {
+            try {
+                gameState[msg.name](...args);
+            } catch (e) {
+                console.warn(`Dropped remote command ${msg.name} from ${msg.station}:`, e);
+            }
+        }
+        this.broadcastState();
+    }
+
+    // Send fields that changed since the last broadcast (or everything when full)
+    broadcastState(full = false) {
+        if (this.mode !== 'host' || !this.connected) return;
+
+        const fields = {};
+        let changed = false;
+
+        SYNCED_FIELDS.forEach(field => {
+            const serialized = JSON.stringify(gameState[field]);
+            if (full || serialized !== this.lastSent[field]) {
+                fields[field] = JSON.parse(serialized);
+                this.lastSent[field] = serialized;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.send({ type: 'state', full, fields });
+        }
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            station: this.station,
+            connected: this.connected,
+            hostOnline: this.hostOnline,
+            stationCount: this.stations.size
+        };
+    }
+}
+
+// Singleton instance
+export const network = new NetworkManager();
@@ -0,0 +1,211 @@
+/**
+ * Mission Objectives
+ * Tracks scenario objectives every tick and decides victory or defeat
+ */
+
+import { gameState } from './state.js';
+
+export const OBJECTIVE_TYPES = ['destroy', 'escort', 'survive', 'scan', 'reach', 'scripted'];
+
+const TICKS_PER_SECOND = 20;
+
+function formatDuration(ticks) {
+    const totalSeconds = Math.ceil(ticks / TICKS_PER_SECOND);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function distanceTo(ship, point) {
+    return Math.hypot(point.x - ship.x, point.y - ship.y);
+}
+
+// Per-type progress checks. Each returns { status, progress } for an active objective.
+const checks = {
+    destroy(objective) {
+        // Ships that surrendered or stood down count as beaten
+        const remaining = objective.targets.filter(id => {
+            const ship = gameState.getShip(id);
+            return ship && !gameState.hasYielded(ship);
+        }).length;
+        const defeated = objective.targets.length - remaining;
+        return {
+            status: remaining === 0 ? 'complete' : 'active',
+            progress: objective.targets.length > 1 ? `${defeated}/${objective.targets.length} defeated` : ''
+        };
+    },
+
+    escort(objective) {
+        const ship = gameState.getShip(objective.ship);
+        if (!ship) {
+            return { status: 'failed', progress: 'Escort lost' };
+        }
+        const distance = distanceTo(ship, objective.destination);
+        return {
+            status: distance <= objective.radius ? 'complete' : 'active',
+            progress: `${Math.round(distance)} km to go`
+        };
+    },
+
+    survive(objective) {
+        const remaining = objective.startedAt + objective.seconds * TICKS_PER_SECOND - gameState.gameTime;
+        return {
+            status: remaining <= 0 ? 'complete' : 'active',
+            progress: `${formatDuration(Math.max(0, remaining))} remaining`
+        };
+    },
+
+    scan(objective) {
+        const contacts = gameState.ships.filter(s => !objective.faction || s.faction === objective.faction);
+        const scanned = contacts.filter(s => s.scanned).length;
+        return {
+            status: scanned === contacts.length ? 'complete' : 'active',
+            progress: `${scanned}/${contacts.length} scanned`
+        };
+    },
+
+    reach(objective) {
+        const distance = distanceTo(gameState.playerShip, objective.position);
+        return {
+            status: distance <= objective.radius ? 'complete' : 'active',
+            progress: `${Math.round(distance)} km`
+        };
+    },
+
+    // Completed by a scenario trigger (see triggers.js)
+    scripted() {
+        return { status: 'active', progress: '' };
+    }
+};
+
+class ObjectiveTracker {
+    constructor() {
+        // Ticks only fire where the simulation runs, so remote stations just mirror the host
+        gameState.on('tick', () => this.evaluate());
+    }
+
+    // Build gameState.objectives from a scenario (after its ships have spawned)
+    load(scenario) {
+        gameState.objectives = (scenario.objectives || []).map((spec, i) => {
+            const objective = {
+                id: spec.id || `objective-${i + 1}`,
+                type: spec.type,
+                description: spec.description || this.describe(spec, scenario),
+                optional: spec.optional === true,
+                status: 'active',
+                progress: '',
+                startedAt: gameState.gameTime
+            };
+
+            switch (spec.type) {
+                case 'destroy':
+                    // A faction target means every ship of that faction present at the start
+                    objective.targets = spec.target
+                        ? [spec.target]
+                        : gameState.ships.filter(s => s.faction === spec.faction).map(s => s.id);
+                    break;
+                case 'escort':
+                    Object.assign(objective, { ship: spec.ship, destination: spec.destination, radius: spec.radius });
+                    break;
+                case 'survive':
+                    objective.seconds = spec.seconds;
+                    break;
+                case 'scan':
+                    objective.faction = spec.faction || null;
+                    break;
+                case 'reach':
+                    Object.assign(objective, { position: spec.position, radius: spec.radius });
+                    break;
+            }
+            return objective;
+        });
+
+        this.evaluate();
+        gameState.emit('objectivesChanged', gameState.objectives);
+    }
+
+    // Default wording when the scenario doesn't provide a description
+    describe(spec, scenario) {
+        const shipName = (id) => {
+            const ship = gameState.getShip(id);
+            return ship ? ship.name : id;
+        };
+        const factionName = (faction) => {
+            const info = scenario.factions && scenario.factions[faction];
+            return info && info.name ? info.name : faction;
+        };
+
+        switch (spec.type) {
+            case 'destroy':
+                return spec.target ? `Destroy ${shipName(spec.target)}` : `Destroy all ${factionName(spec.faction)} ships`;
+            case 'escort':
+                return `Escort ${shipName(spec.ship)} to ${Math.round(spec.destination.x)}, ${Math.round(spec.destination.y)}`;
+            case 'survive':
+                return `Survive for ${formatDuration(spec.seconds * TICKS_PER_SECOND)}`;
+            case 'scan':
+                return spec.faction ? `Scan all ${factionName(spec.faction)} contacts` : 'Scan all contacts';
+            case 'reach':
+                return `Reach ${Math.round(spec.position.x)}, ${Math.round(spec.position.y)}`;
+        }
+        return spec.type;
+    }
+
+    evaluate() {
+        if (gameState.missionStatus !== 'active') return;
+
+        let changed = false;
+        gameState.objectives.forEach(objective => {
+            if (objective.status !== 'active') return;
+
+            const { status, progress } = checks[objective.type](objective);
+            if (status !== objective.status || progress !== objective.progress) {
+                objective.status = status;
+                objective.progress = progress;
+                changed = true;
+            }
+
+            if (status === 'complete') {
+                gameState.addCommsMessage('COMPUTER', `Objective complete: ${objective.description}`, 'info');
+            } else if (status === 'failed') {
+                gameState.addCommsMessage('COMPUTER', `Objective failed: ${objective.description}`, 'alert');
+            }
+        });
+
+        if (changed) {
+            gameState.emit('objectivesChanged', gameState.objectives);
+        }
+
+        this.checkMissionEnd();
+    }
+
+    // Complete an objective directly (scenario triggers)
+    complete(id) {
+        const objective = gameState.objectives.find(o => o.id === id);
+        if (!objective || objective.status !== 'active' || gameState.missionStatus !== 'active') return false;
+
+        objective.status = 'complete';
+        objective.progress = '';
+        gameState.addCommsMessage('COMPUTER', `Objective complete: ${objective.description}`, 'info');
+        gameState.emit('objectivesChanged', gameState.objectives);
+
+        this.checkMissionEnd();
+        return true;
+    }
+
+    checkMissionEnd() {
+        const player = gameState.playerShip;
+        const required = gameState.objectives.filter(o => !o.optional);
+        const failed = required.find(o => o.status === 'failed');
+
+        if (player.hull <= 0) {
+            gameState.endMission('defeat', `${player.name} was destroyed.`);
+        } else if (failed) {
+            gameState.endMission('defeat', `${failed.description} - objective failed.`);
+        } else if (required.length > 0 && required.every(o => o.status === 'complete')) {
+            gameState.endMission('victory', 'All objectives complete.');
+        }
+    }
+}
+
+// Singleton instance
+export const objectives = new ObjectiveTracker();
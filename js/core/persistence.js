@@ -0,0 +1,432 @@
+/**
+ * Save / Load System
+ * Versioned game state snapshots with localStorage slots and file import/export
+ */
+
+import { gameState, SYNCED_FIELDS, createFactions, createShields, createMagazine, createHardpoints, MARKET_DEFAULTS, TORPEDO_TUBES } from './state.js';
+import { getShipClass } from './shipClasses.js';
+import { rng } from './random.js';
+
+// Bump when the snapshot layout changes and add a migration below
+export const SNAPSHOT_VERSION = 21;
+export const SAVE_SLOTS = 3;
+
+const SNAPSHOT_FORMAT = 'warpme-snapshot';
+const SLOT_PREFIX = 'warpme_save_';
+
+// Game state fields stored in a snapshot (pause is a UI concern, not part of the save)
+const SNAPSHOT_FIELDS = [
+    ...SYNCED_FIELDS.filter(field => field !== 'isPaused'),
+    'scheduledMessages', 'nextEntityId', 'triggers'
+];
+
+// Upgrade steps keyed by the version they upgrade from.
+// Each receives a snapshot at that version and returns it at version + 1.
+const migrations = {
+    // v2: seeded runs - PRNG position and sequential entity ids.
+    // Older saves keep their UUIDs, so counting from 1 can't collide.
+    1: (snapshot) => ({
+        ...snapshot,
+        version: 2,
+        state: { ...snapshot.state, nextEntityId: 1 },
+        random: null
+    }),
+    // v3: mission objectives and outcome (older saves had none)
+    2: (snapshot) => ({
+        ...snapshot,
+        version: 3,
+        state: { ...snapshot.state, objectives: [], missionStatus: 'active', missionEndReason: null }
+    }),
+    // v4: scenario triggers (older saves had none)
+    3: (snapshot) => ({
+        ...snapshot,
+        version: 4,
+        state: { ...snapshot.state, triggers: [] }
+    }),
+    // v5: faction standings - older saves only knew the three built-in factions
+    4: (snapshot) => ({
+        ...snapshot,
+        version: 5,
+        state: { ...snapshot.state, factions: createFactions() }
+    }),
+    // v6: sensor contacts - rebuilt on the next tick, so older saves start with none
+    5: (snapshot) => ({
+        ...snapshot,
+        version: 6,
+        state: { ...snapshot.state, contacts: {} }
+    }),
+    // v7: scan tiers - a scanned ship had basic identification only
+    6: (snapshot) => {
+        const withScanLevel = (ship) => ({ ...ship, scanLevel: ship.scanned ? 1 : 0 });
+        return {
+            ...snapshot,
+            version: 7,
+            state: {
+                ...snapshot.state,
+                playerShip: withScanLevel(snapshot.state.playerShip),
+                ships: snapshot.state.ships.map(withScanLevel),
+                scan: null
+            }
+        };
+    },
+    // v8: directional shields - the single pool becomes four equal facings
+    7: (snapshot) => {
+        const withFacings = ({ shieldStrength, ...ship }) => ({
+            ...ship,
+            shields: createShields(shieldStrength),
+            shieldReinforce: null
+        });
+        return {
+            ...snapshot,
+            version: 8,
+            state: {
+                ...snapshot.state,
+                playerShip: withFacings(snapshot.state.playerShip),
+                ships: snapshot.state.ships.map(withFacings)
+            }
+        };
+    },
+    // v9: flight models - ships gain a velocity vector, throttle and commanded heading.
+    // Older saves flew arcade style, so the vector follows the heading.
+    8: (snapshot) => {
+        const withMotion = (ship) => {
+            const radians = (ship.heading * Math.PI) / 180;
+            const engines = ship.subsystems.engines;
+            const topSpeed = ship.maxVelocity * (engines.hp / 100) * (engines.power / 100);
+            return {
+                ...ship,
+                commandedHeading: ship.heading,
+                vx: Math.cos(radians) * ship.velocity,
+                vy: Math.sin(radians) * ship.velocity,
+                throttle: topSpeed > 0 ? Math.round((ship.velocity / topSpeed) * 100) : 0,
+                mass: 100,
+                thrust: 10
+            };
+        };
+        return {
+            ...snapshot,
+            version: 9,
+            state: {
+                ...snapshot.state,
+                playerShip: withMotion(snapshot.state.playerShip),
+                ships: snapshot.state.ships.map(withMotion),
+                flightModel: 'arcade'
+            }
+        };
+    },
+    // v10: warp drive (older saves were at impulse)
+    9: (snapshot) => ({
+        ...snapshot,
+        version: 10,
+        state: {
+            ...snapshot.state,
+            warp: { status: 'idle', factor: 1, charge: 0, cooldown: 0, toWaypoint: false }
+        }
+    }),
+    // v11: celestial bodies (older sectors were empty space)
+    10: (snapshot) => ({
+        ...snapshot,
+        version: 11,
+        state: { ...snapshot.state, bodies: [] }
+    }),
+    // v12: docking (older saves were never docked)
+    11: (snapshot) => ({
+        ...snapshot,
+        version: 12,
+        state: { ...snapshot.state, docking: { status: 'undocked', stationId: null, timer: 0 } }
+    }),
+    // v13: torpedo guidance (torpedoes already in flight were dumbfire)
+    12: (snapshot) => ({
+        ...snapshot,
+        version: 13,
+        state: {
+            ...snapshot.state,
+            torpedoMode: 'homing',
+            projectiles: snapshot.state.projectiles.map(projectile => ({ ...projectile, mode: 'dumbfire' }))
+        }
+    }),
+    // v14: ordnance types, magazines and tubes (older ships carried photon torpedoes only;
+    // the player's tubes come loaded from the magazine)
+    13: (snapshot) => {
+        const withMagazine = ({ torpedoes, maxTorpedoes, ...ship }) => ({
+            ...ship,
+            magazine: createMagazine({ photon: torpedoes }),
+            maxMagazine: createMagazine({ photon: maxTorpedoes }),
+            tubes: [],
+            disrupted: 0
+        });
+        const player = withMagazine(snapshot.state.playerShip);
+        player.tubes = Array.from({ length: TORPEDO_TUBES }, () => {
+            if (player.magazine.photon <= 0) return { ordnance: null, loading: 0 };
+            player.magazine.photon--;
+            return { ordnance: 'photon', loading: 0 };
+        });
+        return {
+            ...snapshot,
+            version: 14,
+            state: {
+                ...snapshot.state,
+                playerShip: player,
+                ships: snapshot.state.ships.map(withMagazine),
+                projectiles: snapshot.state.projectiles.map(projectile =>
+                    ({ ...projectile, ordnance: projectile.type === 'torpedo' ? 'photon' : null }))
+            }
+        };
+    },
+    // v15: weapon hardpoints (the player gets the standard mounts; NPCs still fire in any direction)
+    14: (snapshot) => ({
+        ...snapshot,
+        version: 15,
+        state: {
+            ...snapshot.state,
+            playerShip: { ...snapshot.state.playerShip, hardpoints: createHardpoints(getShipClass('cruiser').hardpoints) },
+            ships: snapshot.state.ships.map(ship => ({ ...ship, hardpoints: [] }))
+        }
+    }),
+    // v16: ship classes (every ship takes its class's sensor range; other stats were already saved)
+    15: (snapshot) => {
+        const withSensors = ship => ({ ...ship, sensorRange: getShipClass(ship.type).sensorRange });
+        return {
+            ...snapshot,
+            version: 16,
+            state: {
+                ...snapshot.state,
+                playerShip: withSensors(snapshot.state.playerShip),
+                ships: snapshot.state.ships.map(withSensors)
+            }
+        };
+    },
+    // v17: smarter NPC tactics - per-ship combat state, NPC torpedoes from the ship class and difficulty
+    16: (snapshot) => {
+        const combat = () => ({ phase: 'run', timer: 0, reload: 0, dodging: null });
+        return {
+            ...snapshot,
+            version: 17,
+            state: {
+                ...snapshot.state,
+                difficulty: 'normal',
+                playerShip: { ...snapshot.state.playerShip, combat: combat() },
+                ships: snapshot.state.ships.map(ship => ({
+                    ...ship,
+                    combat: combat(),
+                    magazine: createMagazine(getShipClass(ship.type).magazine),
+                    maxMagazine: createMagazine(getShipClass(ship.type).magazine)
+                }))
+            }
+        };
+    },
+    // v18: AI profiles (saved ships take the default profile for their class and side)
+    17: (snapshot) => ({
+        ...snapshot,
+        version: 18,
+        state: {
+            ...snapshot.state,
+            ships: snapshot.state.ships.map(ship => ({ ...ship, aiProfile: null, brain: null }))
+        }
+    }),
+    // v19: trade - cargo holds and routes, markets on planets and starbases (with empty
+    // stock, which production fills), and salvage pods
+    18: (snapshot) => {
+        const withMarket = body => {
+            const market = MARKET_DEFAULTS[body.type];
+            return market ? { ...body, produces: [...market.produces], consumes: [...market.consumes], stock: {} } : body;
+        };
+        return {
+            ...snapshot,
+            version: 19,
+            state: {
+                ...snapshot.state,
+                cargoPods: [],
+                bodies: snapshot.state.bodies.map(withMarket),
+                playerShip: { ...snapshot.state.playerShip, cargo: {}, trade: null },
+                ships: snapshot.state.ships.map(ship => ({ ...ship, cargo: {}, trade: null }))
+            }
+        };
+    },
+    // v20: NPC hails - open hails waiting for an answer, and each ship's terms, calls and reported flag
+    19: (snapshot) => ({
+        ...snapshot,
+        version: 20,
+        state: {
+            ...snapshot.state,
+            incomingHails: [],
+            playerShip: { ...snapshot.state.playerShip, terms: null, calls: {}, reported: false },
+            ships: snapshot.state.ships.map(ship => ({ ...ship, terms: null, calls: {}, reported: false }))
+        }
+    }),
+    // v21: phaser charge and weapon cooldowns move from the weapons station into game state
+    20: (snapshot) => {
+        const { weapons, ...stations } = snapshot.stations || {};
+        return {
+            ...snapshot,
+            version: 21,
+            state: {
+                ...snapshot.state,
+                fireControl: {
+                    phaserCharge: weapons ? weapons.phaserCharge : 100,
+                    phaserCooldown: weapons ? weapons.phaserCooldown : 0,
+                    torpedoCooldown: weapons ? weapons.torpedoCooldown : 0
+                }
+            },
+            stations
+        };
+    }
+};
+
+class PersistenceManager {
+    constructor() {
+        this.providers = new Map(); // key -> { save, load } for state kept outside gameState
+    }
+
+    // Let a module (e.g. a station) include its own state in snapshots
+    registerProvider(key, provider) {
+        this.providers.set(key, provider);
+    }
+
+    // Build a plain, JSON-safe snapshot of the current game
+    createSnapshot() {
+        const stations = {};
+        this.providers.forEach((provider, key) => {
+            stations[key] = provider.save();
+        });
+
+        return {
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            state: gameState.getSyncState(SNAPSHOT_FIELDS),
+            random: rng.getState(),
+            stations: JSON.parse(JSON.stringify(stations))
+        };
+    }
+
+    // Bring an older snapshot up to the current version
+    migrate(snapshot) {
+        if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+            throw new Error('Not a WarpMe save file.');
+        }
+        if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+            throw new Error('Save file has no valid version.');
+        }
+        if (snapshot.version > SNAPSHOT_VERSION) {
+            throw new Error(`Save file version ${snapshot.version} is newer than this simulator supports (${SNAPSHOT_VERSION}).`);
+        }
+
+        let migrated = snapshot;
+        while (migrated.version < SNAPSHOT_VERSION) {
+            const upgrade = migrations[migrated.version];
+            if (!upgrade) {
+                throw new Error(`No migration from save version ${migrated.version}.`);
+            }
+            migrated = upgrade(migrated);
+        }
+        return migrated;
+    }
+
+    // Replace the current game with a snapshot
+    restoreSnapshot(snapshot) {
+        const data = this.migrate(JSON.parse(JSON.stringify(snapshot)));
+
+        SNAPSHOT_FIELDS.forEach(field => {
+            if (field in data.state) {
+                gameState[field] = data.state[field];
+            }
+        });
+
+        // Pick up the random sequence where the save left it
+        if (data.random) {
+            rng.setState(data.random);
+        }
+
+        this.providers.forEach((provider, key) => {
+            if (data.stations && key in data.stations) {
+                provider.load(data.stations[key]);
+            }
+        });
+
+        gameState.emit('stateRestored', data);
+        return data;
+    }
+
+    // ===== SAVE SLOTS =====
+
+    saveToSlot(slot) {
+        const snapshot = this.createSnapshot();
+        localStorage.setItem(SLOT_PREFIX + slot, JSON.stringify(snapshot));
+        gameState.addCommsMessage('COMPUTER', `Game saved to slot ${slot}.`, 'info');
+        return snapshot;
+    }
+
+    loadFromSlot(slot) {
+        const raw = localStorage.getItem(SLOT_PREFIX + slot);
+        if (!raw) {
+            throw new Error(`Save slot ${slot} is empty.`);
+        }
+        const data = this.restoreSnapshot(JSON.parse(raw));
+        gameState.addCommsMessage('COMPUTER', `Game loaded from slot ${slot}.`, 'info');
+        return data;
+    }
+
+    deleteSlot(slot) {
+        localStorage.removeItem(SLOT_PREFIX + slot);
+    }
+
+    // Summaries for the save dialog (null for empty or unreadable slots)
+    listSlots() {
+        const slots = [];
+        for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+            let summary = null;
+            try {
+                const raw = localStorage.getItem(SLOT_PREFIX + slot);
+                if (raw) {
+                    const snapshot = JSON.parse(raw);
+                    summary = {
+                        version: snapshot.version,
+                        savedAt: snapshot.savedAt,
+                        gameTime: snapshot.state.gameTime,
+                        scenarioName: snapshot.state.scenario ? snapshot.state.scenario.name : 'Unknown scenario'
+                    };
+                }
+            } catch (e) {
+                summary = { corrupt: true };
+            }
+            slots.push({ slot, summary });
+        }
+        return slots;
+    }
+
+    // ===== FILES =====
+
+    exportToFile() {
+        const snapshot = this.createSnapshot();
+        const scenarioId = gameState.scenario ? gameState.scenario.id : 'game';
+        const blob = new Blob([JSON.stringify(snapshot)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `warpme-${scenarioId}-${gameState.gameTime}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        return snapshot;
+    }
+
+    importFromFile(file) {
+        return file.text().then(text => {
+            let snapshot;
+            try {
+                snapshot = JSON.parse(text);
+            } catch (e) {
+                throw new Error(`${file.name} is not valid JSON.`);
+            }
+            const data = this.restoreSnapshot(snapshot);
+            gameState.addCommsMessage('COMPUTER', `Game loaded from ${file.name}.`, 'info');
+            return data;
+        });
+    }
+}
+
+// Singleton instance
+export const persistence = new PersistenceManager();
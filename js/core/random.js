@@ -0,0 +1,70 @@
+/**
+ * Seeded Random Numbers
+ * One PRNG for everything that affects game state, so a seed reproduces a run
+ */
+
+// Largest seed value (seeds are unsigned 32-bit integers)
+export const MAX_SEED = 0xFFFFFFFF;
+
+class SeededRandom {
+    constructor() {
+        this.seed = 0;
+        this.state = 0;
+        this.setSeed(SeededRandom.generateSeed());
+    }
+
+    // A fresh seed for runs that don't ask for one
+    static generateSeed() {
+        return Math.floor(Math.random() * MAX_SEED);
+    }
+
+    // Parse a seed typed into the URL; null when it isn't a valid seed
+    static parseSeed(value) {
+        if (value === null || !/^\d+$/.test(value.trim())) return null;
+        const seed = Number(value);
+        return seed <= MAX_SEED ? seed : null;
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Mulberry32 - small, fast, and good enough for a game
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // True with the given probability
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    // Random element of an array
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    // Position in the sequence, for save files
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState({ seed, state }) {
+        this.seed = seed >>> 0;
+        this.state = state >>> 0;
+    }
+}
+
+// Singleton instance
+export const rng = new SeededRandom();
+export { SeededRandom };
@@ -0,0 +1,225 @@
+/**
+ * Mission Recorder
+ * Captures a compact per-tick record of the battle for replay and debriefing
+ */
+
+import { gameState, createShields, SHIELD_FACINGS } from './state.js';
+
+export const RECORDING_VERSION = 7;
+
+const RECORDING_FORMAT = 'warpme-replay';
+const MAX_FRAMES = 20 * 60 * 60; // One hour at 20 ticks per second
+const DISPOSITIONS = ['friendly', 'neutral', 'hostile']; // Stored by index in ship rows
+
+// Round to one decimal place (speeds); positions and angles use whole numbers
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+class Recorder {
+    constructor() {
+        this.recording = null;
+        this.shipIndex = new Map(); // ship id -> index into recording.ships
+        this.active = false;
+
+        gameState.on('tick', () => {
+            if (this.active) this.captureFrame();
+        });
+        gameState.on('commsMessage', (msg) => {
+            if (this.active) {
+                this.recording.comms.push({
+                    t: msg.timestamp,
+                    sender: msg.sender,
+                    message: msg.message,
+                    type: msg.type
+                });
+            }
+        });
+    }
+
+    // Begin a fresh recording of the current game
+    start() {
+        this.recording = {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            recordedAt: new Date().toISOString(),
+            scenario: gameState.scenario ? gameState.scenario.name : 'Unknown scenario',
+            seed: gameState.seed,
+            ships: [],  // Static details, referenced by index from frames
+            // Bodies don't move, so they're stored once (starbases with their colour at the start)
+            bodies: gameState.bodies.map(body => ({
+                ...body,
+                disposition: body.type === 'starbase' ? gameState.getDisposition(body) : null
+            })),
+            frames: [],
+            comms: gameState.commsLog.slice().reverse().map(msg => ({
+                t: msg.timestamp,
+                sender: msg.sender,
+                message: msg.message,
+                type: msg.type
+            }))
+        };
+        this.shipIndex.clear();
+        this.active = true;
+        this.captureFrame();
+    }
+
+    stop() {
+        this.active = false;
+    }
+
+    hasFrames() {
+        return !!this.recording && this.recording.frames.length > 0;
+    }
+
+    // Index of a ship in the static table, adding it the first time it's seen
+    indexShip(ship) {
+        if (!this.shipIndex.has(ship.id)) {
+            this.shipIndex.set(ship.id, this.recording.ships.length);
+            this.recording.ships.push({
+                id: ship.id,
+                name: ship.name,
+                type: ship.type,
+                faction: ship.faction,
+                size: ship.size,
+                maxVelocity: ship.maxVelocity,
+                maxHull: ship.maxHull,
+                maxShieldStrength: ship.maxShieldStrength
+            });
+        }
+        return this.shipIndex.get(ship.id);
+    }
+
+    captureFrame() {
+        const frames = this.recording.frames;
+        if (frames.length >= MAX_FRAMES) {
+            this.stop();
+            gameState.addCommsMessage('COMPUTER', 'Mission recorder full - recording stopped.', 'alert');
+            return;
+        }
+
+        // Frames are arrays to keep files small:
+        // [tick, ships, projectiles, beams, waypoint, target, warp]
+        // ship row: [index, x, y, heading, velocity, hull, shields, shield power, scanned, disposition]
+        // with shields as [fore, starboard, aft, port]
+        // projectile row: [x, y, heading, size, guidance mode, ordnance]
+        // warp: [status, factor, charge] while charging or at warp, otherwise null
+        const warp = gameState.warp;
+        const visibleWarp = warp.status === 'charging' || warp.status === 'active';
+        const ships = [gameState.playerShip, ...gameState.ships].map(ship => [
+            this.indexShip(ship),
+            Math.round(ship.x),
+            Math.round(ship.y),
+            Math.round(ship.heading),
+            round(ship.velocity),
+            Math.round(ship.hull),
+            SHIELD_FACINGS.map(facing => Math.round(ship.shields[facing])),
+            ship.subsystems.shields.power,
+            ship.scanned ? 1 : 0,
+            DISPOSITIONS.indexOf(gameState.getDisposition(ship))
+        ]);
+
+        frames.push([
+            gameState.gameTime,
+            ships,
+            gameState.projectiles.map(p => [Math.round(p.x), Math.round(p.y), Math.round(p.heading), p.size, p.mode, p.ordnance]),
+            gameState.phaserBeams.map(b => [Math.round(b.x1), Math.round(b.y1), Math.round(b.x2), Math.round(b.y2), b.lifetime]),
+            gameState.waypoint ? [Math.round(gameState.waypoint.x), Math.round(gameState.waypoint.y)] : null,
+            gameState.currentTarget,
+            visibleWarp ? [warp.status, warp.factor, round(warp.charge)] : null
+        ]);
+    }
+
+    // ===== PLAYBACK HELPERS =====
+
+    // Check an imported recording and return it, or throw with the reason
+    validate(recording) {
+        if (!recording || recording.format !== RECORDING_FORMAT) {
+            throw new Error('Not a WarpMe replay file.');
+        }
+        // Version 1 rows have no disposition; those ships are coloured by faction instead.
+        // Versions 1-2 have one shield value, shown on every facing. Versions 1-3 have no warp,
+        // versions 1-4 no bodies, versions 1-5 no torpedo modes (drawn as dumbfire),
+        // and versions 1-6 no ordnance types (drawn as photons).
+        if (!Number.isInteger(recording.version) || recording.version < 1 || recording.version > RECORDING_VERSION) {
+            throw new Error(`Replay version ${recording.version} is not supported (expected 1-${RECORDING_VERSION}).`);
+        }
+        if (!Array.isArray(recording.frames) || recording.frames.length === 0) {
+            throw new Error('Replay file contains no frames.');
+        }
+        if (!Array.isArray(recording.ships) || !recording.ships.some(ship => ship.id === 'player')) {
+            throw new Error('Replay file has no player ship.');
+        }
+        return recording;
+    }
+
+    // Rebuild a renderer world ({ playerShip, ships, projectiles, ... }) from a frame
+    frameToWorld(recording, frame) {
+        const [, shipRows, projectiles, beams, waypoint, target, warp] = frame;
+        const ships = shipRows.map(([index, x, y, heading, velocity, hull, shields, shieldPower, scanned, disposition]) => ({
+            ...recording.ships[index],
+            x, y, heading, velocity, hull,
+            shields: Array.isArray(shields)
+                ? Object.fromEntries(SHIELD_FACINGS.map((facing, i) => [facing, shields[i]]))
+                : createShields(shields),
+            subsystems: { shields: { power: shieldPower } },
+            scanned: scanned === 1,
+            disposition: disposition === undefined ? recording.ships[index].faction : DISPOSITIONS[disposition]
+        }));
+
+        return {
+            playerShip: ships.find(s => s.id === 'player'),
+            ships: ships.filter(s => s.id !== 'player'),
+            projectiles: projectiles.map(([x, y, heading, size, mode, ordnance]) => ({ x, y, heading, size, mode, ordnance })),
+            phaserBeams: beams.map(([x1, y1, x2, y2, lifetime]) => ({ x1, y1, x2, y2, lifetime })),
+            waypoint: waypoint ? { x: waypoint[0], y: waypoint[1] } : null,
+            currentTarget: target,
+            warp: warp ? { status: warp[0], factor: warp[1], charge: warp[2] } : null,
+            bodies: recording.bodies || [],
+            getDisposition: (ship) => ship.disposition
+        };
+    }
+
+    // Game tick a frame was recorded on
+    frameTick(frame) {
+        return frame[0];
+    }
+
+    // Comms messages sent at or before a game tick, newest first
+    commsUntil(recording, tick) {
+        return recording.comms.filter(msg => msg.t <= tick).reverse();
+    }
+
+    // ===== FILES =====
+
+    exportToFile() {
+        if (!this.hasFrames()) {
+            throw new Error('Nothing recorded yet.');
+        }
+        const blob = new Blob([JSON.stringify(this.recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `warpme-replay-${this.recording.seed}-${gameState.gameTime}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    importFromFile(file) {
+        return file.text().then(text => {
+            let recording;
+            try {
+                recording = JSON.parse(text);
+            } catch (e) {
+                throw new Error(`${file.name} is not valid JSON.`);
+            }
+            return this.validate(recording);
+        });
+    }
+}
+
+// Singleton instance
+export const recorder = new Recorder();
@@ -3,7 +3,14 @@
  * Handles all visual rendering for the starship simulator
  */
 
-import { gameState } from './state.js';
+import { gameState, SHIELD_FACINGS, SHIELD_FACING_ANGLES, GRAVITY_WELL, PROXIMITY_FUSE, ORDNANCE, WEAPON_RANGES } from './state.js';
+import { getShipClass, DEFAULT_SHIP_CLASS } from './shipClasses.js';
+
+// Torpedo colours by guidance mode
+const TORPEDO_COLORS = { dumbfire: '#ff6600', homing: '#ff3366', proximity: '#ffcc00' };
+
+// Firing arc colours by weapon (r, g, b)
+const ARC_COLORS = { phaser: '255, 100, 100', torpedo: '255, 170, 0' };
 
 class Renderer {
     constructor() {
@@ -128,8 +135,8 @@ class Renderer {
         };
     }
 
-    // Draw a ship
-    drawShip(ship, centerX, centerY, scale, isPlayer = false, isTarget = false) {
+    // Draw a ship, coloured by how it regards the player
+    drawShip(ship, centerX, centerY, scale, isPlayer = false, isTarget = false, disposition = 'friendly') {
         const pos = this.worldToScreen(ship.x, ship.y, centerX, centerY, scale);
         const size = ship.size / scale;
         
@@ -149,7 +156,7 @@ class Renderer {
             neutral: { main: '#ffcc00', glow: 'rgba(255, 204, 0, 0.3)' },
             hostile: { main: '#ff3366', glow: 'rgba(255, 51, 102, 0.3)' }
         };
-        const color = colors[ship.faction] || colors.neutral;
+        const color = colors[disposition] || colors.neutral;
 
         // Target indicator
         if (isTarget) {
@@ -162,39 +169,38 @@ class Renderer {
             this.ctx.setLineDash([]);
         }
 
-        // Shield bubble (if shields are up)
-        if (ship.shieldStrength > 0 && ship.subsystems.shields.power > 0) {
-            const shieldAlpha = (ship.shieldStrength / ship.maxShieldStrength) * 0.3;
-            this.ctx.fillStyle = `rgba(100, 200, 255, ${shieldAlpha})`;
-            this.ctx.beginPath();
-            this.ctx.arc(0, 0, size + 5, 0, Math.PI * 2);
-            this.ctx.fill();
+        // Shield arcs, one per facing, brighter the stronger they are (if shields are up)
+        if (ship.subsystems.shields.power > 0) {
+            SHIELD_FACINGS.forEach(facing => {
+                const strength = ship.shields[facing] / ship.maxShieldStrength;
+                if (strength <= 0) return;
+
+                const center = (SHIELD_FACING_ANGLES[facing] * Math.PI) / 180;
+                this.ctx.strokeStyle = `rgba(100, 200, 255, ${Math.min(1, strength) * 0.7})`;
+                this.ctx.lineWidth = strength > 1 ? 4 : 2; // Reinforced beyond normal capacity
+                this.ctx.beginPath();
+                this.ctx.arc(0, 0, size + 5, center - 0.7, center + 0.7);
+                this.ctx.stroke();
+            });
         }
 
         // Glow effect
         this.ctx.shadowColor = color.main;
         this.ctx.shadowBlur = isPlayer ? 20 : 10;
 
-        // Ship body (triangle pointing right)
+        // Ship body: its class's silhouette, nose pointing right. Contacts we haven't
+        // identified show a generic outline.
+        const identified = ship.scanned || disposition === 'friendly' || isPlayer;
         this.ctx.fillStyle = color.main;
         this.ctx.beginPath();
-        
-        if (isPlayer) {
-            // Player ship - more detailed
-            this.ctx.moveTo(size, 0);
-            this.ctx.lineTo(-size * 0.7, -size * 0.6);
-            this.ctx.lineTo(-size * 0.3, 0);
-            this.ctx.lineTo(-size * 0.7, size * 0.6);
-            this.ctx.closePath();
-        } else {
-            // NPC ships - simpler
-            this.ctx.moveTo(size * 0.8, 0);
-            this.ctx.lineTo(-size * 0.5, -size * 0.5);
-            this.ctx.lineTo(-size * 0.3, 0);
-            this.ctx.lineTo(-size * 0.5, size * 0.5);
-            this.ctx.closePath();
-        }
-        
+        getShipClass(identified ? ship.type : DEFAULT_SHIP_CLASS).silhouette.forEach(([x, y], i) => {
+            if (i === 0) {
+                this.ctx.moveTo(x * size, y * size);
+            } else {
+                this.ctx.lineTo(x * size, y * size);
+            }
+        });
+        this.ctx.closePath();
         this.ctx.fill();
 
         // Engine glow
@@ -213,7 +219,7 @@ class Renderer {
         this.ctx.restore();
 
         // Draw ship name if scanned or friendly
-        if ((ship.scanned || ship.faction === 'friendly' || isPlayer) && scale < 2) {
+        if (identified && scale < 2) {
             this.ctx.fillStyle = 'rgba(200, 220, 255, 0.8)';
             this.ctx.font = '10px monospace';
             this.ctx.textAlign = 'center';
@@ -221,10 +227,268 @@ class Renderer {
         }
     }
 
+    // Draw a planet, starbase, asteroid field or nebula
+    drawBody(body, centerX, centerY, scale, disposition = 'friendly') {
+        const pos = this.worldToScreen(body.x, body.y, centerX, centerY, scale);
+        const radius = body.radius / scale;
+        const reach = body.type === 'planet' ? radius * GRAVITY_WELL : radius;
+
+        // Skip if off screen
+        if (pos.x < -reach || pos.x > this.width + reach ||
+            pos.y < -reach || pos.y > this.height + reach) {
+            return;
+        }
+
+        this.ctx.save();
+
+        switch (body.type) {
+            case 'nebula': {
+                const cloud = this.ctx.createRadialGradient(pos.x, pos.y, 0, pos.x, pos.y, radius);
+                cloud.addColorStop(0, 'rgba(160, 80, 200, 0.3)');
+                cloud.addColorStop(0.7, 'rgba(120, 60, 180, 0.15)');
+                cloud.addColorStop(1, 'rgba(120, 60, 180, 0)');
+                this.ctx.fillStyle = cloud;
+                this.ctx.beginPath();
+                this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+                this.ctx.fill();
+                break;
+            }
+
+            case 'asteroids': {
+                this.ctx.strokeStyle = 'rgba(180, 150, 110, 0.25)';
+                this.ctx.lineWidth = 1;
+                this.ctx.setLineDash([2, 6]);
+                this.ctx.beginPath();
+                this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+                this.ctx.stroke();
+
+                // Rocks sit at fixed spots worked out from their index, so they don't jump between frames
+                this.ctx.fillStyle = 'rgba(160, 130, 100, 0.8)';
+                const rocks = Math.round(40 * body.density);
+                for (let i = 0; i < rocks; i++) {
+                    const angle = i * 2.39996; // Golden angle spreads them evenly
+                    const distance = Math.sqrt((i + 0.5) / rocks) * radius;
+                    const size = (2 + (i * 7) % 5) / scale;
+                    this.ctx.beginPath();
+                    this.ctx.arc(pos.x + Math.cos(angle) * distance, pos.y + Math.sin(angle) * distance,
+                        Math.max(1, size), 0, Math.PI * 2);
+                    this.ctx.fill();
+                }
+                break;
+            }
+
+            case 'planet': {
+                // Gravity well
+                this.ctx.strokeStyle = 'rgba(100, 160, 255, 0.15)';
+                this.ctx.lineWidth = 1;
+                this.ctx.setLineDash([4, 8]);
+                this.ctx.beginPath();
+                this.ctx.arc(pos.x, pos.y, reach, 0, Math.PI * 2);
+                this.ctx.stroke();
+                this.ctx.setLineDash([]);
+
+                const surface = this.ctx.createRadialGradient(
+                    pos.x - radius * 0.3, pos.y - radius * 0.3, radius * 0.1, pos.x, pos.y, radius);
+                surface.addColorStop(0, '#6fa8dc');
+                surface.addColorStop(1, '#1c3d5a');
+                this.ctx.fillStyle = surface;
+                this.ctx.beginPath();
+                this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+                this.ctx.fill();
+                break;
+            }
+
+            case 'starbase': {
+                const colors = { friendly: '#00ff88', neutral: '#ffcc00', hostile: '#ff3366' };
+                const size = Math.max(6, radius);
+                this.ctx.strokeStyle = colors[disposition] || colors.neutral;
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.arc(pos.x, pos.y, size, 0, Math.PI * 2);
+                this.ctx.stroke();
+                this.ctx.strokeRect(pos.x - size * 0.4, pos.y - size * 0.4, size * 0.8, size * 0.8);
+                break;
+            }
+        }
+
+        // Names for the landmarks
+        if ((body.type === 'planet' || body.type === 'starbase') && scale < 4) {
+            this.ctx.fillStyle = 'rgba(200, 220, 255, 0.7)';
+            this.ctx.font = '10px monospace';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(body.name, pos.x, pos.y + Math.max(6, radius) + 14);
+        }
+
+        this.ctx.restore();
+    }
+
+    // Draw a faint sensor contact - position and identity are uncertain, so no faction colour
+    drawContactBlip(contact, centerX, centerY, scale, isTarget = false) {
+        const pos = this.worldToScreen(contact.x, contact.y, centerX, centerY, scale);
+
+        if (pos.x < -50 || pos.x > this.width + 50 ||
+            pos.y < -50 || pos.y > this.height + 50) {
+            return;
+        }
+
+        const pulse = Math.sin(Date.now() / 300) * 0.2 + 0.5;
+
+        this.ctx.save();
+        this.ctx.fillStyle = `rgba(180, 200, 220, ${pulse})`;
+        this.ctx.beginPath();
+        this.ctx.arc(pos.x, pos.y, 4, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        // Uncertainty ring
+        this.ctx.strokeStyle = `rgba(180, 200, 220, ${pulse * 0.5})`;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.arc(pos.x, pos.y, 12, 0, Math.PI * 2);
+        this.ctx.stroke();
+
+        if (isTarget) {
+            this.ctx.strokeStyle = '#ff0000';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([5, 5]);
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, 20, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+        this.ctx.restore();
+    }
+
+    // Draw where a contact was last seen, with how long ago
+    drawLastKnown(contact, ship, gameTime, centerX, centerY, scale) {
+        const pos = this.worldToScreen(contact.x, contact.y, centerX, centerY, scale);
+
+        if (pos.x < -50 || pos.x > this.width + 50 ||
+            pos.y < -50 || pos.y > this.height + 50) {
+            return;
+        }
+
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(180, 200, 220, 0.5)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([3, 3]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(pos.x - 8, pos.y - 8);
+        this.ctx.lineTo(pos.x + 8, pos.y + 8);
+        this.ctx.moveTo(pos.x + 8, pos.y - 8);
+        this.ctx.lineTo(pos.x - 8, pos.y + 8);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        const seconds = Math.round((gameTime - contact.lastSeen) / 20);
+        this.ctx.fillStyle = 'rgba(180, 200, 220, 0.6)';
+        this.ctx.font = '10px monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(ship.scanned ? ship.name : 'LAST KNOWN', pos.x, pos.y + 20);
+        this.ctx.fillText(`${seconds}s ago`, pos.x, pos.y + 32);
+        this.ctx.restore();
+    }
+
+    // Draw the edge of clear sensor coverage around a ship
+    drawSensorRange(ship, range, centerX, centerY, scale) {
+        const pos = this.worldToScreen(ship.x, ship.y, centerX, centerY, scale);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(0, 200, 255, 0.2)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 8]);
+        this.ctx.beginPath();
+        this.ctx.arc(pos.x, pos.y, range / scale, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    // Wedges out to weapon range for each of a ship's mounts; the ones listed in
+    // bearing (hardpoint ids) cover the current target and are drawn brighter
+    drawFiringArcs(ship, bearing, centerX, centerY, scale) {
+        const pos = this.worldToScreen(ship.x, ship.y, centerX, centerY, scale);
+
+        this.ctx.save();
+        this.ctx.lineWidth = 1;
+        ship.hardpoints.forEach(hardpoint => {
+            const color = ARC_COLORS[hardpoint.weapon];
+            const active = bearing.includes(hardpoint.id);
+            const center = (ship.heading + hardpoint.facing) * Math.PI / 180;
+            const half = hardpoint.arc / 2 * Math.PI / 180;
+
+            this.ctx.fillStyle = `rgba(${color}, ${active ? 0.15 : 0.04})`;
+            this.ctx.strokeStyle = `rgba(${color}, ${active ? 0.6 : 0.2})`;
+            this.ctx.beginPath();
+            this.ctx.moveTo(pos.x, pos.y);
+            this.ctx.arc(pos.x, pos.y, WEAPON_RANGES[hardpoint.weapon] / scale, center - half, center + half);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    // Draw where the ship will be in two seconds on its current momentum
+    drawVelocityVector(ship, centerX, centerY, scale) {
+        const start = this.worldToScreen(ship.x, ship.y, centerX, centerY, scale);
+        const end = this.worldToScreen(ship.x + ship.vx * 40, ship.y + ship.vy * 40, centerX, centerY, scale);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255, 200, 0, 0.7)';
+        this.ctx.fillStyle = 'rgba(255, 200, 0, 0.7)';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(start.x, start.y);
+        this.ctx.lineTo(end.x, end.y);
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.arc(end.x, end.y, 3, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+
+    // A pulsing field while the warp drive charges, star streaks while at warp
+    drawWarpEffect(warp, ship, centerX, centerY, scale) {
+        this.ctx.save();
+
+        if (warp.status === 'charging') {
+            const pos = this.worldToScreen(ship.x, ship.y, centerX, centerY, scale);
+            const pulse = Math.sin(Date.now() / 100) * 0.2 + 0.6;
+            this.ctx.strokeStyle = `rgba(150, 180, 255, ${pulse * warp.charge})`;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, (ship.size * (1 + warp.charge)) / scale, 0, Math.PI * 2);
+            this.ctx.stroke();
+        } else if (warp.status === 'active') {
+            // Each streak keeps its lane across the screen and scrolls back past the ship
+            const radians = (ship.heading * Math.PI) / 180;
+            const dirX = Math.cos(radians);
+            const dirY = Math.sin(radians);
+            const span = Math.hypot(this.width, this.height);
+            const travel = (Date.now() / 1000) * span * (0.5 + warp.factor * 0.25);
+            const length = 30 + warp.factor * 15;
+
+            this.ctx.strokeStyle = 'rgba(200, 220, 255, 0.6)';
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            for (let i = 0; i < 60; i++) {
+                const lane = (((i * 37) % 60) / 60 - 0.5) * span;
+                const along = ((i * 0.618 * span + travel) % span) - span / 2;
+                const x = this.width / 2 - dirY * lane - dirX * along;
+                const y = this.height / 2 + dirX * lane - dirY * along;
+                this.ctx.moveTo(x, y);
+                this.ctx.lineTo(x - dirX * length, y - dirY * length);
+            }
+            this.ctx.stroke();
+        }
+
+        this.ctx.restore();
+    }
+
     // Draw a torpedo
     drawTorpedo(projectile, centerX, centerY, scale) {
         const pos = this.worldToScreen(projectile.x, projectile.y, centerX, centerY, scale);
         const size = projectile.size / scale;
+        const color = TORPEDO_COLORS[projectile.mode] || TORPEDO_COLORS.dumbfire;
 
         // Skip if off screen
         if (pos.x < -20 || pos.x > this.width + 20 || 
@@ -234,20 +498,73 @@ class Renderer {
 
         this.ctx.save();
         this.ctx.translate(pos.x, pos.y);
+
+        // Proximity torpedoes show their fuse range as a pulsing ring
+        if (projectile.mode === 'proximity') {
+            const pulse = Math.sin(Date.now() / 150) * 0.15 + 0.35;
+            this.ctx.strokeStyle = `rgba(255, 204, 0, ${pulse})`;
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([3, 3]);
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, PROXIMITY_FUSE / scale, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+
+        if (projectile.ordnance === 'mine') {
+            this.drawMine(size);
+            this.ctx.restore();
+            return;
+        }
+
+        // Probes show how far out they can see
+        if (projectile.ordnance === 'probe') {
+            this.ctx.strokeStyle = 'rgba(0, 240, 255, 0.15)';
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, ORDNANCE.probe.sensorRange / scale, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+
         this.ctx.rotate((projectile.heading * Math.PI) / 180);
 
-        // Torpedo glow
-        this.ctx.shadowColor = '#ff6600';
+        if (projectile.ordnance === 'probe') {
+            this.ctx.fillStyle = '#00f0ff';
+            this.ctx.beginPath();
+            this.ctx.moveTo(size * 1.5, 0);
+            this.ctx.lineTo(0, -size);
+            this.ctx.lineTo(-size * 1.5, 0);
+            this.ctx.lineTo(0, size);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.restore();
+            return;
+        }
+
+        // Torpedo glow (EMP warheads crackle blue)
+        this.ctx.shadowColor = projectile.ordnance === 'emp' ? '#66ccff' : color;
         this.ctx.shadowBlur = 15;
 
         // Torpedo body
-        this.ctx.fillStyle = '#ff6600';
+        this.ctx.fillStyle = color;
         this.ctx.beginPath();
         this.ctx.ellipse(0, 0, size * 1.5, size * 0.5, 0, 0, Math.PI * 2);
         this.ctx.fill();
 
+        // Homing torpedoes sweep a seeker cone ahead of them
+        if (projectile.mode === 'homing') {
+            this.ctx.fillStyle = 'rgba(255, 51, 102, 0.25)';
+            this.ctx.beginPath();
+            this.ctx.moveTo(size * 1.5, 0);
+            this.ctx.lineTo(size * 6, -size * 2);
+            this.ctx.lineTo(size * 6, size * 2);
+            this.ctx.closePath();
+            this.ctx.fill();
+        }
+
         // Trail
-        this.ctx.fillStyle = 'rgba(255, 100, 0, 0.5)';
+        this.ctx.fillStyle = color;
+        this.ctx.globalAlpha = 0.5;
         this.ctx.beginPath();
         this.ctx.moveTo(-size * 1.5, 0);
         this.ctx.lineTo(-size * 4, -size * 0.3);
@@ -259,6 +576,49 @@ class Renderer {
         this.ctx.restore();
     }
 
+    // A mine: a dark core ringed with contact spikes
+    drawMine(size) {
+        this.ctx.strokeStyle = '#ffcc00';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (let i = 0; i < 8; i++) {
+            const angle = (i / 8) * Math.PI * 2;
+            this.ctx.moveTo(Math.cos(angle) * size, Math.sin(angle) * size);
+            this.ctx.lineTo(Math.cos(angle) * size * 1.8, Math.sin(angle) * size * 1.8);
+        }
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = '#665200';
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, size, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+    }
+
+    // A cargo pod left by a destroyed ship, fading as it nears breaking up
+    drawCargoPod(pod, centerX, centerY, scale) {
+        const pos = this.worldToScreen(pod.x, pod.y, centerX, centerY, scale);
+        if (pos.x < -20 || pos.x > this.width + 20 || pos.y < -20 || pos.y > this.height + 20) return;
+
+        const size = Math.max(3, 8 / scale);
+        this.ctx.save();
+        this.ctx.globalAlpha = Math.min(1, 0.4 + pod.lifetime / 600);
+        this.ctx.strokeStyle = '#ffaa33';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.strokeRect(pos.x - size, pos.y - size, size * 2, size * 2);
+        this.ctx.beginPath();
+        this.ctx.moveTo(pos.x - size, pos.y);
+        this.ctx.lineTo(pos.x + size, pos.y);
+        this.ctx.stroke();
+        if (scale < 4) {
+            this.ctx.fillStyle = '#ffaa33';
+            this.ctx.font = '9px monospace';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('CARGO', pos.x, pos.y + size + 11);
+        }
+        this.ctx.restore();
+    }
+
     // Draw phaser beam
     drawPhaserBeam(beam, centerX, centerY, scale) {
         const start = this.worldToScreen(beam.x1, beam.y1, centerX, centerY, scale);
@@ -291,8 +651,7 @@ class Renderer {
         this.ctx.stroke();
     }
 
-    drawWaypointLine(waypoint, centerX, centerY, scale) {
-        const ship = gameState.playerShip;
+    drawWaypointLine(waypoint, ship, centerX, centerY, scale) {
         const start = this.worldToScreen(ship.x, ship.y, centerX, centerY, scale);
         const end = this.worldToScreen(waypoint.x, waypoint.y, centerX, centerY, scale);
 
@@ -307,6 +666,43 @@ class Renderer {
         this.ctx.restore();
     }
 
+    // AI debug overlay: a line to the ship's target, a cross on its destination, and its
+    // profile and current behavior
+    drawAIDebug(ship, world, centerX, centerY, scale) {
+        if (!ship.brain) return;
+        const pos = this.worldToScreen(ship.x, ship.y, centerX, centerY, scale);
+        const target = world.getShip(ship.target);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255, 80, 255, 0.5)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
+        if (target) {
+            const end = this.worldToScreen(target.x, target.y, centerX, centerY, scale);
+            this.ctx.beginPath();
+            this.ctx.moveTo(pos.x, pos.y);
+            this.ctx.lineTo(end.x, end.y);
+            this.ctx.stroke();
+        }
+        this.ctx.setLineDash([]);
+        if (ship.destination) {
+            const dest = this.worldToScreen(ship.destination.x, ship.destination.y, centerX, centerY, scale);
+            this.ctx.beginPath();
+            this.ctx.moveTo(dest.x - 4, dest.y - 4);
+            this.ctx.lineTo(dest.x + 4, dest.y + 4);
+            this.ctx.moveTo(dest.x + 4, dest.y - 4);
+            this.ctx.lineTo(dest.x - 4, dest.y + 4);
+            this.ctx.stroke();
+        }
+
+        this.ctx.fillStyle = 'rgba(255, 120, 255, 0.9)';
+        this.ctx.font = '10px monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`${ship.brain.profile} · ${ship.brain.behavior || '-'} (${ship.aiState})`,
+            pos.x, pos.y - ship.size / scale - 12);
+        this.ctx.restore();
+    }
+
     // Draw waypoint marker
     drawWaypoint(waypoint, centerX, centerY, scale) {
         const pos = this.worldToScreen(waypoint.x, waypoint.y, centerX, centerY, scale);
@@ -374,8 +770,7 @@ class Renderer {
     }
 
     // Draw HUD elements
-    drawHUD(scale) {
-        const player = gameState.playerShip;
+    drawHUD(scale, player) {
         
         // Scale indicator
         this.ctx.fillStyle = 'rgba(0, 200, 255, 0.7)';
@@ -389,18 +784,29 @@ class Renderer {
         this.ctx.fillText(`HDG: ${Math.round(player.heading)}°`, this.width - 20, 90);
     }
 
-    // Main render function for map view
+    // Main render function for map view.
+    // `world` defaults to the live game; the replay viewer passes a recorded frame instead
+    // (anything with the same ship/projectile fields and a getDisposition(ship) method).
+    // Ships are drawn as the world's sensor contacts show them; a world without
+    // contacts (a replay) shows every ship.
     renderMap(options = {}) {
+        const world = options.world || gameState;
         const {
-            centerX = gameState.playerShip.x,
-            centerY = gameState.playerShip.y,
+            centerX = world.playerShip.x,
+            centerY = world.playerShip.y,
             scale = 1,
             showGrid = true,
             showHUD = true,
             showRadar = false,
             radarAngle = 0,
             scanRadius = 0,
-            showWaypointLine = false
+            showWaypointLine = false,
+            showLastKnown = false,
+            showVelocityVector = false,
+            showFiringArcs = false,
+            bearingHardpoints = [], // Mounts to highlight when showing firing arcs
+            showAIDebug = false,
+            sensorRange = 0
         } = options;
 
         this.clear();
@@ -410,43 +816,80 @@ class Renderer {
             this.drawGrid(centerX, centerY, scale);
         }
 
+        // Planets, starbases, asteroid fields and nebulae sit under everything that moves
+        (world.bodies || []).forEach(body => {
+            const disposition = body.type === 'starbase' ? world.getDisposition(body) : null;
+            this.drawBody(body, centerX, centerY, scale, disposition);
+        });
+
         if (showRadar) {
             this.drawRadarSweep(centerX, centerY, scale, radarAngle);
         }
 
+        if (sensorRange > 0) {
+            this.drawSensorRange(world.playerShip, sensorRange, centerX, centerY, scale);
+        }
+
+        if (showFiringArcs) {
+            this.drawFiringArcs(world.playerShip, bearingHardpoints, centerX, centerY, scale);
+        }
+
         if (scanRadius > 0) {
-            this.drawScanRing(gameState.playerShip, scanRadius, centerX, centerY, scale);
+            this.drawScanRing(world.playerShip, scanRadius, centerX, centerY, scale);
         }
 
         // Draw waypoint
-        if (gameState.waypoint) {
+        if (world.waypoint) {
             if (showWaypointLine) {
-                this.drawWaypointLine(gameState.waypoint, centerX, centerY, scale);
+                this.drawWaypointLine(world.waypoint, world.playerShip, centerX, centerY, scale);
             }
-            this.drawWaypoint(gameState.waypoint, centerX, centerY, scale);
+            this.drawWaypoint(world.waypoint, centerX, centerY, scale);
         }
 
+        // Salvage drifting where ships were destroyed
+        (world.cargoPods || []).forEach(pod => {
+            this.drawCargoPod(pod, centerX, centerY, scale);
+        });
+
         // Draw phaser beams
-        gameState.phaserBeams.forEach(beam => {
+        world.phaserBeams.forEach(beam => {
             this.drawPhaserBeam(beam, centerX, centerY, scale);
         });
 
         // Draw torpedoes
-        gameState.projectiles.forEach(proj => {
+        world.projectiles.forEach(proj => {
             this.drawTorpedo(proj, centerX, centerY, scale);
         });
 
         // Draw NPC ships
-        gameState.ships.forEach(ship => {
-            const isTarget = ship.id === gameState.currentTarget;
-            this.drawShip(ship, centerX, centerY, scale, false, isTarget);
+        world.ships.forEach(ship => {
+            const isTarget = ship.id === world.currentTarget;
+            const contact = world.contacts ? world.contacts[ship.id] : { status: 'detected' };
+            if (!contact) return;
+
+            if (contact.status === 'detected') {
+                this.drawShip(ship, centerX, centerY, scale, false, isTarget, world.getDisposition(ship));
+                if (showAIDebug) {
+                    this.drawAIDebug(ship, world, centerX, centerY, scale);
+                }
+            } else if (contact.status === 'faint') {
+                this.drawContactBlip(contact, centerX, centerY, scale, isTarget);
+            } else if (showLastKnown) {
+                this.drawLastKnown(contact, ship, world.gameTime, centerX, centerY, scale);
+            }
         });
 
         // Draw player ship
-        this.drawShip(gameState.playerShip, centerX, centerY, scale, true, false);
+        if (world.warp) {
+            this.drawWarpEffect(world.warp, world.playerShip, centerX, centerY, scale);
+        }
+        if (showVelocityVector) {
+            this.drawVelocityVector(world.playerShip, centerX, centerY, scale);
+        }
+        this.drawShip(world.playerShip, centerX, centerY, scale, true, false);
 
         if (showHUD) {
-            this.drawHUD(scale);
+            this.drawHUD(scale, world.playerShip);
         }
     }
 }
@@ -1,25 +1,753 @@
 /**
- * Initial Scenario Setup
- * Spawns ships and sets up the starting game state
+ * Scenario Loader
+ * Loads, validates and spawns data-driven scenario files from /scenarios
  */
 
-import { gameState } from './state.js';
+import { gameState, createShip, createShields, createMagazine, createHardpoints, STANDINGS, SCAN_LEVELS, FLIGHT_MODELS, DIFFICULTIES, BODY_TYPES, MARKET_DEFAULTS, GOODS_TYPES, ORDNANCE_TYPES, HARDPOINT_WEAPONS } from './state.js';
+import { rng } from './random.js';
+import { objectives, OBJECTIVE_TYPES } from './objectives.js';
+import { triggers, TRIGGER_CONDITIONS, TRIGGER_ACTIONS } from './triggers.js';
+import { sensors } from './sensors.js';
+import { SHIP_CLASS_IDS } from './shipClasses.js';
+import { ai } from './ai.js';
+import { economy } from './economy.js';
 
-// Ship name generators
-const friendlyNames = [
-    'USS Valor', 'USS Horizon', 'USS Discovery', 'USS Pathfinder',
-    'USS Sentinel', 'USS Pioneer', 'USS Defiant', 'USS Resolute'
-];
+export const DEFAULT_SCENARIO = 'patrol';
 
-const neutralNames = [
-    'SS Aurora', 'SS Merchant Star', 'SS Free Spirit', 'SS Wanderer',
-    'SS Fortune', 'SS Nebula Trader', 'SS Cargo King', 'SS Silent Runner'
-];
+const TICKS_PER_SECOND = 20;
+const FACTIONS = ['friendly', 'neutral', 'hostile']; // Built in; scenarios can add more
+const SUBSYSTEMS = ['engines', 'weapons', 'shields', 'sensors'];
+const MESSAGE_TYPES = ['normal', 'alert', 'hail', 'info'];
+const ALERT_LEVELS = ['normal', 'yellow', 'red'];
+const SHIP_STATS = ['maxVelocity', 'turnRate', 'mass', 'thrust', 'size', 'hull', 'maxHull', 'shieldStrength', 'maxShieldStrength', 'sensorRange'];
+// What the player's ship class decides (everything else carries over from reset)
+const CLASS_FIELDS = ['maxVelocity', 'turnRate', 'mass', 'thrust', 'size', 'maxHull', 'maxShieldStrength', 'subsystems', 'hardpoints', 'sensorRange'];
 
-const hostileNames = [
-    'IKS Vengeance', 'IKS Bloodwing', 'IKS Ravager', 'IKS Death Strike',
-    'IKS Shadow Hunter', 'IKS Wrath', 'IKS Destroyer', 'IKS Predator'
-];
+// Allowed properties per section (anything else is reported as a likely typo)
+const SCENARIO_KEYS = ['id', 'name', 'description', 'flightModel', 'difficulty', 'factions', 'player', 'ships', 'bodies', 'messages', 'objectives', 'triggers'];
+const FACTION_KEYS = ['name', 'shipNames', 'standings'];
+const PLAYER_KEYS = ['name', 'type', 'position', 'heading', 'loadout', 'hardpoints', ...SHIP_STATS];
+const SHIP_KEYS = ['id', 'name', 'count', 'faction', 'type', 'ai', 'position', 'heading', 'patrol', 'scanned', 'hardpoints', 'cargo', ...SHIP_STATS];
+const HARDPOINT_KEYS = ['id', 'name', 'weapon', 'facing', 'arc'];
+const POSITION_KEYS = ['x', 'y', 'ring', 'bearing', 'spread', 'center'];
+const BODY_KEYS = ['id', 'type', 'name', 'position', 'radius', 'gravity', 'density', 'faction', 'produces', 'consumes'];
+const MARKET_KEYS = ['produces', 'consumes']; // Planets and starbases only
+const BODY_TYPE_KEYS = { gravity: 'planet', density: 'asteroids', faction: 'starbase' }; // Only mean something on one type
+const PATROL_KEYS = ['route', 'center', 'radius', 'points'];
+const MAX_PATROL_POINTS = 32; // Generated patrol routes; any more is a typo, not a route
+const MAX_SHIP_COUNT = 32;    // Ships one entry can spawn, at the start or from a trigger
+const MESSAGE_KEYS = ['time', 'sender', 'text', 'type'];
+const OBJECTIVE_COMMON_KEYS = ['id', 'type', 'description', 'optional'];
+const OBJECTIVE_KEYS = {
+    destroy: ['target', 'faction'],
+    escort: ['ship', 'destination', 'radius'],
+    survive: ['seconds'],
+    scan: ['faction'],
+    reach: ['position', 'radius'],
+    scripted: []
+};
+const TRIGGER_KEYS = ['id', 'when', 'actions'];
+const CONDITION_KEYS = {
+    time: ['seconds'],
+    radius: ['ship', 'position', 'radius'],
+    hull: ['ship', 'below'],
+    scanned: ['ship', 'level'],
+    destroyed: ['ship'],
+    hailed: ['ship']
+};
+const ACTION_KEYS = {
+    spawn: ['ships'],
+    comms: ['sender', 'text', 'type'],
+    setFaction: ['ship', 'faction'],
+    setAlert: ['level'],
+    setStanding: ['faction', 'toward', 'standing', 'mutual'],
+    completeObjective: ['objective']
+};
+
+// ===== LOADING =====
+
+// Fetch and validate a bundled scenario by id
+export async function loadScenario(id) {
+    const url = `scenarios/${encodeURIComponent(id)}.json`;
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load scenario "${id}" from ${url} (HTTP ${response.status})`);
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (e) {
+        throw new Error(`Scenario "${id}" is not valid JSON: ${e.message}`);
+    }
+
+    const errors = validateScenario(data);
+    if (errors.length > 0) {
+        throw new Error(`Scenario "${id}" has ${errors.length} error(s):\n - ${errors.join('\n - ')}`);
+    }
+    return data;
+}
+
+// ===== VALIDATION =====
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isScanLevel(value, min) {
+    return Number.isInteger(value) && value >= min && value <= SCAN_LEVELS.length;
+}
+
+function checkKeys(obj, allowed, path, errors) {
+    Object.keys(obj).forEach(key => {
+        if (!allowed.includes(key)) {
+            errors.push(`${path}.${key}: unknown property (expected one of ${allowed.join(', ')})`);
+        }
+    });
+}
+
+function checkPoint(point, path, errors) {
+    if (!isObject(point) || !isNumber(point.x) || !isNumber(point.y)) {
+        errors.push(`${path}: must be a point like { "x": 0, "y": 0 }`);
+        return false;
+    }
+    return true;
+}
+
+function checkPosition(position, path, errors) {
+    if (!isObject(position)) {
+        errors.push(`${path}: must be { "x", "y" } or { "ring": [min, max] }`);
+        return;
+    }
+    checkKeys(position, POSITION_KEYS, path, errors);
+
+    if ('ring' in position) {
+        const ring = position.ring;
+        if (!Array.isArray(ring) || ring.length !== 2 || !ring.every(isNumber) || ring[0] < 0 || ring[0] > ring[1]) {
+            errors.push(`${path}.ring: must be [minRadius, maxRadius] with 0 <= min <= max`);
+        }
+        if ('bearing' in position && !isNumber(position.bearing)) {
+            errors.push(`${path}.bearing: must be a number of degrees`);
+        }
+        if ('spread' in position && (!isNumber(position.spread) || position.spread < 0)) {
+            errors.push(`${path}.spread: must be a non-negative number of degrees`);
+        }
+        if ('center' in position) {
+            checkPoint(position.center, `${path}.center`, errors);
+        }
+    } else {
+        checkPoint(position, path, errors);
+    }
+}
+
+function checkPositiveStats(obj, path, errors) {
+    SHIP_STATS.forEach(stat => {
+        if (stat in obj && (!isNumber(obj[stat]) || obj[stat] <= 0)) {
+            errors.push(`${path}.${stat}: must be a positive number`);
+        }
+    });
+}
+
+function checkHeading(heading, path, errors) {
+    if (heading !== 'random' && !isNumber(heading)) {
+        errors.push(`${path}: must be a number of degrees or "random"`);
+    }
+}
+
+function checkPatrol(patrol, path, errors) {
+    if (!isObject(patrol)) {
+        errors.push(`${path}: must be { "route": [...] } or { "center", "radius", "points" }`);
+        return;
+    }
+    checkKeys(patrol, PATROL_KEYS, path, errors);
+
+    if ('route' in patrol) {
+        if (!Array.isArray(patrol.route) || patrol.route.length === 0) {
+            errors.push(`${path}.route: must be a non-empty array of points`);
+        } else {
+            patrol.route.forEach((point, i) => checkPoint(point, `${path}.route[${i}]`, errors));
+        }
+        return;
+    }
+
+    if (patrol.center !== 'spawn') {
+        checkPosition(patrol.center, `${path}.center`, errors);
+    }
+    if (!isNumber(patrol.radius) || patrol.radius <= 0) {
+        errors.push(`${path}.radius: must be a positive number`);
+    }
+    if (!Number.isInteger(patrol.points) || patrol.points < 1 || patrol.points > MAX_PATROL_POINTS) {
+        errors.push(`${path}.points: must be a whole number from 1 to ${MAX_PATROL_POINTS}`);
+    }
+}
+
+function checkFactionRef(faction, path, context, errors) {
+    if (!context.factionIds.includes(faction)) {
+        errors.push(`${path}: must be one of ${context.factionIds.join(', ')}`);
+        return false;
+    }
+    return true;
+}
+
+// One planet, starbase, asteroid field or nebula
+function checkBody(body, path, context, errors) {
+    if (!isObject(body)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    if (!BODY_TYPES.includes(body.type)) {
+        errors.push(`${path}.type: must be one of ${BODY_TYPES.join(', ')}`);
+        return;
+    }
+    checkKeys(body, BODY_KEYS, path, errors);
+
+    if (!('position' in body)) {
+        errors.push(`${path}.position: required`);
+    } else {
+        checkPosition(body.position, `${path}.position`, errors);
+    }
+    if ('name' in body && typeof body.name !== 'string') {
+        errors.push(`${path}.name: must be a string`);
+    }
+    if ('radius' in body && (!isNumber(body.radius) || body.radius <= 0)) {
+        errors.push(`${path}.radius: must be a positive number`);
+    }
+
+    Object.entries(BODY_TYPE_KEYS).forEach(([key, type]) => {
+        if (key in body && body.type !== type) {
+            errors.push(`${path}.${key}: only applies to ${type} bodies`);
+        }
+    });
+    if (body.type === 'planet' && 'gravity' in body && (!isNumber(body.gravity) || body.gravity < 0)) {
+        errors.push(`${path}.gravity: must be a number >= 0`);
+    }
+    if (body.type === 'asteroids' && 'density' in body && (!isNumber(body.density) || body.density <= 0 || body.density > 1)) {
+        errors.push(`${path}.density: must be greater than 0 and at most 1`);
+    }
+    if (body.type === 'starbase' && 'faction' in body) {
+        checkFactionRef(body.faction, `${path}.faction`, context, errors);
+    }
+    MARKET_KEYS.forEach(key => {
+        if (!(key in body)) return;
+        if (!MARKET_DEFAULTS[body.type]) {
+            errors.push(`${path}.${key}: only applies to ${Object.keys(MARKET_DEFAULTS).join(' and ')} bodies`);
+        } else if (!Array.isArray(body[key]) || body[key].some(good => !GOODS_TYPES.includes(good) || good === 'contraband')) {
+            errors.push(`${path}.${key}: must be a list of goods from ${GOODS_TYPES.filter(good => good !== 'contraband').join(', ')}`);
+        }
+    });
+}
+
+// Units in a hold by good, e.g. { "food": 20 }
+function checkCargo(cargo, path, errors) {
+    if (!isObject(cargo)) {
+        errors.push(`${path}: must be an object keyed by good`);
+        return;
+    }
+    Object.entries(cargo).forEach(([good, amount]) => {
+        if (!GOODS_TYPES.includes(good)) {
+            errors.push(`${path}.${good}: unknown good (expected one of ${GOODS_TYPES.join(', ')})`);
+        } else if (!Number.isInteger(amount) || amount < 0) {
+            errors.push(`${path}.${good}: must be a whole number of at least 0`);
+        }
+    });
+}
+
+function checkHardpoints(hardpoints, path, errors) {
+    if (!Array.isArray(hardpoints)) {
+        errors.push(`${path}: must be an array of weapon mounts`);
+        return;
+    }
+    const ids = new Set();
+    hardpoints.forEach((hardpoint, i) => {
+        const hpPath = `${path}[${i}]`;
+        if (!isObject(hardpoint)) {
+            errors.push(`${hpPath}: must be an object`);
+            return;
+        }
+        checkKeys(hardpoint, HARDPOINT_KEYS, hpPath, errors);
+        if (!HARDPOINT_WEAPONS.includes(hardpoint.weapon)) {
+            errors.push(`${hpPath}.weapon: must be one of ${HARDPOINT_WEAPONS.join(', ')}`);
+        }
+        if ('id' in hardpoint) {
+            if (typeof hardpoint.id !== 'string' || hardpoint.id === '') {
+                errors.push(`${hpPath}.id: must be a non-empty string`);
+            } else if (ids.has(hardpoint.id)) {
+                errors.push(`${hpPath}.id: duplicate hardpoint id "${hardpoint.id}"`);
+            }
+            ids.add(hardpoint.id);
+        }
+        if ('name' in hardpoint && typeof hardpoint.name !== 'string') {
+            errors.push(`${hpPath}.name: must be a string`);
+        }
+        if ('facing' in hardpoint && (!isNumber(hardpoint.facing) || hardpoint.facing < 0 || hardpoint.facing >= 360)) {
+            errors.push(`${hpPath}.facing: must be degrees off the bow from 0 to 359`);
+        }
+        if ('arc' in hardpoint && (!isNumber(hardpoint.arc) || hardpoint.arc <= 0 || hardpoint.arc > 360)) {
+            errors.push(`${hpPath}.arc: must be greater than 0 and at most 360 degrees`);
+        }
+    });
+}
+
+// One NPC ship spec (scenario ships and trigger spawns). Records its id and name needs.
+function checkShip(ship, path, context, errors) {
+    const { ids, namesNeeded } = context;
+    if (!isObject(ship)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    checkKeys(ship, SHIP_KEYS, path, errors);
+    checkPositiveStats(ship, path, errors);
+
+    const count = 'count' in ship ? ship.count : 1;
+    const validCount = Number.isInteger(count) && count >= 1 && count <= MAX_SHIP_COUNT;
+    if (!validCount) {
+        errors.push(`${path}.count: must be a whole number from 1 to ${MAX_SHIP_COUNT}`);
+    }
+
+    if ('id' in ship) {
+        if (typeof ship.id !== 'string' || ship.id === '' || ship.id === 'player') {
+            errors.push(`${path}.id: must be a non-empty string other than "player"`);
+        } else if (ids.has(ship.id)) {
+            errors.push(`${path}.id: duplicate ship id "${ship.id}"`);
+        } else if (count > 1) {
+            errors.push(`${path}.id: cannot be combined with "count" (ids must be unique)`);
+        }
+        ids.add(ship.id);
+    }
+
+    if (checkFactionRef(ship.faction, `${path}.faction`, context, errors) && !('name' in ship)) {
+        namesNeeded[ship.faction] = (namesNeeded[ship.faction] || 0) + (validCount ? count : 1);
+    }
+
+    if ('name' in ship && typeof ship.name !== 'string') {
+        errors.push(`${path}.name: must be a string`);
+    }
+    if ('type' in ship && !SHIP_CLASS_IDS.includes(ship.type)) {
+        errors.push(`${path}.type: must be one of ${SHIP_CLASS_IDS.join(', ')}`);
+    }
+    if ('ai' in ship && !ai.getProfileIds().includes(ship.ai)) {
+        errors.push(`${path}.ai: must be one of ${ai.getProfileIds().join(', ')}`);
+    }
+    if ('scanned' in ship && typeof ship.scanned !== 'boolean' && !isScanLevel(ship.scanned, 0)) {
+        errors.push(`${path}.scanned: must be true, false or a scan level from 0 to ${SCAN_LEVELS.length}`);
+    }
+
+    if (!('position' in ship)) {
+        errors.push(`${path}.position: required`);
+    } else {
+        checkPosition(ship.position, `${path}.position`, errors);
+    }
+    if ('heading' in ship) checkHeading(ship.heading, `${path}.heading`, errors);
+    if ('patrol' in ship) checkPatrol(ship.patrol, `${path}.patrol`, errors);
+    if ('hardpoints' in ship) checkHardpoints(ship.hardpoints, `${path}.hardpoints`, errors);
+    if ('cargo' in ship) checkCargo(ship.cargo, `${path}.cargo`, errors);
+}
+
+// Returns a list of human-readable problems (empty when the scenario is valid)
+export function validateScenario(data) {
+    const errors = [];
+
+    if (!isObject(data)) {
+        return ['scenario: must be a JSON object'];
+    }
+    checkKeys(data, SCENARIO_KEYS, 'scenario', errors);
+
+    if (typeof data.id !== 'string' || data.id === '') {
+        errors.push('scenario.id: required string');
+    }
+    if (typeof data.name !== 'string' || data.name === '') {
+        errors.push('scenario.name: required string');
+    }
+    if ('flightModel' in data && !FLIGHT_MODELS.includes(data.flightModel)) {
+        errors.push(`flightModel: must be one of ${FLIGHT_MODELS.join(', ')}`);
+    }
+    if ('difficulty' in data && !DIFFICULTIES.includes(data.difficulty)) {
+        errors.push(`difficulty: must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+
+    // Shared by the section checks below
+    const context = {
+        factionIds: [...FACTIONS],
+        ids: new Set(),        // Ship ids seen so far
+        namesNeeded: {},       // Unnamed ships per faction
+        objectiveIds: [],
+        shipRefs: []           // Trigger ship references, checked once every spawn is known
+    };
+
+    // Factions, their ship name pools and standings
+    const namePools = {};
+    if ('factions' in data) {
+        if (!isObject(data.factions)) {
+            errors.push('factions: must be an object keyed by faction');
+        } else {
+            Object.keys(data.factions).forEach(id => {
+                if (!context.factionIds.includes(id)) context.factionIds.push(id);
+            });
+
+            Object.entries(data.factions).forEach(([id, faction]) => {
+                const path = `factions.${id}`;
+                if (!isObject(faction)) {
+                    errors.push(`${path}: must be an object`);
+                    return;
+                }
+                checkKeys(faction, FACTION_KEYS, path, errors);
+                if ('shipNames' in faction) {
+                    if (!Array.isArray(faction.shipNames) || !faction.shipNames.every(n => typeof n === 'string')) {
+                        errors.push(`${path}.shipNames: must be an array of strings`);
+                    } else {
+                        namePools[id] = faction.shipNames.length;
+                    }
+                }
+                if ('name' in faction && typeof faction.name !== 'string') {
+                    errors.push(`${path}.name: must be a string`);
+                }
+                if ('standings' in faction) {
+                    if (!isObject(faction.standings)) {
+                        errors.push(`${path}.standings: must be an object keyed by faction`);
+                    } else {
+                        Object.entries(faction.standings).forEach(([other, standing]) => {
+                            if (!context.factionIds.includes(other)) {
+                                errors.push(`${path}.standings.${other}: unknown faction (expected one of ${context.factionIds.join(', ')})`);
+                            } else if (!STANDINGS.includes(standing)) {
+                                errors.push(`${path}.standings.${other}: must be one of ${STANDINGS.join(', ')}`);
+                            }
+                        });
+                    }
+                }
+            });
+        }
+    }
+
+    // Player ship
+    if (!isObject(data.player)) {
+        errors.push('player: required object');
+    } else {
+        const player = data.player;
+        checkKeys(player, PLAYER_KEYS, 'player', errors);
+        checkPositiveStats(player, 'player', errors);
+        if ('position' in player) checkPoint(player.position, 'player.position', errors);
+        if ('heading' in player) checkHeading(player.heading, 'player.heading', errors);
+        if ('type' in player && !SHIP_CLASS_IDS.includes(player.type)) {
+            errors.push(`player.type: must be one of ${SHIP_CLASS_IDS.join(', ')}`);
+        }
+        if ('hardpoints' in player) checkHardpoints(player.hardpoints, 'player.hardpoints', errors);
+
+        if ('loadout' in player) {
+            const loadout = player.loadout;
+            if (!isObject(loadout)) {
+                errors.push('player.loadout: must be an object');
+            } else {
+                checkKeys(loadout, ['torpedoes', 'magazine', 'power'], 'player.loadout', errors);
+                if ('torpedoes' in loadout && (!Number.isInteger(loadout.torpedoes) || loadout.torpedoes < 0)) {
+                    errors.push('player.loadout.torpedoes: must be a whole number of at least 0');
+                }
+                if ('magazine' in loadout) {
+                    if (!isObject(loadout.magazine)) {
+                        errors.push('player.loadout.magazine: must be an object keyed by ordnance type');
+                    } else {
+                        Object.entries(loadout.magazine).forEach(([type, count]) => {
+                            if (!ORDNANCE_TYPES.includes(type)) {
+                                errors.push(`player.loadout.magazine.${type}: unknown ordnance (expected one of ${ORDNANCE_TYPES.join(', ')})`);
+                            } else if (!Number.isInteger(count) || count < 0) {
+                                errors.push(`player.loadout.magazine.${type}: must be a whole number of at least 0`);
+                            }
+                        });
+                    }
+                }
+                if ('power' in loadout) {
+                    if (!isObject(loadout.power)) {
+                        errors.push('player.loadout.power: must be an object keyed by subsystem');
+                    } else {
+                        Object.entries(loadout.power).forEach(([system, power]) => {
+                            if (!SUBSYSTEMS.includes(system)) {
+                                errors.push(`player.loadout.power.${system}: unknown subsystem (expected one of ${SUBSYSTEMS.join(', ')})`);
+                            } else if (!isNumber(power) || power < 0 || power > 100) {
+                                errors.push(`player.loadout.power.${system}: must be between 0 and 100`);
+                            }
+                        });
+                    }
+                }
+            }
+        }
+    }
+
+    // NPC ships
+    if (!Array.isArray(data.ships)) {
+        errors.push('ships: required array');
+    } else {
+        data.ships.forEach((ship, i) => checkShip(ship, `ships[${i}]`, context, errors));
+    }
+
+    // Planets, starbases, asteroid fields and nebulae
+    if ('bodies' in data) {
+        if (!Array.isArray(data.bodies)) {
+            errors.push('bodies: must be an array');
+        } else {
+            data.bodies.forEach((body, i) => checkBody(body, `bodies[${i}]`, context, errors));
+        }
+    }
+
+    // Scripted messages
+    if ('messages' in data) {
+        if (!Array.isArray(data.messages)) {
+            errors.push('messages: must be an array');
+        } else {
+            data.messages.forEach((msg, i) => {
+                const path = `messages[${i}]`;
+                if (!isObject(msg)) {
+                    errors.push(`${path}: must be an object`);
+                    return;
+                }
+                checkKeys(msg, MESSAGE_KEYS, path, errors);
+                if (!isNumber(msg.time) || msg.time < 0) {
+                    errors.push(`${path}.time: must be a number of seconds >= 0`);
+                }
+                if (typeof msg.sender !== 'string') {
+                    errors.push(`${path}.sender: required string`);
+                }
+                if (typeof msg.text !== 'string') {
+                    errors.push(`${path}.text: required string`);
+                }
+                if ('type' in msg && !MESSAGE_TYPES.includes(msg.type)) {
+                    errors.push(`${path}.type: must be one of ${MESSAGE_TYPES.join(', ')}`);
+                }
+            });
+        }
+    }
+
+    // Objectives
+    if ('objectives' in data) {
+        if (!Array.isArray(data.objectives)) {
+            errors.push('objectives: must be an array');
+        } else {
+            data.objectives.forEach((objective, i) => checkObjective(objective, `objectives[${i}]`, context, errors));
+            context.objectiveIds = data.objectives.map((objective, i) => (isObject(objective) && objective.id) || `objective-${i + 1}`);
+        }
+    }
+
+    // Triggers come after objectives: ships they spawn can't be objective targets
+    if ('triggers' in data) {
+        if (!Array.isArray(data.triggers)) {
+            errors.push('triggers: must be an array');
+        } else {
+            data.triggers.forEach((trigger, i) => checkTrigger(trigger, `triggers[${i}]`, context, errors));
+
+            context.shipRefs.forEach(({ path, id, allowPlayer }) => {
+                if (!context.ids.has(id) && !(allowPlayer && id === 'player')) {
+                    errors.push(`${path}: must be the id of a ship in this scenario${allowPlayer ? ' or "player"' : ''}`);
+                }
+            });
+        }
+    }
+
+    // Every unnamed ship needs a name from its faction's pool
+    Object.entries(context.namesNeeded).forEach(([faction, needed]) => {
+        const available = namePools[faction] || 0;
+        if (needed > available) {
+            errors.push(`factions.${faction}.shipNames: ${needed} unnamed ${faction} ship(s) but only ${available} name(s) available`);
+        }
+    });
+
+    return errors;
+}
+
+function checkObjective(objective, path, context, errors) {
+    if (!isObject(objective)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    if (!OBJECTIVE_TYPES.includes(objective.type)) {
+        errors.push(`${path}.type: must be one of ${OBJECTIVE_TYPES.join(', ')}`);
+        return;
+    }
+    checkKeys(objective, [...OBJECTIVE_COMMON_KEYS, ...OBJECTIVE_KEYS[objective.type]], path, errors);
+
+    if ('id' in objective && (typeof objective.id !== 'string' || objective.id === '')) {
+        errors.push(`${path}.id: must be a non-empty string`);
+    }
+    if ('description' in objective && typeof objective.description !== 'string') {
+        errors.push(`${path}.description: must be a string`);
+    }
+    if ('optional' in objective && typeof objective.optional !== 'boolean') {
+        errors.push(`${path}.optional: must be true or false`);
+    }
+
+    // Objectives refer to ships by their scenario id
+    const checkShipRef = (key) => {
+        if (!context.ids.has(objective[key])) {
+            errors.push(`${path}.${key}: must be the id of a ship in this scenario`);
+        }
+    };
+    const checkRadius = () => {
+        if (!isNumber(objective.radius) || objective.radius <= 0) {
+            errors.push(`${path}.radius: must be a positive number`);
+        }
+    };
+    const checkFaction = () => {
+        if ('faction' in objective) {
+            checkFactionRef(objective.faction, `${path}.faction`, context, errors);
+        }
+    };
+
+    switch (objective.type) {
+        case 'destroy':
+            if (('target' in objective) === ('faction' in objective)) {
+                errors.push(`${path}: needs either "target" (a ship id) or "faction"`);
+            } else if ('target' in objective) {
+                checkShipRef('target');
+            } else {
+                checkFaction();
+            }
+            break;
+        case 'escort':
+            checkShipRef('ship');
+            checkPoint(objective.destination, `${path}.destination`, errors);
+            checkRadius();
+            break;
+        case 'survive':
+            if (!isNumber(objective.seconds) || objective.seconds <= 0) {
+                errors.push(`${path}.seconds: must be a positive number`);
+            }
+            break;
+        case 'scan':
+            checkFaction();
+            break;
+        case 'reach':
+            checkPoint(objective.position, `${path}.position`, errors);
+            checkRadius();
+            break;
+        case 'scripted':
+            if (typeof objective.description !== 'string') {
+                errors.push(`${path}.description: required for scripted objectives`);
+            }
+            break;
+    }
+}
+
+function checkTrigger(trigger, path, context, errors) {
+    if (!isObject(trigger)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    checkKeys(trigger, TRIGGER_KEYS, path, errors);
+
+    if ('id' in trigger && (typeof trigger.id !== 'string' || trigger.id === '')) {
+        errors.push(`${path}.id: must be a non-empty string`);
+    }
+    checkCondition(trigger.when, `${path}.when`, context, errors);
+
+    if (!Array.isArray(trigger.actions) || trigger.actions.length === 0) {
+        errors.push(`${path}.actions: must be a non-empty array`);
+    } else {
+        trigger.actions.forEach((action, i) => checkAction(action, `${path}.actions[${i}]`, context, errors));
+    }
+}
+
+function checkCondition(when, path, context, errors) {
+    if (!isObject(when)) {
+        errors.push(`${path}: must be an object like { "condition": "time", "seconds": 30 }`);
+        return;
+    }
+    if (!TRIGGER_CONDITIONS.includes(when.condition)) {
+        errors.push(`${path}.condition: must be one of ${TRIGGER_CONDITIONS.join(', ')}`);
+        return;
+    }
+    checkKeys(when, ['condition', ...CONDITION_KEYS[when.condition]], path, errors);
+
+    const shipRef = (allowPlayer) => context.shipRefs.push({ path: `${path}.ship`, id: when.ship, allowPlayer });
+
+    switch (when.condition) {
+        case 'time':
+            if (!isNumber(when.seconds) || when.seconds < 0) {
+                errors.push(`${path}.seconds: must be a number of seconds >= 0`);
+            }
+            break;
+        case 'radius':
+            if ('ship' in when) shipRef(true); // Defaults to the player
+            checkPoint(when.position, `${path}.position`, errors);
+            if (!isNumber(when.radius) || when.radius <= 0) {
+                errors.push(`${path}.radius: must be a positive number`);
+            }
+            break;
+        case 'hull':
+            shipRef(true);
+            if (!isNumber(when.below) || when.below <= 0 || when.below > 100) {
+                errors.push(`${path}.below: must be a percentage between 0 and 100`);
+            }
+            break;
+        case 'scanned':
+            shipRef(false);
+            if ('level' in when && !isScanLevel(when.level, 1)) {
+                errors.push(`${path}.level: must be a scan level from 1 to ${SCAN_LEVELS.length}`);
+            }
+            break;
+        default: // destroyed, hailed
+            shipRef(false);
+    }
+}
+
+function checkAction(action, path, context, errors) {
+    if (!isObject(action)) {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    if (!TRIGGER_ACTIONS.includes(action.action)) {
+        errors.push(`${path}.action: must be one of ${TRIGGER_ACTIONS.join(', ')}`);
+        return;
+    }
+    checkKeys(action, ['action', ...ACTION_KEYS[action.action]], path, errors);
+
+    switch (action.action) {
+        case 'spawn':
+            if (!Array.isArray(action.ships) || action.ships.length === 0) {
+                errors.push(`${path}.ships: must be a non-empty array of ships`);
+            } else {
+                action.ships.forEach((ship, i) => checkShip(ship, `${path}.ships[${i}]`, context, errors));
+            }
+            break;
+        case 'comms':
+            if (typeof action.sender !== 'string') {
+                errors.push(`${path}.sender: required string`);
+            }
+            if (typeof action.text !== 'string') {
+                errors.push(`${path}.text: required string`);
+            }
+            if ('type' in action && !MESSAGE_TYPES.includes(action.type)) {
+                errors.push(`${path}.type: must be one of ${MESSAGE_TYPES.join(', ')}`);
+            }
+            break;
+        case 'setFaction':
+            context.shipRefs.push({ path: `${path}.ship`, id: action.ship, allowPlayer: false });
+            checkFactionRef(action.faction, `${path}.faction`, context, errors);
+            break;
+        case 'setStanding':
+            checkFactionRef(action.faction, `${path}.faction`, context, errors);
+            checkFactionRef(action.toward, `${path}.toward`, context, errors);
+            if (!STANDINGS.includes(action.standing)) {
+                errors.push(`${path}.standing: must be one of ${STANDINGS.join(', ')}`);
+            }
+            if ('mutual' in action && typeof action.mutual !== 'boolean') {
+                errors.push(`${path}.mutual: must be true or false`);
+            }
+            break;
+        case 'setAlert':
+            if (!ALERT_LEVELS.includes(action.level)) {
+                errors.push(`${path}.level: must be one of ${ALERT_LEVELS.join(', ')}`);
+            }
+            break;
+        case 'completeObjective':
+            if (!context.objectiveIds.includes(action.objective)) {
+                errors.push(`${path}.objective: must be the id of an objective in this scenario`);
+            }
+            break;
+    }
+}
+
+// ===== SPAWNING =====
 
 // Generate patrol points around a position
 function generatePatrolPoints(centerX, centerY, radius, count = 4) {
@@ -34,133 +762,210 @@ function generatePatrolPoints(centerX, centerY, radius, count = 4) {
     return points;
 }
 
-// Random position in a ring around origin
-function randomRingPosition(minRadius, maxRadius) {
-    const angle = Math.random() * Math.PI * 2;
-    const radius = minRadius + Math.random() * (maxRadius - minRadius);
+// Resolve a position spec to concrete coordinates
+function resolvePosition(spec) {
+    if (!('ring' in spec)) {
+        return { x: spec.x, y: spec.y };
+    }
+
+    const [minRadius, maxRadius] = spec.ring;
+    const center = spec.center || { x: 0, y: 0 };
+
+    // Random bearing unless the spec narrows it down
+    let angle;
+    if ('bearing' in spec) {
+        const spread = spec.spread || 0;
+        angle = (spec.bearing + rng.range(-0.5, 0.5) * spread) * Math.PI / 180;
+    } else {
+        angle = rng.range(0, Math.PI * 2);
+    }
+
+    const radius = rng.range(minRadius, maxRadius);
     return {
-        x: Math.cos(angle) * radius,
-        y: Math.sin(angle) * radius
+        x: center.x + Math.cos(angle) * radius,
+        y: center.y + Math.sin(angle) * radius
     };
 }
 
-// Initialize the starting scenario
-export function initializeScenario() {
-    // Reset game state
-    gameState.reset();
+function resolveHeading(heading) {
+    return heading === undefined || heading === 'random' ? rng.range(0, 360) : heading;
+}
 
-    // ===== FRIENDLY SHIPS (2 near player) =====
-    
-    // Escort 1 - close by
-    const escort1Pos = randomRingPosition(100, 200);
-    gameState.addShip({
-        name: friendlyNames[0],
-        type: 'escort',
-        faction: 'friendly',
-        x: escort1Pos.x,
-        y: escort1Pos.y,
-        heading: Math.random() * 360,
-        velocity: 0,
-        maxVelocity: 6,
-        size: 18,
-        patrolPoints: generatePatrolPoints(0, 0, 300, 4),
-        scanned: true
-    });
-
-    // Escort 2 - nearby
-    const escort2Pos = randomRingPosition(150, 300);
-    gameState.addShip({
-        name: friendlyNames[1],
-        type: 'frigate',
-        faction: 'friendly',
-        x: escort2Pos.x,
-        y: escort2Pos.y,
-        heading: Math.random() * 360,
+function resolvePatrol(patrol, spawn) {
+    if (!patrol) return [];
+    if (patrol.route) return patrol.route.map(p => ({ x: p.x, y: p.y }));
+
+    const center = patrol.center === 'spawn' ? spawn : resolvePosition(patrol.center);
+    return generatePatrolPoints(center.x, center.y, patrol.radius, patrol.points);
+}
+
+// Copy the optional stat overrides present in a spec
+function pickStats(spec) {
+    const stats = {};
+    SHIP_STATS.forEach(stat => {
+        if (stat in spec) stats[stat] = spec[stat];
+    });
+    if ('hull' in spec && !('maxHull' in spec)) stats.maxHull = spec.hull;
+    if ('shieldStrength' in spec && !('maxShieldStrength' in spec)) stats.maxShieldStrength = spec.shieldStrength;
+    return stats;
+}
+
+// Build the createShip() config for one NPC ship spec
+function buildShipConfig(spec, name) {
+    const position = resolvePosition(spec.position);
+    return {
+        ...pickStats(spec),
+        id: spec.id,
+        name,
+        type: spec.type,
+        faction: spec.faction,
+        aiProfile: spec.ai,
+        x: position.x,
+        y: position.y,
+        heading: resolveHeading(spec.heading),
         velocity: 0,
-        maxVelocity: 5,
-        size: 20,
-        patrolPoints: generatePatrolPoints(escort2Pos.x, escort2Pos.y, 200, 3),
-        scanned: true
-    });
-
-    // ===== NEUTRAL SHIPS (3 traders at mid-range) =====
-    
-    for (let i = 0; i < 3; i++) {
-        const pos = randomRingPosition(800, 1500);
-        const patrolCenter = randomRingPosition(600, 1200);
-        
-        gameState.addShip({
-            name: neutralNames[i],
-            type: 'freighter',
-            faction: 'neutral',
-            x: pos.x,
-            y: pos.y,
-            heading: Math.random() * 360,
-            velocity: 0,
-            maxVelocity: 3,
-            size: 22,
-            patrolPoints: generatePatrolPoints(patrolCenter.x, patrolCenter.y, 400, 4),
-            scanned: false
+        patrolPoints: resolvePatrol(spec.patrol, position),
+        scanLevel: spec.scanned === true ? 1 : spec.scanned || 0,
+        cargo: { ...spec.cargo },
+        hardpoints: spec.hardpoints ? createHardpoints(spec.hardpoints) : undefined // Otherwise the class's
+    };
+}
+
+// Merge scenario factions into the built-in table. A listed standing applies
+// both ways unless the other faction lists its own.
+function applyFactions(specs) {
+    Object.entries(specs).forEach(([id, spec]) => {
+        if (!gameState.factions[id]) {
+            gameState.factions[id] = { name: id, standings: {} };
+        }
+        if (spec.name) gameState.factions[id].name = spec.name;
+    });
+
+    Object.entries(specs).forEach(([id, spec]) => {
+        Object.entries(spec.standings || {}).forEach(([other, standing]) => {
+            gameState.factions[other].standings[id] = standing;
         });
-    }
+    });
+    Object.entries(specs).forEach(([id, spec]) => {
+        Object.assign(gameState.factions[id].standings, spec.standings || {});
+    });
+}
+
+// createShip() configs for a list of ship specs. Unnamed ships take names from
+// their faction's pool in order; nameIndex tracks how far each pool has been used.
+function resolveShips(specs, factions, nameIndex) {
+    const configs = [];
+    specs.forEach(spec => {
+        const count = spec.count || 1;
+        for (let i = 0; i < count; i++) {
+            let name = spec.name;
+            if (!name) {
+                const pool = factions[spec.faction].shipNames;
+                name = pool[nameIndex[spec.faction] || 0];
+                nameIndex[spec.faction] = (nameIndex[spec.faction] || 0) + 1;
+            }
+            configs.push(buildShipConfig(spec, name));
+        }
+    });
+    return configs;
+}
+
+function setupPlayer(spec) {
+    const ship = gameState.playerShip;
+    const position = spec.position || { x: 0, y: 0 };
 
-    // ===== HOSTILE SHIPS (4 warships at far range) =====
-    
-    // Hostiles spawn far from player but not all in same area
-    const hostileZones = [
-        { minR: 2000, maxR: 2500, angle: 0 },
-        { minR: 2200, maxR: 2800, angle: Math.PI / 2 },
-        { minR: 1800, maxR: 2400, angle: Math.PI },
-        { minR: 2000, maxR: 2600, angle: -Math.PI / 2 }
-    ];
-
-    for (let i = 0; i < 4; i++) {
-        const zone = hostileZones[i];
-        const radius = zone.minR + Math.random() * (zone.maxR - zone.minR);
-        const angleVar = (Math.random() - 0.5) * 0.5;
-        const x = Math.cos(zone.angle + angleVar) * radius;
-        const y = Math.sin(zone.angle + angleVar) * radius;
-        
-        gameState.addShip({
-            name: hostileNames[i],
-            type: i === 0 ? 'battlecruiser' : 'warbird',
-            faction: 'hostile',
-            x: x,
-            y: y,
-            heading: Math.random() * 360,
-            velocity: 0,
-            maxVelocity: 7,
-            turnRate: 2,
-            size: i === 0 ? 28 : 22,
-            hull: i === 0 ? 150 : 100,
-            maxHull: i === 0 ? 150 : 100,
-            patrolPoints: generatePatrolPoints(x, y, 300, 3),
-            scanned: false
+    // Start from the class's stats, subsystems, mounts and sensors, then apply overrides.
+    // Hull and shields start full, so only the maximums matter here.
+    ship.type = spec.type || ship.type;
+    const base = createShip({ id: ship.id, type: ship.type });
+    CLASS_FIELDS.forEach(field => {
+        ship[field] = base[field];
+    });
+    const { hull, shieldStrength, ...stats } = pickStats(spec);
+    Object.assign(ship, stats);
+    ship.name = spec.name || ship.name;
+    ship.x = position.x;
+    ship.y = position.y;
+    ship.heading = resolveHeading(spec.heading === undefined ? 0 : spec.heading);
+    ship.commandedHeading = ship.heading;
+    ship.hull = ship.maxHull;
+    ship.shields = createShields(ship.maxShieldStrength);
+    if ('hardpoints' in spec) ship.hardpoints = createHardpoints(spec.hardpoints);
+
+    // A magazine replaces the default one; torpedoes is shorthand for the photon count
+    const loadout = spec.loadout || {};
+    if ('magazine' in loadout || 'torpedoes' in loadout) {
+        const counts = { ...loadout.magazine };
+        if ('torpedoes' in loadout) counts.photon = loadout.torpedoes;
+        ship.tubes.forEach(tube => {
+            tube.ordnance = null;
+            tube.loading = 0;
         });
+        ship.magazine = createMagazine(counts);
+        ship.maxMagazine = createMagazine(counts);
+        gameState.fillTubes();
     }
+    Object.entries(loadout.power || {}).forEach(([system, power]) => {
+        ship.subsystems[system].power = power;
+    });
+}
 
-    // ===== INITIAL COMMS MESSAGES =====
-    
-    gameState.addCommsMessage('STARFLEET COMMAND', 
-        'USS Endeavour, you are cleared for patrol. Report any hostile activity.', 
-        'hail'
-    );
-    
-    setTimeout(() => {
-        gameState.addCommsMessage(friendlyNames[0].toUpperCase(), 
-            'Endeavour, we have your wing. Standing by.', 
-            'hail'
-        );
-    }, 2000);
+// Initialize the game world from a validated scenario. A difficulty given here
+// (from the URL or a restart) overrides the scenario's own.
+export function initializeScenario(scenario, seed = rng.seed, difficulty = null) {
+    // Same seed, same sector: reseed before anything random happens
+    rng.setSeed(seed);
+    gameState.reset();
+    gameState.scenario = {
+        id: scenario.id,
+        name: scenario.name,
+        description: scenario.description || ''
+    };
+
+    gameState.flightModel = scenario.flightModel || 'arcade';
+    gameState.difficulty = difficulty || scenario.difficulty || 'normal';
+
+    applyFactions(scenario.factions || {});
+    setupPlayer(scenario.player);
+
+    const nameIndex = {};
+    resolveShips(scenario.ships, scenario.factions, nameIndex).forEach(config => gameState.addShip(config));
+
+    (scenario.bodies || []).forEach(({ position, ...spec }) => {
+        gameState.addBody({ ...spec, ...resolvePosition(position) });
+    });
 
-    setTimeout(() => {
-        gameState.addCommsMessage('SENSORS', 
-            'Detecting multiple contacts at long range. Recommend scanning sector.', 
-            'info'
+    // Market stock and the freighters' first loads
+    economy.load();
+
+    // Scripted messages run on game time so they respect pause
+    (scenario.messages || []).forEach(msg => {
+        gameState.scheduleMessage(
+            Math.round(msg.time * TICKS_PER_SECOND),
+            msg.sender,
+            msg.text,
+            msg.type || 'normal'
         );
-    }, 4000);
+    });
+    gameState.deliverScheduledMessages();
+
+    objectives.load(scenario);
+
+    // Trigger spawns are rolled now, after the opening ships, so names continue down
+    // the faction pools and positions come from the same seeded sequence
+    triggers.load((scenario.triggers || []).map(trigger => ({
+        ...trigger,
+        actions: trigger.actions.map(action => action.action === 'spawn'
+            ? { ...action, ships: resolveShips(action.ships, scenario.factions, nameIndex) }
+            : action)
+    })));
+
+    // Stations open on a sensor picture instead of waiting for the first tick
+    sensors.update();
+
+    gameState.emit('missionStarted', gameState.scenario);
 
-    console.log('Scenario initialized:', {
+    console.log(`Scenario "${scenario.name}" initialized:`, {
         friendly: gameState.ships.filter(s => s.faction === 'friendly').length,
         neutral: gameState.ships.filter(s => s.faction === 'neutral').length,
         hostile: gameState.ships.filter(s => s.faction === 'hostile').length
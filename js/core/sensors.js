@@ -0,0 +1,139 @@
+/**
+ * Sensor Model
+ * Decides which ships the player can see, and how well, and runs tiered scans on them
+ */
+
+import { gameState, SCAN_LEVELS, ORDNANCE } from './state.js';
+import { rng } from './random.js';
+
+export const CONTACT_STATUSES = ['detected', 'faint', 'lost'];
+
+const REFERENCE_SIZE = 20;        // Ships this size are detected at the class sensorRange times sensor strength
+const FAINT_MARGIN = 1.5;         // Faint blips out to this multiple of the detection range
+const MAX_POSITION_ERROR = 200;   // Blip error at the very edge of sensor range
+const SWEEP_TICKS = 20;           // Faint blip positions are re-estimated once a second
+const NEBULA_SENSOR_FACTOR = 0.5; // Inside a nebula our sensors, or a target's signature, are halved
+
+// Ticks each scan tier takes at full strength on a target alongside us
+const SCAN_TICKS = { identity: 30, hull: 40, subsystems: 60, tactical: 80 };
+const SCAN_FALLOFF = 1000;        // Every 1000 units of distance adds the base time again
+
+class SensorSystem {
+    // 0 with sensors destroyed, 1 at half power, 1.5 at full power. Unpowered
+    // but working sensors still pick up what passive arrays can (0.5).
+    getStrength(ship) {
+        const sensors = ship.subsystems.sensors;
+        const nebula = ship.inNebula ? NEBULA_SENSOR_FACTOR : 1;
+        return (sensors.hp / sensors.maxHp) * (0.5 + sensors.power / 100) * nebula;
+    }
+
+    // How far out a target is clearly detected - bigger ships show up further away,
+    // ships hiding in a nebula closer in
+    getDetectionRange(target, strength = this.getStrength(gameState.playerShip)) {
+        const nebula = target.inNebula ? NEBULA_SENSOR_FACTOR : 1;
+        return gameState.playerShip.sensorRange * strength * (target.size / REFERENCE_SIZE) * nebula;
+    }
+
+    // Detection range for a ship of reference size, for the sensor readouts
+    getNominalRange() {
+        return gameState.playerShip.sensorRange * this.getStrength(gameState.playerShip);
+    }
+
+    // Ticks the next tier of a scan on this ship would take right now
+    getScanTicks(ship, strength = this.getStrength(gameState.playerShip)) {
+        const player = gameState.playerShip;
+        const distance = Math.hypot(ship.x - player.x, ship.y - player.y);
+        const tier = SCAN_LEVELS[Math.min(ship.scanLevel, SCAN_LEVELS.length - 1)];
+        return SCAN_TICKS[tier] * (1 + distance / SCAN_FALLOFF) / strength;
+    }
+
+    // Whether one of our sensor probes is close enough to a ship to see it
+    isSeenByProbe(ship, probes) {
+        const nebula = ship.inNebula ? NEBULA_SENSOR_FACTOR : 1;
+        return probes.some(probe =>
+            Math.hypot(ship.x - probe.x, ship.y - probe.y) <= ORDNANCE.probe.sensorRange * nebula);
+    }
+
+    // Rebuild the player's sensor picture and advance any scan. Runs every tick on the host.
+    update() {
+        const player = gameState.playerShip;
+        const strength = this.getStrength(player);
+        const sweep = gameState.gameTime % SWEEP_TICKS === 0;
+        const contacts = {};
+        const probes = gameState.projectiles.filter(p => p.ordnance === 'probe' && p.sourceId === 'player');
+
+        gameState.ships.forEach(ship => {
+            const previous = gameState.contacts[ship.id];
+            const distance = Math.hypot(ship.x - player.x, ship.y - player.y);
+            const range = this.getDetectionRange(ship, strength);
+
+            // Ships friendly to us share their position over the fleet datalink,
+            // and probes relay whatever they see
+            if (distance <= range || gameState.getDisposition(ship) === 'friendly' || this.isSeenByProbe(ship, probes)) {
+                contacts[ship.id] = { status: 'detected', x: ship.x, y: ship.y, lastSeen: gameState.gameTime };
+            } else if (distance <= range * FAINT_MARGIN) {
+                // Position estimate gets worse toward the edge of sensor range
+                let offset = previous && previous.status === 'faint' ? previous.offset : null;
+                if (!offset || sweep) {
+                    const error = MAX_POSITION_ERROR * (distance - range) / (range * (FAINT_MARGIN - 1));
+                    offset = { x: rng.range(-error, error), y: rng.range(-error, error) };
+                }
+                contacts[ship.id] = {
+                    status: 'faint',
+                    x: ship.x + offset.x,
+                    y: ship.y + offset.y,
+                    offset,
+                    lastSeen: gameState.gameTime
+                };
+            } else if (previous) {
+                // Keep where we last saw it until sensors pick it up again
+                contacts[ship.id] = { status: 'lost', x: previous.x, y: previous.y, lastSeen: previous.lastSeen };
+            }
+        });
+
+        gameState.setContacts(contacts);
+
+        // A target that drops off sensors can't stay locked
+        const target = gameState.getShip(gameState.currentTarget);
+        if (target && !gameState.isTracked(target)) {
+            gameState.setTarget(null);
+            gameState.addCommsMessage('SENSORS', 'Sensor lock lost.', 'alert');
+        }
+
+        this.updateScan(strength);
+    }
+
+    // Progress is re-timed every tick, so closing in or boosting sensors speeds up the tier in hand
+    updateScan(strength) {
+        const scan = gameState.scan;
+        if (!scan) return;
+
+        const ship = gameState.getShip(scan.shipId);
+        if (!ship) {
+            gameState.endScan();
+            return;
+        }
+        if (strength <= 0) {
+            gameState.endScan('Scan interrupted - sensors offline.');
+            return;
+        }
+        if (gameState.getContactStatus(ship) !== 'detected') {
+            gameState.endScan('Scan interrupted - target out of sensor range.');
+            return;
+        }
+
+        scan.progress += 1 / this.getScanTicks(ship, strength);
+        if (scan.progress < 1) return;
+
+        // Tier complete: carry straight on with the next one until there's nothing left to learn
+        gameState.markScanned(ship.id, ship.scanLevel + 1);
+        if (ship.scanLevel < SCAN_LEVELS.length) {
+            scan.progress = 0;
+        } else {
+            gameState.endScan();
+        }
+    }
+}
+
+// Singleton instance
+export const sensors = new SensorSystem();
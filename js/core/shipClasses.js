@@ -0,0 +1,156 @@
+/**
+ * Ship Classes
+ * Stats, subsystems, weapon mounts, sensors and hull silhouette for each class of ship
+ */
+
+// A ship's type is one of these ids. Stats a scenario gives a ship override its class.
+// subsystems is each system's durability (maxHp); magazine is the torpedoes an NPC of the class
+// carries; attackStyle is how its AI fights ('runs' makes passes and breaks off, 'standoff' holds
+// preferredRange with its best shield and guns toward the enemy); hardpoints are createHardpoints()
+// specs; silhouette is the hull outline in multiples of the ship's size, nose along +x.
+export const SHIP_CLASSES = {
+    cruiser: {
+        name: 'Cruiser',
+        hull: 100,
+        shieldStrength: 100,
+        maxVelocity: 8,
+        turnRate: 3,
+        mass: 100,
+        thrust: 10,
+        size: 25,
+        sensorRange: 2000,
+        subsystems: { engines: 100, weapons: 100, shields: 100, sensors: 100 },
+        magazine: { photon: 6 },
+        attackStyle: 'standoff',
+        preferredRange: 350,
+        hardpoints: [
+            { id: 'fore-phasers', name: 'Forward Phaser Banks', weapon: 'phaser', facing: 0, arc: 150 },
+            { id: 'port-array', name: 'Port Broadside Array', weapon: 'phaser', facing: 270, arc: 120 },
+            { id: 'starboard-array', name: 'Starboard Broadside Array', weapon: 'phaser', facing: 90, arc: 120 },
+            { id: 'fore-tubes', name: 'Forward Torpedo Tubes', weapon: 'torpedo', facing: 0, arc: 90 },
+            { id: 'aft-tube', name: 'Aft Torpedo Tube', weapon: 'torpedo', facing: 180, arc: 90 }
+        ],
+        silhouette: [[1, 0], [-0.7, -0.6], [-0.3, 0], [-0.7, 0.6]]
+    },
+    escort: {
+        name: 'Escort',
+        hull: 70,
+        shieldStrength: 80,
+        maxVelocity: 6,
+        turnRate: 4,
+        mass: 60,
+        thrust: 8,
+        size: 18,
+        sensorRange: 1500,
+        subsystems: { engines: 100, weapons: 80, shields: 80, sensors: 100 },
+        magazine: { photon: 2 },
+        attackStyle: 'runs',
+        preferredRange: 250,
+        hardpoints: [
+            { id: 'fore-phasers', name: 'Forward Phaser Banks', weapon: 'phaser', facing: 0, arc: 240 },
+            { id: 'aft-phaser', name: 'Aft Phaser', weapon: 'phaser', facing: 180, arc: 120 },
+            { id: 'fore-tube', name: 'Forward Torpedo Launcher', weapon: 'torpedo', facing: 0, arc: 60 }
+        ],
+        silhouette: [[1, 0], [-0.6, -0.35], [-0.4, 0], [-0.6, 0.35]]
+    },
+    frigate: {
+        name: 'Frigate',
+        hull: 90,
+        shieldStrength: 90,
+        maxVelocity: 5,
+        turnRate: 3,
+        mass: 90,
+        thrust: 9,
+        size: 20,
+        sensorRange: 1500,
+        subsystems: { engines: 100, weapons: 100, shields: 100, sensors: 100 },
+        magazine: { photon: 4 },
+        attackStyle: 'standoff',
+        preferredRange: 300,
+        hardpoints: [
+            { id: 'fore-phasers', name: 'Forward Phaser Banks', weapon: 'phaser', facing: 0, arc: 180 },
+            { id: 'port-array', name: 'Port Phaser Array', weapon: 'phaser', facing: 270, arc: 120 },
+            { id: 'starboard-array', name: 'Starboard Phaser Array', weapon: 'phaser', facing: 90, arc: 120 },
+            { id: 'fore-tube', name: 'Forward Torpedo Launcher', weapon: 'torpedo', facing: 0, arc: 90 }
+        ],
+        silhouette: [[0.8, 0], [-0.5, -0.5], [-0.3, 0], [-0.5, 0.5]]
+    },
+    freighter: {
+        name: 'Freighter',
+        hull: 80,
+        shieldStrength: 60,
+        maxVelocity: 3,
+        turnRate: 1.5,
+        mass: 250,
+        thrust: 10,
+        size: 22,
+        sensorRange: 1000,
+        subsystems: { engines: 100, weapons: 40, shields: 60, sensors: 60 },
+        magazine: {},
+        attackStyle: 'standoff',
+        preferredRange: 350,
+        hardpoints: [
+            { id: 'turret', name: 'Point Defence Turret', weapon: 'phaser', facing: 0, arc: 360 }
+        ],
+        silhouette: [[0.8, 0], [0.5, -0.4], [-0.7, -0.4], [-0.7, 0.4], [0.5, 0.4]]
+    },
+    battlecruiser: {
+        name: 'Battlecruiser',
+        hull: 150,
+        shieldStrength: 120,
+        maxVelocity: 7,
+        turnRate: 2,
+        mass: 200,
+        thrust: 18,
+        size: 28,
+        sensorRange: 1800,
+        subsystems: { engines: 120, weapons: 150, shields: 120, sensors: 100 },
+        magazine: { photon: 6, quantum: 2 },
+        attackStyle: 'standoff',
+        preferredRange: 350,
+        hardpoints: [
+            { id: 'fore-disruptors', name: 'Forward Disruptor Banks', weapon: 'phaser', facing: 0, arc: 150 },
+            { id: 'port-battery', name: 'Port Disruptor Battery', weapon: 'phaser', facing: 270, arc: 150 },
+            { id: 'starboard-battery', name: 'Starboard Disruptor Battery', weapon: 'phaser', facing: 90, arc: 150 },
+            { id: 'aft-disruptor', name: 'Aft Disruptor', weapon: 'phaser', facing: 180, arc: 90 },
+            { id: 'fore-tubes', name: 'Forward Torpedo Tubes', weapon: 'torpedo', facing: 0, arc: 90 },
+            { id: 'aft-tube', name: 'Aft Torpedo Tube', weapon: 'torpedo', facing: 180, arc: 90 }
+        ],
+        silhouette: [
+            [1, 0], [0.3, -0.25], [-0.2, -0.8], [-0.7, -0.8], [-0.5, -0.2],
+            [-0.7, 0], [-0.5, 0.2], [-0.7, 0.8], [-0.2, 0.8], [0.3, 0.25]
+        ]
+    },
+    warbird: {
+        name: 'Warbird',
+        hull: 100,
+        shieldStrength: 100,
+        maxVelocity: 7,
+        turnRate: 2,
+        mass: 110,
+        thrust: 12,
+        size: 22,
+        sensorRange: 1500,
+        subsystems: { engines: 100, weapons: 100, shields: 100, sensors: 100 },
+        magazine: { photon: 4 },
+        attackStyle: 'runs',
+        preferredRange: 300,
+        hardpoints: [
+            { id: 'fore-disruptors', name: 'Forward Disruptors', weapon: 'phaser', facing: 0, arc: 180 },
+            { id: 'aft-disruptor', name: 'Aft Disruptor', weapon: 'phaser', facing: 180, arc: 90 },
+            { id: 'fore-tube', name: 'Forward Torpedo Launcher', weapon: 'torpedo', facing: 0, arc: 60 }
+        ],
+        silhouette: [
+            [0.9, 0], [0.3, -0.15], [0, -0.9], [-0.3, -0.9], [-0.2, -0.2],
+            [-0.6, 0], [-0.2, 0.2], [-0.3, 0.9], [0, 0.9], [0.3, 0.15]
+        ]
+    }
+};
+
+export const SHIP_CLASS_IDS = Object.keys(SHIP_CLASSES);
+export const DEFAULT_SHIP_CLASS = 'frigate';
+
+// The class for a type, falling back to the default for types that aren't registered
+export function getShipClass(type) {
+    return SHIP_CLASSES[type] || SHIP_CLASSES[DEFAULT_SHIP_CLASS];
+}
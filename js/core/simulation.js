@@ -3,8 +3,61 @@
  * Handles game loop, physics, AI, and collision detection
  */
 
-import { gameState } from './state.js';
-import { audio } from './audio.js';
+import { gameState, createProjectile, SHIELD_FACINGS, SHIELD_FACING_ANGLES, GRAVITY_WELL, NEBULA_SHIELD_FACTOR, PROXIMITY_FUSE, ORDNANCE, ORDNANCE_TYPES, PHASER_RECHARGE } from './state.js';
+import { getShipClass } from './shipClasses.js';
+import { ai } from './ai.js';
+import { rng } from './random.js';
+import { sensors } from './sensors.js';
+import { economy } from './economy.js';
+import { hails } from './hails.js';
+
+// NPC engagement ranges
+const ATTACK_RANGE = 800;     // Close enough to start an attack run
+const PHASER_RANGE = 400;
+const ARRIVAL_RANGE = 20;     // Close enough to a destination to stop
+
+// NPC tactics
+const NPC_TORPEDO_RANGE = 900;      // Torpedoes are launched at targets inside this range...
+const NPC_TORPEDO_MIN_RANGE = 150;  // ...but not so close they'd be fired point blank
+const NPC_TORPEDO_ORDNANCE = ['quantum', 'photon']; // Heaviest first
+const TORPEDO_ALIGNMENT = 8;        // Degrees a launcher may be off the aim point and still fire
+const BREAKOFF_TICKS = 100;         // Longest a break-off lasts before the ship comes around
+const DODGE_WINDOW = 60;            // Ticks ahead a ship looks for torpedoes on a collision course
+const DODGE_MARGIN = 30;            // Miss distance that still counts as a collision course
+const FLANK_OFFSETS = [0, 60, -60, 120, -120, 180]; // Degrees around the target, by slot in the attack group
+const FLANK_RANGE = 600;            // Flanking ships swing round to this far from the target...
+const FLANK_ARRIVAL = 150;          // ...and start their attack once this close to their flank point
+
+// Tactics for ships hostile to the player at each difficulty (everyone else fights at normal).
+// fireChance: per tick with a phaser bearing; dodgeChance: per tick to notice an incoming torpedo;
+// torpedoReload: ticks between torpedoes; lead: how much of the intercept lead torpedoes are aimed
+// with (0 = straight at the target); fleeHull: hull fraction below which the ship runs.
+const DIFFICULTY_PRESETS = {
+    easy: { fireChance: 0.01, dodgeChance: 0.01, torpedoReload: 400, lead: 0, torpedoMode: 'dumbfire', flanking: false, fleeHull: 0.4 },
+    normal: { fireChance: 0.02, dodgeChance: 0.04, torpedoReload: 240, lead: 0.7, torpedoMode: 'dumbfire', flanking: true, fleeHull: 0.3 },
+    hard: { fireChance: 0.04, dodgeChance: 0.12, torpedoReload: 160, lead: 1, torpedoMode: 'homing', flanking: true, fleeHull: 0.2 }
+};
+
+const WARP_CHARGE_TICKS = 100; // Warp drive charge time at full engine effectiveness
+
+// Torpedo guidance
+const HOMING_TURN_RATE = 3; // Degrees per tick a homing torpedo can turn
+const SPLASH_RADIUS = 120;  // Proximity blast damage falls off to nothing this far out
+
+// What a starbase does for a docked ship
+const REARM_TICKS = 40;             // One round every 2 seconds
+const HULL_REPAIR_RATE = 0.1;       // Per tick
+const SUBSYSTEM_REPAIR_RATE = 0.25; // Per tick, for each subsystem
+
+const NEWTONIAN_GRAVITY = 0.03;   // Newtonian flight feels gravity as acceleration, scaled down
+const ASTEROID_HIT_CHANCE = 0.02;  // Per tick, per unit of speed, at density 1
+
+// Browser frame clock; tests and Node scripts can swap in their own with setClock()
+const browserClock = {
+    now: () => performance.now(),
+    requestFrame: (callback) => requestAnimationFrame(callback),
+    cancelFrame: (id) => cancelAnimationFrame(id)
+};
 
 class Simulation {
     constructor() {
@@ -13,6 +66,35 @@ class Simulation {
         this.animationId = null;
         this.running = false;
         this.onRender = null; // Callback for rendering
+        this.authoritative = true; // False when a remote host owns the simulation
+        this.clock = browserClock;
+        this.audio = null; // Optional sound adapter (see setAudio)
+    }
+
+    // Replace the frame clock ({ now, requestFrame, cancelFrame })
+    setClock(clock) {
+        this.clock = clock;
+    }
+
+    // Attach something with the audio.js play* methods, or null to run silent
+    setAudio(audio) {
+        this.audio = audio;
+    }
+
+    playSound(name) {
+        if (this.audio && this.audio[name]) {
+            this.audio[name]();
+        }
+    }
+
+    // Advance the simulation by a fixed number of ticks, no clock needed.
+    // Used for headless runs; ignores pause since the caller asked for it, but a
+    // finished mission stays frozen as it does in the loop.
+    step(ticks = 1) {
+        for (let i = 0; i < ticks && gameState.missionStatus === 'active'; i++) {
+            this.update();
+        }
+        return gameState.gameTime;
     }
 
     // Start the simulation loop
@@ -21,7 +103,7 @@ class Simulation {
         
         this.running = true;
         this.onRender = renderCallback;
-        this.lastTick = performance.now();
+        this.lastTick = this.clock.now();
         this.loop(this.lastTick);
     }
 
@@ -29,7 +111,7 @@ class Simulation {
     stop() {
         this.running = false;
         if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+            this.clock.cancelFrame(this.animationId);
             this.animationId = null;
         }
     }
@@ -38,7 +120,7 @@ class Simulation {
     loop(timestamp) {
         if (!this.running) return;
         
-        this.animationId = requestAnimationFrame((t) => this.loop(t));
+        this.animationId = this.clock.requestFrame((t) => this.loop(t));
 
         // Calculate ticks needed
         const elapsed = timestamp - this.lastTick;
@@ -47,7 +129,7 @@ class Simulation {
         // Run fixed timestep updates
         for (let i = 0; i < Math.min(ticksNeeded, 5); i++) { // Cap at 5 to prevent spiral
             this.lastTick += this.tickLength;
-            if (!gameState.isPaused) {
+            if (this.authoritative && !gameState.isPaused && gameState.missionStatus === 'active') {
                 this.update();
             }
         }
@@ -62,91 +144,513 @@ class Simulation {
     update() {
         gameState.gameTime++;
         
+        this.updateWarp();
+        this.updateDocking();
         this.updatePlayerShip();
         this.updateNPCShips();
+        this.updateBodies();
         this.updateProjectiles();
         this.updatePhaserBeams();
+        sensors.update();
+        economy.update();
+        hails.update(this);
+        this.updateTorpedoTubes();
+        this.updateFireControl();
         this.updateRepairCooldowns();
+        this.updateDisruption();
         this.checkAlertLevel();
         this.regenerateShields();
+        gameState.deliverScheduledMessages();
+
+        gameState.emit('tick', gameState.gameTime);
     }
 
     // Update player ship movement
     updatePlayerShip() {
         const ship = gameState.playerShip;
+
+        // Docking clamps hold the ship in place; helm orders wait for release
+        if (gameState.isDocked()) {
+            ship.vx = 0;
+            ship.vy = 0;
+            ship.velocity = 0;
+            return;
+        }
         
         // Engine effectiveness
         const engineEffectiveness = this.getSystemEffectiveness(ship, 'engines');
-        
-        // Apply velocity based on heading
-        const radians = (ship.heading * Math.PI) / 180;
-        const effectiveVelocity = ship.velocity * engineEffectiveness;
-        
-        ship.x += Math.cos(radians) * effectiveVelocity;
-        ship.y += Math.sin(radians) * effectiveVelocity;
+
+        let arrived = false;
+        if (gameState.isAtWarp()) {
+            arrived = this.flyAtWarp(ship, engineEffectiveness);
+        } else if (gameState.flightModel === 'newtonian') {
+            this.applyThrust(ship, engineEffectiveness);
+        } else {
+            // Apply velocity based on heading
+            const radians = (ship.heading * Math.PI) / 180;
+            const effectiveVelocity = ship.velocity * engineEffectiveness;
+            ship.vx = Math.cos(radians) * effectiveVelocity;
+            ship.vy = Math.sin(radians) * effectiveVelocity;
+        }
+
+        ship.x += ship.vx;
+        ship.y += ship.vy;
+
+        if (arrived) {
+            gameState.dropOutOfWarp('Arriving at waypoint. Dropping out of warp.');
+        }
 
         // Auto-navigate to waypoint if set
-        if (gameState.waypoint && ship.velocity > 0) {
+        if (gameState.waypoint && (ship.vx || ship.vy)) {
             const dx = gameState.waypoint.x - ship.x;
             const dy = gameState.waypoint.y - ship.y;
             const distance = Math.hypot(dx, dy);
             
             if (distance < 20) {
-                // Reached waypoint
-                gameState.addCommsMessage('NAVIGATION', 'Waypoint reached.', 'info');
+                // Reached waypoint; an approach to a starbase stops to wait for docking clearance
+                const starbase = gameState.bodies.find(body => body.id === gameState.waypoint.stationId);
+                if (starbase) {
+                    gameState.setThrottle(0);
+                    gameState.addCommsMessage('NAVIGATION', `On approach to ${starbase.name}. All stop - ready to request docking.`, 'info');
+                } else {
+                    gameState.addCommsMessage('NAVIGATION', 'Waypoint reached.', 'info');
+                }
                 gameState.clearWaypoint();
             }
         }
     }
 
+    // Charge, interdiction and cooldown for the player's warp drive
+    updateWarp() {
+        const warp = gameState.warp;
+        const engineEffectiveness = this.getSystemEffectiveness(gameState.playerShip, 'engines');
+
+        switch (warp.status) {
+            case 'charging':
+                if (engineEffectiveness <= 0) {
+                    gameState.endWarpCharge('Warp charge lost - no engine power.', 'alert');
+                } else if (gameState.getInterdictor()) {
+                    gameState.endWarpCharge('Warp charge aborted - hostile vessel within interdiction range.', 'alert');
+                } else {
+                    // More power to the engines charges the drive faster
+                    warp.charge = Math.min(1, warp.charge + engineEffectiveness / WARP_CHARGE_TICKS);
+                    if (warp.charge >= 1) {
+                        warp.status = 'active';
+                        gameState.addCommsMessage('HELM', `Warp ${warp.factor}, engaged.`, 'info');
+                        gameState.emit('warpChanged', warp);
+                        this.playSound('playWarp');
+                    }
+                }
+                break;
+
+            case 'active':
+                if (gameState.getInterdictor()) {
+                    gameState.dropOutOfWarp('Interdiction field! Dropped out of warp.', 'alert');
+                } else if (engineEffectiveness <= 0) {
+                    gameState.dropOutOfWarp('Warp field collapsed - engines offline!', 'alert');
+                }
+                break;
+
+            case 'cooldown':
+                warp.cooldown--;
+                if (warp.cooldown <= 0) {
+                    warp.status = 'idle';
+                    warp.cooldown = 0;
+                    gameState.addCommsMessage('HELM', 'Warp drive ready.', 'info');
+                    gameState.emit('warpChanged', warp);
+                }
+                break;
+        }
+    }
+
+    // Clearance while a docking request is pending, then rearming and repairs once clamped
+    updateDocking() {
+        const docking = gameState.docking;
+        if (docking.status === 'undocked') return;
+
+        const starbase = gameState.bodies.find(body => body.id === docking.stationId);
+        if (!starbase || gameState.getDisposition(starbase) === 'hostile') {
+            gameState.endDocking('Docking clamps released - starbase no longer receiving us.', 'alert');
+            return;
+        }
+
+        if (docking.status === 'requested') {
+            const problem = gameState.getDockingProblem(starbase);
+            if (problem) {
+                gameState.endDocking(`Docking aborted. ${problem}`, 'alert');
+            } else if (--docking.timer <= 0) {
+                gameState.dock();
+                this.playSound('playBeep');
+            }
+            return;
+        }
+
+        const ship = gameState.playerShip;
+        const systems = Object.values(ship.subsystems);
+        const shortOf = () => ORDNANCE_TYPES.find(type => gameState.getOrdnanceCount(ship, type) < ship.maxMagazine[type]);
+        const needsService = () => shortOf() || ship.hull < ship.maxHull ||
+            systems.some(system => system.hp < system.maxHp);
+        if (!needsService()) return;
+
+        docking.timer++;
+        const restock = shortOf();
+        if (docking.timer % REARM_TICKS === 0 && restock) {
+            ship.magazine[restock]++;
+            gameState.fillTubes();
+        }
+        ship.hull = Math.min(ship.maxHull, ship.hull + HULL_REPAIR_RATE);
+        systems.forEach(system => {
+            system.hp = Math.min(system.maxHp, system.hp + SUBSYSTEM_REPAIR_RATE);
+        });
+
+        if (!needsService()) {
+            gameState.addCommsMessage(starbase.name.toUpperCase(), 'Resupply and repairs complete. You are cleared to depart.', 'hail');
+            this.playSound('playRepairComplete');
+        }
+    }
+
+    // At warp the ship cruises along its heading at warp speed; helm can still steer.
+    // Returns true when a warp to the waypoint reaches it this tick.
+    flyAtWarp(ship, engineEffectiveness) {
+        this.turnToward(ship, ship.commandedHeading, ship.turnRate * engineEffectiveness);
+
+        const speed = gameState.getWarpSpeed();
+        const waypoint = gameState.waypoint;
+        if (gameState.warp.toWaypoint && waypoint &&
+            Math.hypot(waypoint.x - ship.x, waypoint.y - ship.y) <= speed) {
+            ship.vx = waypoint.x - ship.x;
+            ship.vy = waypoint.y - ship.y;
+            return true;
+        }
+
+        const radians = (ship.heading * Math.PI) / 180;
+        ship.velocity = speed;
+        ship.vx = Math.cos(radians) * speed;
+        ship.vy = Math.sin(radians) * speed;
+        return false;
+    }
+
+    // Newtonian flight: swing toward the commanded heading at the turn rate, and burn the
+    // engines to pull the velocity vector toward the commanded speed along the new heading.
+    // Momentum carries the ship sideways through a turn until the engines catch up.
+    applyThrust(ship, engineEffectiveness) {
+        this.turnToward(ship, ship.commandedHeading, ship.turnRate * engineEffectiveness);
+
+        const radians = (ship.heading * Math.PI) / 180;
+        const speed = gameState.getCommandedSpeed(ship);
+        const dvx = Math.cos(radians) * speed - ship.vx;
+        const dvy = Math.sin(radians) * speed - ship.vy;
+        const change = Math.hypot(dvx, dvy);
+        const acceleration = (ship.thrust / ship.mass) * engineEffectiveness;
+
+        if (change <= acceleration) {
+            ship.vx += dvx;
+            ship.vy += dvy;
+        } else {
+            ship.vx += (dvx / change) * acceleration;
+            ship.vy += (dvy / change) * acceleration;
+        }
+
+        ship.velocity = ship.vx * Math.cos(radians) + ship.vy * Math.sin(radians);
+    }
+
+    // Turn a ship's (or torpedo's) heading toward an angle (degrees) by at most turnSpeed
+    turnToward(ship, targetAngle, turnSpeed) {
+        let angleDiff = targetAngle - ship.heading;
+
+        // Normalize to -180 to 180
+        while (angleDiff > 180) angleDiff -= 360;
+        while (angleDiff < -180) angleDiff += 360;
+
+        if (Math.abs(angleDiff) < turnSpeed) {
+            ship.heading = targetAngle;
+        } else {
+            ship.heading += angleDiff > 0 ? turnSpeed : -turnSpeed;
+        }
+
+        // Normalize heading
+        while (ship.heading < 0) ship.heading += 360;
+        while (ship.heading >= 360) ship.heading -= 360;
+    }
+
     // Update NPC ships
     updateNPCShips() {
         gameState.ships.forEach(ship => {
+            if (ship.combat.reload > 0) ship.combat.reload--;
             this.updateNPCAI(ship);
             this.moveNPCShip(ship);
         });
     }
 
-    // NPC AI state machine
+    // How a ship fights: the difficulty's tactics if it's hostile to us, normal otherwise
+    getTactics(ship) {
+        const level = gameState.getDisposition(ship) === 'hostile' ? gameState.difficulty : 'normal';
+        return DIFFICULTY_PRESETS[level] || DIFFICULTY_PRESETS.normal;
+    }
+
+    // NPC AI. The ship's AI profile picks a behavior (see ai.js), which sets the AI state
+    // moveNPCShip() flies. Enemies come from faction standings, so any ship can fight any other.
     updateNPCAI(ship) {
-        const player = gameState.playerShip;
-        const distToPlayer = Math.hypot(player.x - ship.x, player.y - ship.y);
-
-        switch (ship.faction) {
-            case 'friendly':
-                // Friendly ships patrol near player
-                if (distToPlayer > 500) {
-                    ship.aiState = 'approach';
-                    ship.target = 'player';
-                } else {
-                    ship.aiState = 'patrol';
+        // Orders only bind ships that are still on our side
+        if (ship.orders && gameState.getDisposition(ship) !== 'friendly') {
+            ship.orders = null;
+        }
+        ship.destination = null;
+        const wasFighting = ship.aiState === 'attack' || ship.aiState === 'evade';
+        ai.think(ship, this);
+
+        // A fresh attack starts with a run in
+        if (ship.aiState === 'attack' && !wasFighting) {
+            ship.combat.phase = 'run';
+            ship.combat.timer = 0;
+        }
+    }
+
+    // Close on an enemy, then attack it once in range (flanking ships hold off, see isFlanking)
+    pursue(ship, enemy) {
+        ship.target = enemy.id;
+        ship.aiState = this.distanceBetween(ship, enemy) < ATTACK_RANGE && !this.isFlanking(ship, enemy) ? 'attack' : 'approach';
+    }
+
+    // Fleet orders from the player (see gameState.issueOrder)
+    followOrders(ship) {
+        const orders = ship.orders;
+
+        switch (orders.type) {
+            case 'attack': {
+                const target = gameState.getShip(orders.targetId);
+                if (!target) {
+                    this.completeOrder(ship, 'Target destroyed. Forming up on you.', { type: 'formUp' });
+                    return;
+                }
+                this.pursue(ship, target);
+                return;
+            }
+
+            case 'defend': {
+                const protectee = gameState.getShip(orders.targetId);
+                if (!protectee) {
+                    this.completeOrder(ship, 'We have lost our charge. Forming up on you.', { type: 'formUp' });
+                    return;
+                }
+                // Engage anything threatening the protected ship, otherwise stay close to it
+                const threat = this.findNearestEnemy(ship, protectee, ATTACK_RANGE);
+                if (threat) {
+                    this.pursue(ship, threat);
+                    return;
                 }
+                // Keep station a short way off, on our side of the protected ship
+                const offset = Math.atan2(ship.y - protectee.y, ship.x - protectee.x);
+                ship.target = protectee.id;
+                ship.aiState = 'escort';
+                ship.destination = {
+                    x: protectee.x + Math.cos(offset) * 100,
+                    y: protectee.y + Math.sin(offset) * 100
+                };
                 break;
+            }
 
-            case 'neutral':
-                // Neutral ships just patrol
-                ship.aiState = 'patrol';
+            case 'formUp':
+                ship.target = 'player';
+                ship.aiState = 'formation';
+                ship.destination = this.formationSlot(ship);
                 break;
 
-            case 'hostile':
-                // Hostile ships attack if close, flee if damaged
-                const hullPercent = ship.hull / ship.maxHull;
-                
-                if (hullPercent < 0.3) {
-                    ship.aiState = 'flee';
-                } else if (distToPlayer < 800) {
-                    ship.aiState = 'attack';
-                    ship.target = 'player';
-                } else if (distToPlayer < 1500) {
-                    ship.aiState = 'approach';
-                    ship.target = 'player';
-                } else {
-                    ship.aiState = 'patrol';
+            case 'hold':
+                ship.target = null;
+                ship.aiState = 'hold';
+                ship.destination = orders.point;
+                break;
+
+            case 'patrol': {
+                // Patrolling ships engage enemies that come close to the route
+                const enemy = this.findNearestEnemy(ship, ship, ATTACK_RANGE);
+                ship.target = enemy ? enemy.id : null;
+                ship.aiState = enemy ? 'attack' : 'patrol';
+                break;
+            }
+
+            case 'returnToBase': {
+                const home = ship.home || { x: 0, y: 0 }; // Ships from older saves have no home
+                if (this.distanceBetween(ship, home) < ARRIVAL_RANGE) {
+                    this.completeOrder(ship, 'Arrived at base. Holding position.', { type: 'hold', point: { x: home.x, y: home.y } });
+                    return;
                 }
+                ship.target = null;
+                ship.aiState = 'return';
+                ship.destination = home;
                 break;
+            }
+        }
+
+        // Weapons free: ships under orders fire on enemies that stray into phaser range
+        const enemy = this.findNearestEnemy(ship, ship, PHASER_RANGE);
+        if (ship.aiState !== 'attack' && enemy && rng.chance(0.02)) {
+            this.npcFire(ship, enemy);
         }
     }
 
+    // Report an order finished and move on to the next one
+    completeOrder(ship, message, nextOrders) {
+        gameState.addCommsMessage(ship.name.toUpperCase(), message, 'hail');
+        ship.orders = nextOrders;
+        this.followOrders(ship);
+    }
+
+    // Staggered slots behind the player, alternating port and starboard
+    formationSlot(ship) {
+        const player = gameState.playerShip;
+        const wingmen = gameState.ships.filter(s => s.orders && s.orders.type === 'formUp');
+        const slot = wingmen.indexOf(ship);
+        const back = 80 + Math.floor(slot / 2) * 60;
+        const side = (slot % 2 === 0 ? 1 : -1) * (60 + Math.floor(slot / 2) * 30);
+
+        const radians = (player.heading * Math.PI) / 180;
+        return {
+            x: player.x - Math.cos(radians) * back - Math.sin(radians) * side,
+            y: player.y - Math.sin(radians) * back + Math.cos(radians) * side
+        };
+    }
+
+    // Closest ship (player included) this ship regards as hostile, within range of a point
+    // (by default what its own sensors reach)
+    findNearestEnemy(ship, from = ship, range = ship.sensorRange) {
+        let nearest = null;
+        let nearestDistance = range;
+        [gameState.playerShip, ...gameState.ships].forEach(other => {
+            if (other === ship || !gameState.isEnemy(ship, other)) return;
+            const distance = this.distanceBetween(from, other);
+            if (distance < nearestDistance) {
+                nearest = other;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // An NPC making an attack run on this ship
+    findAttacker(ship) {
+        return gameState.ships.find(other =>
+            other.aiState === 'attack' && other.target === ship.id && this.distanceBetween(ship, other) < ATTACK_RANGE
+        ) || null;
+    }
+
+    // The torpedo this ship is dodging, if it's still coming. Each tick a ship has a chance
+    // (by difficulty) to notice a new one on a collision course.
+    findIncomingTorpedo(ship) {
+        const dodging = gameState.projectiles.find(p => p.id === ship.combat.dodging);
+        if (dodging && this.isOnCollisionCourse(dodging, ship)) return dodging;
+
+        ship.combat.dodging = null;
+        const incoming = gameState.projectiles.find(p => this.isOnCollisionCourse(p, ship));
+        if (incoming && rng.chance(this.getTactics(ship).dodgeChance)) {
+            ship.combat.dodging = incoming.id;
+            return incoming;
+        }
+        return null;
+    }
+
+    // Whether a torpedo holding its course will pass within reach of a ship in the next
+    // DODGE_WINDOW ticks (probes and mines don't come at anyone)
+    isOnCollisionCourse(proj, ship) {
+        if (proj.type !== 'torpedo' || proj.ordnance === 'probe' || proj.velocity <= 0 || proj.sourceId === ship.id) {
+            return false;
+        }
+
+        // Closest approach, with the ship's own motion taken out
+        const radians = (proj.heading * Math.PI) / 180;
+        const vx = Math.cos(radians) * proj.velocity - ship.vx;
+        const vy = Math.sin(radians) * proj.velocity - ship.vy;
+        const dx = ship.x - proj.x;
+        const dy = ship.y - proj.y;
+        const t = (dx * vx + dy * vy) / (vx * vx + vy * vy);
+        if (!(t >= 0 && t <= DODGE_WINDOW)) return false;
+        return Math.hypot(dx - vx * t, dy - vy * t) < ship.size + proj.size + DODGE_MARGIN;
+    }
+
+    // Ships going after the same target, in ship order; each one's index is its slot
+    getAttackGroup(target) {
+        return gameState.ships.filter(ship =>
+            ship.target === target.id && ['approach', 'attack', 'evade'].includes(ship.aiState));
+    }
+
+    // Where a ship closes in from when several attack together: spread around the target
+    // from the bearing the first of them is coming in on
+    getFlankPoint(ship, target) {
+        const group = this.getAttackGroup(target);
+        const slot = Math.max(0, group.indexOf(ship));
+        const lead = group[0] || ship;
+        const bearing = Math.atan2(lead.y - target.y, lead.x - target.x) +
+            FLANK_OFFSETS[slot % FLANK_OFFSETS.length] * Math.PI / 180;
+        return {
+            x: target.x + Math.cos(bearing) * FLANK_RANGE,
+            y: target.y + Math.sin(bearing) * FLANK_RANGE
+        };
+    }
+
+    // Whether a ship is still swinging round to its flank point rather than attacking. The first
+    // ship in goes straight in; the others hold off until they're in position or the target
+    // comes within phaser range.
+    isFlanking(ship, target) {
+        if (!this.getTactics(ship).flanking || this.getAttackGroup(target).indexOf(ship) < 1) return false;
+        if (this.distanceBetween(ship, target) < PHASER_RANGE) return false;
+        return this.distanceBetween(ship, this.getFlankPoint(ship, target)) > FLANK_ARRIVAL;
+    }
+
+    // Which way a ship peels off after a pass: alternating through the attack group
+    getBreakoffSide(ship, target) {
+        return this.getAttackGroup(target).indexOf(ship) % 2 === 0 ? 1 : -1;
+    }
+
+    // Where to aim at a moving target so something flying at speed meets it: the intercept point,
+    // with lead scaling how far ahead of the target that is (0 = where it is now)
+    getLeadPoint(ship, target, speed, lead = 1) {
+        const dx = target.x - ship.x;
+        const dy = target.y - ship.y;
+        const tvx = target.vx || 0;
+        const tvy = target.vy || 0;
+
+        // Solve |d + tv * t| = speed * t for the first time t the two can meet
+        const a = tvx * tvx + tvy * tvy - speed * speed;
+        const b = 2 * (dx * tvx + dy * tvy);
+        const c = dx * dx + dy * dy;
+        let t = 0;
+        if (Math.abs(a) < 1e-6) {
+            t = b < 0 ? -c / b : 0;
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant >= 0) {
+                const roots = [(-b - Math.sqrt(discriminant)) / (2 * a), (-b + Math.sqrt(discriminant)) / (2 * a)];
+                t = Math.min(...roots.filter(root => root > 0), Infinity);
+                if (!isFinite(t)) t = 0;
+            }
+        }
+
+        return {
+            x: target.x + tvx * t * lead,
+            y: target.y + tvy * t * lead
+        };
+    }
+
+    // The shield facing a ship wants toward an enemy: its strongest, unless the one
+    // already facing them is nearly as good (saves turning back and forth)
+    strongestFacing(ship, enemy) {
+        // Only facings a phaser bank covers, so the ship can still shoot back
+        const banks = ship.hardpoints.filter(h => h.weapon === 'phaser');
+        const armed = SHIELD_FACINGS.filter(facing =>
+            banks.length === 0 || banks.some(h => gameState.coversAngle(h, SHIELD_FACING_ANGLES[facing])));
+        const facings = armed.length > 0 ? armed : SHIELD_FACINGS;
+
+        const current = gameState.getShieldFacing(ship, enemy);
+        const strongest = facings.reduce((best, facing) =>
+            ship.shields[facing] > ship.shields[best] ? facing : best, facings[0]);
+        return facings.includes(current) && ship.shields[current] >= ship.shields[strongest] - 10 ? current : strongest;
+    }
+
+    distanceBetween(a, b) {
+        return Math.hypot(b.x - a.x, b.y - a.y);
+    }
+
     // Move NPC ship based on AI state
     moveNPCShip(ship) {
         const engineEffectiveness = this.getSystemEffectiveness(ship, 'engines');
@@ -154,15 +658,16 @@ class Simulation {
 
         switch (ship.aiState) {
             case 'patrol':
-                // Move between patrol points
-                if (ship.patrolPoints.length > 0) {
-                    const point = ship.patrolPoints[ship.patrolIndex];
+                // Move between patrol points (or the route from a patrol order)
+                const route = ship.orders && ship.orders.route ? ship.orders.route : ship.patrolPoints;
+                if (route.length > 0) {
+                    const point = route[ship.patrolIndex % route.length];
                     targetX = point.x;
                     targetY = point.y;
                     
                     const dist = Math.hypot(targetX - ship.x, targetY - ship.y);
                     if (dist < 30) {
-                        ship.patrolIndex = (ship.patrolIndex + 1) % ship.patrolPoints.length;
+                        ship.patrolIndex = (ship.patrolIndex + 1) % route.length;
                     }
                     
                     ship.velocity = ship.maxVelocity * 0.5 * engineEffectiveness;
@@ -172,31 +677,89 @@ class Simulation {
                 break;
 
             case 'approach':
-                const approachTarget = ship.target === 'player' ? gameState.playerShip : null;
+                const approachTarget = gameState.getShip(ship.target);
                 if (approachTarget) {
-                    targetX = approachTarget.x;
-                    targetY = approachTarget.y;
+                    // Hostile ships close in from their own side of the target when attacking together
+                    const point = gameState.isEnemy(ship, approachTarget) && this.getTactics(ship).flanking
+                        ? this.getFlankPoint(ship, approachTarget)
+                        : approachTarget;
+                    targetX = point.x;
+                    targetY = point.y;
                     ship.velocity = ship.maxVelocity * 0.8 * engineEffectiveness;
                 }
                 break;
 
             case 'attack':
-                const attackTarget = ship.target === 'player' ? gameState.playerShip : null;
+                const attackTarget = gameState.getShip(ship.target);
                 if (attackTarget) {
-                    targetX = attackTarget.x;
-                    targetY = attackTarget.y;
+                    const point = getShipClass(ship.type).attackStyle === 'runs'
+                        ? this.steerAttackRun(ship, attackTarget)
+                        : this.steerStandoff(ship, attackTarget);
+                    targetX = point.x;
+                    targetY = point.y;
                     ship.velocity = ship.maxVelocity * engineEffectiveness;
-                    
-                    // Fire at player occasionally
-                    const dist = Math.hypot(targetX - ship.x, targetY - ship.y);
-                    if (dist < 400 && Math.random() < 0.02) {
-                        this.npcFireAtPlayer(ship);
+                    this.engage(ship, attackTarget);
+                }
+                break;
+
+            case 'evade': {
+                // Turn across the torpedo's path, toward whichever side of it the ship is already on
+                const torpedo = gameState.projectiles.find(p => p.id === ship.combat.dodging);
+                if (torpedo) {
+                    const radians = (torpedo.heading * Math.PI) / 180;
+                    const side = Math.cos(radians) * (ship.y - torpedo.y) - Math.sin(radians) * (ship.x - torpedo.x);
+                    const away = radians + (side >= 0 ? 1 : -1) * Math.PI / 2;
+                    targetX = ship.x + Math.cos(away) * 100;
+                    targetY = ship.y + Math.sin(away) * 100;
+                }
+                ship.velocity = ship.maxVelocity * engineEffectiveness;
+
+                // Still shooting back on the way
+                const enemy = gameState.getShip(ship.target);
+                if (enemy && gameState.isEnemy(ship, enemy)) {
+                    this.engage(ship, enemy);
+                }
+                break;
+            }
+
+            case 'formation':
+            case 'escort':
+            case 'hold':
+            case 'return':
+            case 'trade':
+            case 'surrender': {
+                // Steer for the destination, slowing on arrival
+                const dest = ship.destination;
+                const dist = Math.hypot(dest.x - ship.x, dest.y - ship.y);
+                const player = gameState.playerShip;
+                const playerSpeed = Math.hypot(player.vx, player.vy);
+                // Wingmen keep pace with us; everyone else stops at the destination
+                const cruise = ship.aiState === 'formation' ? playerSpeed : 0;
+
+                if (dist < ARRIVAL_RANGE) {
+                    ship.velocity = Math.min(cruise, ship.maxVelocity * engineEffectiveness);
+                    if (ship.aiState === 'formation') {
+                        // Match our heading
+                        targetX = ship.x + Math.cos(player.heading * Math.PI / 180) * 100;
+                        targetY = ship.y + Math.sin(player.heading * Math.PI / 180) * 100;
+                    }
+                } else {
+                    targetX = dest.x;
+                    targetY = dest.y;
+                    ship.velocity = Math.min(ship.maxVelocity * engineEffectiveness, cruise + dist * 0.05);
+
+                    // Ease off while turning hard so ships can't circle a nearby destination forever
+                    const bearing = Math.atan2(dest.y - ship.y, dest.x - ship.x) * 180 / Math.PI;
+                    const offCourse = Math.abs(((bearing - ship.heading) % 360 + 540) % 360 - 180);
+                    if (offCourse > 45) {
+                        ship.velocity *= 0.3;
                     }
                 }
                 break;
+            }
 
             case 'flee':
-                const fleeFrom = gameState.playerShip;
+                const fleeFrom = gameState.getShip(ship.target) || gameState.playerShip;
                 const angle = Math.atan2(ship.y - fleeFrom.y, ship.x - fleeFrom.x);
                 targetX = ship.x + Math.cos(angle) * 500;
                 targetY = ship.y + Math.sin(angle) * 500;
@@ -207,53 +770,201 @@ class Simulation {
         // Turn towards target
         if (targetX !== undefined && targetY !== undefined) {
             const targetAngle = Math.atan2(targetY - ship.y, targetX - ship.x) * 180 / Math.PI;
-            let angleDiff = targetAngle - ship.heading;
-            
-            // Normalize to -180 to 180
-            while (angleDiff > 180) angleDiff -= 360;
-            while (angleDiff < -180) angleDiff += 360;
-            
-            // Turn towards target
-            const turnSpeed = ship.turnRate * engineEffectiveness;
-            if (Math.abs(angleDiff) < turnSpeed) {
-                ship.heading = targetAngle;
-            } else {
-                ship.heading += angleDiff > 0 ? turnSpeed : -turnSpeed;
-            }
-            
-            // Normalize heading
-            while (ship.heading < 0) ship.heading += 360;
-            while (ship.heading >= 360) ship.heading -= 360;
+            this.turnToward(ship, targetAngle, ship.turnRate * engineEffectiveness);
         }
 
         // Apply movement
         const radians = (ship.heading * Math.PI) / 180;
-        ship.x += Math.cos(radians) * ship.velocity;
-        ship.y += Math.sin(radians) * ship.velocity;
+        ship.vx = Math.cos(radians) * ship.velocity;
+        ship.vy = Math.sin(radians) * ship.velocity;
+        ship.x += ship.vx;
+        ship.y += ship.vy;
+    }
+
+    // Attack run: close in at full speed, break off once inside half the preferred range,
+    // swing out past it (or for BREAKOFF_TICKS) and come around for another pass
+    steerAttackRun(ship, target) {
+        const combat = ship.combat;
+        const preferredRange = getShipClass(ship.type).preferredRange;
+        const dist = this.distanceBetween(ship, target);
+
+        combat.timer++;
+        if (combat.phase === 'run' && dist < preferredRange * 0.5) {
+            combat.phase = 'breakoff';
+            combat.timer = 0;
+        } else if (combat.phase === 'breakoff' && (dist > preferredRange * 1.5 || combat.timer > BREAKOFF_TICKS)) {
+            combat.phase = 'run';
+            combat.timer = 0;
+        }
+
+        if (combat.phase === 'breakoff') {
+            // Peel away at an angle so the next pass comes in from somewhere new
+            const away = Math.atan2(ship.y - target.y, ship.x - target.x) + this.getBreakoffSide(ship, target) * Math.PI / 3;
+            return { x: ship.x + Math.cos(away) * 100, y: ship.y + Math.sin(away) * 100 };
+        }
+        // On the run in, point the bow (and the torpedo launchers) at the intercept point
+        return this.getLeadPoint(ship, target, ORDNANCE.photon.velocity, this.getTactics(ship).lead);
     }
 
-    // NPC fires at player
-    npcFireAtPlayer(ship) {
+    // Stand-off: hold the preferred range with the strongest armed facing toward the enemy.
+    // Broadside ships end up circling it; too far or too close bends the course in or out.
+    steerStandoff(ship, target) {
+        const preferredRange = getShipClass(ship.type).preferredRange;
+        const dist = this.distanceBetween(ship, target);
+        const facing = this.strongestFacing(ship, target);
+        const bearing = Math.atan2(target.y - ship.y, target.x - ship.x);
+        let heading = bearing - SHIELD_FACING_ANGLES[facing] * Math.PI / 180;
+
+        // -1 (far too close) to 1 (far too distant), 0 at the preferred range
+        const error = Math.max(-1, Math.min(1, (dist - preferredRange) / (preferredRange * 0.5)));
+        const wanted = error > 0 ? bearing : bearing + Math.PI;
+        const turn = Math.atan2(Math.sin(wanted - heading), Math.cos(wanted - heading));
+        heading += turn * Math.abs(error);
+
+        return { x: ship.x + Math.cos(heading) * 100, y: ship.y + Math.sin(heading) * 100 };
+    }
+
+    // Weapons during an attack: phasers now and then while a bank bears, torpedoes when lined up
+    engage(ship, target) {
+        const tactics = this.getTactics(ship);
+        if (this.distanceBetween(ship, target) < PHASER_RANGE && rng.chance(tactics.fireChance)) {
+            this.npcFire(ship, target);
+        }
+        this.npcLaunchTorpedo(ship, target, tactics);
+    }
+
+    // NPC torpedo launch: needs a round, a reloaded launcher and a launcher facing the lead point
+    // (ships without torpedo mounts launch in any direction). Returns true if one went.
+    npcLaunchTorpedo(ship, target, tactics) {
+        if (ship.combat.reload > 0 || this.getSystemEffectiveness(ship, 'weapons') <= 0) return false;
+        const ordnance = NPC_TORPEDO_ORDNANCE.find(type => ship.magazine[type] > 0);
+        const dist = this.distanceBetween(ship, target);
+        if (!ordnance || dist > NPC_TORPEDO_RANGE || dist < NPC_TORPEDO_MIN_RANGE) return false;
+
+        const aim = this.getLeadPoint(ship, target, ORDNANCE[ordnance].velocity, tactics.lead);
+        const offBow = gameState.getRelativeBearing(ship, aim);
+        const launchers = ship.hardpoints.filter(h => h.weapon === 'torpedo');
+        const launcher = launchers.find(h =>
+            Math.abs(((offBow - h.facing) % 360 + 540) % 360 - 180) <= TORPEDO_ALIGNMENT);
+        if (launchers.length > 0 && !launcher) return false;
+
+        ship.magazine[ordnance]--;
+        ship.combat.reload = tactics.torpedoReload;
+        const projectile = createProjectile({
+            type: 'torpedo',
+            ordnance,
+            x: ship.x,
+            y: ship.y,
+            heading: (ship.heading + (launcher ? launcher.facing : offBow) + 360) % 360,
+            sourceId: ship.id,
+            targetId: target.id,
+            mode: tactics.torpedoMode
+        });
+        projectile.damage *= this.getSystemEffectiveness(ship, 'weapons');
+        gameState.projectiles.push(projectile);
+
+        if (target === gameState.playerShip) {
+            gameState.addCommsMessage('TACTICAL', 'Incoming torpedo!', 'alert');
+        }
+        return true;
+    }
+
+    // NPC fires at a target ship (the player or another NPC)
+    npcFire(ship, target) {
         const weaponEffectiveness = this.getSystemEffectiveness(ship, 'weapons');
         if (weaponEffectiveness <= 0) return;
 
-        const player = gameState.playerShip;
-        const angle = Math.atan2(player.y - ship.y, player.x - ship.x) * 180 / Math.PI;
-
-        // Phaser attack (instant)
-        const distance = Math.hypot(player.x - ship.x, player.y - ship.y);
-        if (distance < 400) {
+        // Phaser attack (instant), from any bank whose arc covers the target
+        const distance = this.distanceBetween(ship, target);
+        if (distance < PHASER_RANGE && gameState.selectHardpoint(ship, 'phaser', target)) {
             gameState.phaserBeams.push({
                 x1: ship.x,
                 y1: ship.y,
-                x2: player.x,
-                y2: player.y,
+                x2: target.x,
+                y2: target.y,
                 lifetime: 15
             });
 
             const damage = 10 * weaponEffectiveness;
-            gameState.damageShip(player, damage);
-            audio.playHullHit();
+            gameState.damageShip(target, damage, ship);
+            if (target === gameState.playerShip) {
+                this.playSound('playHullHit');
+            }
+        }
+    }
+
+    // Gravity wells, asteroid strikes and nebula cover for every ship
+    updateBodies() {
+        const player = gameState.playerShip;
+        const wasInNebula = player.inNebula;
+
+        [player, ...gameState.ships].forEach(ship => {
+            ship.inNebula = false;
+            // Nothing out here touches a ship at warp, or one held in a starbase's clamps
+            const untouched = ship === player && (gameState.isAtWarp() || gameState.isDocked());
+
+            for (const body of gameState.bodies) {
+                if (ship.hull <= 0) break;
+                const distance = Math.hypot(body.x - ship.x, body.y - ship.y);
+
+                if (body.type === 'planet' && !untouched) {
+                    this.applyGravity(ship, body, distance);
+                } else if (body.type === 'asteroids' && !untouched && distance < body.radius) {
+                    this.checkAsteroidStrike(ship, body);
+                } else if (body.type === 'nebula' && distance < body.radius) {
+                    ship.inNebula = true;
+                }
+            }
+        });
+
+        if (player.inNebula !== wasInNebula) {
+            gameState.addCommsMessage('SENSORS', player.inNebula
+                ? 'Entering nebula. Sensors and shields degraded.'
+                : 'Clear of the nebula. Sensors and shields restored.', 'info');
+        }
+    }
+
+    // Pull a ship toward a planet, falling off with the square of the distance.
+    // The surface is solid: ships that reach it are held at the edge.
+    applyGravity(ship, planet, distance) {
+        if (distance >= planet.radius * GRAVITY_WELL || distance === 0) return;
+
+        const dirX = (planet.x - ship.x) / distance;
+        const dirY = (planet.y - ship.y) / distance;
+        const newtonian = ship.id === 'player' && gameState.flightModel === 'newtonian';
+
+        if (distance < planet.radius) {
+            ship.x = planet.x - dirX * planet.radius;
+            ship.y = planet.y - dirY * planet.radius;
+            // Lose whatever speed was carrying us into the ground
+            const inward = ship.vx * dirX + ship.vy * dirY;
+            if (newtonian && inward > 0) {
+                ship.vx -= dirX * inward;
+                ship.vy -= dirY * inward;
+            }
+            return;
+        }
+
+        const pull = planet.gravity * (planet.radius / distance) ** 2;
+        if (newtonian) {
+            ship.vx += dirX * pull * NEWTONIAN_GRAVITY;
+            ship.vy += dirY * pull * NEWTONIAN_GRAVITY;
+        } else {
+            // Arcade ships set their velocity every tick, so gravity drifts them instead
+            ship.x += dirX * pull;
+            ship.y += dirY * pull;
+        }
+    }
+
+    // The faster a ship moves through a field, the more rocks it runs into
+    checkAsteroidStrike(ship, field) {
+        const speed = Math.hypot(ship.vx, ship.vy);
+        if (speed <= 0 || !rng.chance(field.density * speed * ASTEROID_HIT_CHANCE)) return;
+
+        // Strikes land on the facing we're flying into
+        gameState.damageShip(ship, rng.range(2, 6), { x: ship.x + ship.vx, y: ship.y + ship.vy });
+        if (ship.id === 'player') {
+            this.playSound('playHullHit');
         }
     }
 
@@ -261,7 +972,14 @@ class Simulation {
     updateProjectiles() {
         for (let i = gameState.projectiles.length - 1; i >= 0; i--) {
             const proj = gameState.projectiles[i];
-            
+
+            // Homing torpedoes steer toward their target while it lasts
+            const target = proj.mode === 'homing' && gameState.getShip(proj.targetId);
+            if (target) {
+                const angle = Math.atan2(target.y - proj.y, target.x - proj.x) * 180 / Math.PI;
+                this.turnToward(proj, angle, HOMING_TURN_RATE);
+            }
+
             // Move projectile
             const radians = (proj.heading * Math.PI) / 180;
             proj.x += Math.cos(radians) * proj.velocity;
@@ -269,22 +987,37 @@ class Simulation {
             
             proj.lifetime--;
 
-            // Check for collisions
+            // Check for collisions (probes pass through ships)
             let hit = false;
             
-            // Check against ships
-            const targets = proj.sourceId === 'player' ? gameState.ships : [gameState.playerShip];
+            // Check against every ship except the one that fired it
+            const targets = proj.ordnance === 'probe' ? [] : [gameState.playerShip, ...gameState.ships].filter(ship => ship.id !== proj.sourceId);
             
             for (const target of targets) {
                 const dist = Math.hypot(target.x - proj.x, target.y - proj.y);
+                if (proj.mode === 'proximity' && this.isFuseTriggered(proj, target, dist)) {
+                    this.detonate(proj);
+                    hit = true;
+                    break;
+                }
                 if (dist < target.size + proj.size) {
-                    gameState.damageShip(target, proj.damage);
-                    audio.playExplosion();
+                    // Hits the facing the torpedo flew in toward
+                    this.applyWarhead(proj, target, 1, {
+                        x: proj.x - Math.cos(radians) * 100,
+                        y: proj.y - Math.sin(radians) * 100
+                    });
+                    this.playSound('playExplosion');
                     hit = true;
                     break;
                 }
             }
 
+            // Planets stop torpedoes dead
+            if (!hit && gameState.bodies.some(body => body.type === 'planet' &&
+                Math.hypot(body.x - proj.x, body.y - proj.y) < body.radius)) {
+                hit = true;
+            }
+
             // Remove if hit or expired
             if (hit || proj.lifetime <= 0) {
                 gameState.projectiles.splice(i, 1);
@@ -292,6 +1025,81 @@ class Simulation {
         }
     }
 
+    // A proximity fuse goes off near an enemy of the ship that fired it, but only once
+    // the torpedo is clear of its own blast radius from the launcher
+    isFuseTriggered(proj, ship, distance) {
+        if (distance >= PROXIMITY_FUSE + ship.size) return false;
+
+        const source = gameState.getShip(proj.sourceId);
+        if (!source) return true;
+        return gameState.isEnemy(source, ship) &&
+            Math.hypot(source.x - proj.x, source.y - proj.y) > SPLASH_RADIUS;
+    }
+
+    // Blast damage to every ship in the splash radius, falling off with distance.
+    // Friend or foe, the shield facing toward the blast takes it.
+    detonate(proj) {
+        [gameState.playerShip, ...gameState.ships].forEach(ship => {
+            const distance = Math.hypot(ship.x - proj.x, ship.y - proj.y);
+            if (distance >= SPLASH_RADIUS) return;
+            this.applyWarhead(proj, ship, 1 - distance / SPLASH_RADIUS, { x: proj.x, y: proj.y });
+        });
+        this.playSound('playExplosion');
+    }
+
+    // Damage from a hit or blast, scaled by strength (1 for a direct hit). An EMP does no
+    // damage: it drains the shields and knocks the ship's systems out for a while.
+    applyWarhead(proj, ship, strength, from) {
+        if (proj.ordnance !== 'emp') {
+            gameState.damageShip(ship, proj.damage * strength, from, gameState.getShip(proj.sourceId));
+            return;
+        }
+
+        const emp = ORDNANCE.emp;
+        SHIELD_FACINGS.forEach(facing => {
+            ship.shields[facing] = Math.max(0, ship.shields[facing] - emp.shieldDrain * strength);
+        });
+        const wasDisrupted = ship.disrupted > 0;
+        ship.disrupted = Math.max(ship.disrupted, Math.round(emp.disruptTicks * strength));
+        if (ship.id === 'player' && !wasDisrupted) {
+            gameState.addCommsMessage('DAMAGE CONTROL', 'EMP strike! Shields drained and systems disrupted.', 'alert');
+        }
+    }
+
+    // Count down the load time of every tube that's loading; a wrecked weapons system can't load
+    updateTorpedoTubes() {
+        const ship = gameState.playerShip;
+        if (ship.subsystems.weapons.hp <= 0 || ship.disrupted > 0) return;
+
+        ship.tubes.forEach(tube => {
+            if (!tube.ordnance || tube.loading <= 0) return;
+            tube.loading--;
+            if (tube.loading <= 0) {
+                gameState.emit('tubesChanged', ship.tubes);
+            }
+        });
+    }
+
+    // Phasers recharge with the weapons system, and weapon cooldowns count down
+    updateFireControl() {
+        const control = gameState.fireControl;
+        const weaponsEffectiveness = this.getSystemEffectiveness(gameState.playerShip, 'weapons');
+        control.phaserCharge = Math.min(100, control.phaserCharge + PHASER_RECHARGE * weaponsEffectiveness);
+        if (control.phaserCooldown > 0) control.phaserCooldown--;
+        if (control.torpedoCooldown > 0) control.torpedoCooldown--;
+    }
+
+    // EMP disruption wears off
+    updateDisruption() {
+        [gameState.playerShip, ...gameState.ships].forEach(ship => {
+            if (ship.disrupted <= 0) return;
+            ship.disrupted--;
+            if (ship.disrupted === 0 && ship.id === 'player') {
+                gameState.addCommsMessage('ENGINEERING', 'Systems restored after EMP disruption.', 'info');
+            }
+        });
+    }
+
     // Update phaser beam visuals
     updatePhaserBeams() {
         for (let i = gameState.phaserBeams.length - 1; i >= 0; i--) {
@@ -308,7 +1116,7 @@ class Simulation {
             if (gameState.repairCooldowns[system] > 0) {
                 gameState.repairCooldowns[system]--;
                 if (gameState.repairCooldowns[system] === 0) {
-                    audio.playRepairComplete();
+                    this.playSound('playRepairComplete');
                 }
             }
         }
@@ -323,7 +1131,7 @@ class Simulation {
         let nearestHostileDistance = Infinity;
 
         gameState.ships.forEach(ship => {
-            if (ship.faction === 'hostile') {
+            if (gameState.getDisposition(ship) === 'hostile') {
                 const dist = Math.hypot(ship.x - player.x, ship.y - player.y);
                 nearestHostileDistance = Math.min(nearestHostileDistance, dist);
             }
@@ -333,35 +1141,43 @@ class Simulation {
         if (nearestHostileDistance < 500) {
             if (gameState.alertLevel !== 'red') {
                 gameState.setAlertLevel('red');
-                audio.playRedAlert();
+                this.playSound('playRedAlert');
             }
         } else if (nearestHostileDistance < 1000) {
             if (gameState.alertLevel !== 'yellow' && gameState.alertLevel !== 'red') {
                 gameState.setAlertLevel('yellow');
-                audio.playYellowAlert();
+                this.playSound('playYellowAlert');
             }
         } else if (gameState.alertLevel !== 'normal' && nearestHostileDistance > 1500) {
             gameState.setAlertLevel('normal');
         }
     }
 
-    // Regenerate shields over time
+    // Regenerate each shield facing up to its capacity
     regenerateShields() {
         gameState.ships.concat([gameState.playerShip]).forEach(ship => {
+            // Shields are down at warp, while docked and while disrupted by an EMP
+            if (ship.disrupted > 0 || (ship.id === 'player' && (gameState.isAtWarp() || gameState.isDocked()))) return;
+
             const shieldPower = ship.subsystems.shields.power / 100;
-            const shieldHealth = ship.subsystems.shields.hp / 100;
-            
-            if (shieldPower > 0 && shieldHealth > 0 && ship.shieldStrength < ship.maxShieldStrength) {
-                ship.shieldStrength += 0.1 * shieldPower * shieldHealth;
-                ship.shieldStrength = Math.min(ship.shieldStrength, ship.maxShieldStrength);
-            }
+            const shieldHealth = ship.subsystems.shields.hp / ship.subsystems.shields.maxHp;
+            if (shieldPower <= 0 || shieldHealth <= 0) return;
+            const nebula = ship.inNebula ? NEBULA_SHIELD_FACTOR : 1;
+
+            SHIELD_FACINGS.forEach(facing => {
+                const capacity = gameState.getShieldCapacity(ship, facing);
+                if (ship.shields[facing] < capacity) {
+                    ship.shields[facing] = Math.min(capacity, ship.shields[facing] + 0.1 * shieldPower * shieldHealth * nebula);
+                }
+            });
         });
     }
 
     // Get system effectiveness (0-1)
     getSystemEffectiveness(ship, system) {
+        if (ship.disrupted > 0) return 0;
         const sys = ship.subsystems[system];
-        return (sys.hp / 100) * (sys.power / 100);
+        return (sys.hp / sys.maxHp) * (sys.power / 100);
     }
 }
 
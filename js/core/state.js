@@ -3,69 +3,316 @@
  * Holds all shared state for the starship simulator
  */
 
-// Subsystem template
-function createSubsystems() {
+import { rng } from './random.js';
+import { getShipClass } from './shipClasses.js';
+
+// Sequential entity ids (random UUIDs would differ between runs with the same seed)
+function generateId(prefix) {
+    return `${prefix}-${gameState.nextEntityId++}`;
+}
+
+// Subsystem template, at full health for the given durability (maxHp by system)
+function createSubsystems(durability = {}) {
+    const subsystems = {};
+    ['engines', 'weapons', 'shields', 'sensors'].forEach(system => {
+        const maxHp = durability[system] || 100;
+        subsystems[system] = { hp: maxHp, maxHp, power: 50 };
+    });
+    return subsystems;
+}
+
+// Orders the player can give friendly ships (see issueOrder)
+const FLEET_ORDERS = ['formUp', 'attack', 'defend', 'hold', 'patrol', 'returnToBase'];
+
+// Scan tiers in order; ship.scanLevel counts how many are complete (see sensors.js)
+const SCAN_LEVELS = ['identity', 'hull', 'subsystems', 'tactical'];
+
+// Shield arcs, clockwise from the bow; each covers 90 degrees centred on its angle off the heading
+const SHIELD_FACINGS = ['fore', 'starboard', 'aft', 'port'];
+const SHIELD_FACING_ANGLES = { fore: 0, starboard: 90, aft: 180, port: 270 };
+
+// Reinforcing a facing raises its capacity and lowers the others to pay for it
+const REINFORCED_CAPACITY = 1.6;
+const UNREINFORCED_CAPACITY = 0.8;
+
+// Arcade flight turns and changes speed instantly; Newtonian flight accelerates under thrust
+const FLIGHT_MODELS = ['arcade', 'newtonian'];
+const MIN_THROTTLE = -50; // Full reverse
+
+// How hard ships hostile to the player fight (the tactics for each are in simulation.js)
+const DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+// Warp drive: cruise speed per warp factor (per tick), and the rules that hold it back
+const MAX_WARP_FACTOR = 6;
+const WARP_SPEED_PER_FACTOR = 12;
+const WARP_COOLDOWN_TICKS = 200;  // 10 seconds before the drive can charge again
+const INTERDICTION_RADIUS = 1000; // Hostiles this close block or break warp
+
+// Ordnance the torpedo tubes launch. Mines (velocity 0) stay where they're laid; probes
+// hit nothing and extend our sensors; EMP drains shields and knocks out systems for a while.
+// loadTicks is how long a tube takes to load a round.
+const ORDNANCE = {
+    photon: { name: 'Photon', damage: 30, velocity: 12, lifetime: 300, size: 8, loadTicks: 40 },
+    quantum: { name: 'Quantum', damage: 60, velocity: 8, lifetime: 400, size: 10, loadTicks: 100 },
+    emp: { name: 'EMP', damage: 0, velocity: 12, lifetime: 300, size: 8, loadTicks: 60, shieldDrain: 40, disruptTicks: 100 },
+    probe: { name: 'Probe', damage: 0, velocity: 6, lifetime: 1200, size: 5, loadTicks: 40, sensorRange: 800 },
+    mine: { name: 'Mine', damage: 40, velocity: 0, lifetime: 2400, size: 6, loadTicks: 80 }
+};
+const ORDNANCE_TYPES = Object.keys(ORDNANCE);
+const TORPEDO_TUBES = 4;
+
+// Rounds of each ordnance type (missing types are 0)
+function createMagazine(counts = {}) {
+    const magazine = {};
+    ORDNANCE_TYPES.forEach(type => {
+        magazine[type] = counts[type] || 0;
+    });
+    return magazine;
+}
+
+// Weapon mounts (each ship class has its own, see shipClasses.js). facing is degrees off the bow,
+// clockwise like SHIELD_FACING_ANGLES, and arc is the total width the mount covers. A weapon a ship
+// declares no mounts for fires in any direction.
+const HARDPOINT_WEAPONS = ['phaser', 'torpedo'];
+const WEAPON_RANGES = { phaser: 500, torpedo: 1500 };
+
+// Player fire control: each phaser shot draws on a charge (0-100) that refills with the
+// weapons system, and each weapon waits out a cooldown (ticks) after firing
+const PHASER_SHOT_COST = 20;
+const PHASER_RECHARGE = 0.5; // Charge per tick at full weapons effectiveness
+const PHASER_COOLDOWN_TICKS = 30;
+const TORPEDO_COOLDOWN_TICKS = 60;
+
+// Fill in the optional fields of a list of mounts
+function createHardpoints(specs = []) {
+    return specs.map((spec, i) => ({
+        id: spec.id || `${spec.weapon}-${i + 1}`,
+        name: spec.name || `${spec.weapon === 'phaser' ? 'Phaser Bank' : 'Torpedo Launcher'} ${i + 1}`,
+        weapon: spec.weapon,
+        facing: spec.facing || 0,
+        arc: spec.arc || 360
+    }));
+}
+
+// Torpedo guidance: dumbfire flies straight, homing steers toward its target, and proximity
+// detonates when an enemy comes within the fuse range, damaging everything in the blast
+const TORPEDO_MODES = ['dumbfire', 'homing', 'proximity'];
+const PROXIMITY_FUSE = 60;
+
+// Docking: how close to a starbase's centre and how slow the ship must be, and how long
+// the starbase takes to answer and close the clamps
+const DOCKING_RANGE = 150;
+const DOCKING_SPEED = 1;
+const DOCKING_CLEARANCE_TICKS = 60;
+
+// Standings one faction can hold toward another
+const STANDINGS = ['friendly', 'neutral', 'hostile'];
+
+// Reputation: how well a faction thinks of the player, from -100 to 100. It settles the
+// faction's standing toward the player's faction: friendly from 50 up, hostile from -50 down.
+const REPUTATION_LIMIT = 100;
+const REPUTATION_THRESHOLD = 50;
+const STANDING_REPUTATION = { friendly: 75, neutral: 0, hostile: -75 }; // Where each standing starts
+const PIRACY_PENALTY = 40;     // For destroying a trader that meant us no harm
+const PROTECTION_REWARD = 15;  // For destroying a ship that was attacking one
+const INSPECTION_PENALTY = 10; // For holding up an honest trader
+
+// Trade goods. Markets make and use them and freighters haul them (see economy.js).
+// Contraband is never traded openly: smugglers hide it, scans miss it and only an inspection finds it.
+const GOODS = {
+    food: { name: 'Foodstuffs' },
+    ore: { name: 'Ore' },
+    machinery: { name: 'Machinery' },
+    medicine: { name: 'Medical Supplies' },
+    dilithium: { name: 'Dilithium' },
+    contraband: { name: 'Contraband', contraband: true }
+};
+const GOODS_TYPES = Object.keys(GOODS);
+const INSPECTION_RANGE = 300;   // How close the player must be to board a ship for inspection
+const CARGO_POD_LIFETIME = 3600; // Ticks a destroyed ship's cargo pod lasts before it breaks up
+
+// Hails NPCs open with us that wait for an answer (see hails.js), and the answers Comms can give
+const HAIL_RESPONSES = {
+    distress: ['assist', 'standDown'], // A trader under attack: come to its aid, or order the attacker off
+    surrender: ['accept', 'standDown'] // A beaten enemy: take its surrender, or send it away
+};
+const HAIL_TIMEOUT = 600; // Ticks a hail stays open
+
+const BROADCAST_LENGTH = 280; // Longest message the crew can broadcast
+
+// The standing a reputation earns
+function getReputationStanding(reputation) {
+    if (reputation >= REPUTATION_THRESHOLD) return 'friendly';
+    if (reputation <= -REPUTATION_THRESHOLD) return 'hostile';
+    return 'neutral';
+}
+
+// "12 Foodstuffs, 3 Ore"
+function describeCargo(cargo) {
+    const held = Object.entries(cargo).filter(([, amount]) => amount > 0);
+    if (held.length === 0) return 'EMPTY';
+    return held.map(([good, amount]) => `${amount} ${GOODS[good].name}`).join(', ');
+}
+
+// Built-in factions and how each regards the others. Scenarios rename these,
+// change standings and add factions of their own (see scenario.js).
+function createFactions() {
     return {
-        engines: { hp: 100, maxHp: 100, power: 50 },
-        weapons: { hp: 100, maxHp: 100, power: 50 },
-        shields: { hp: 100, maxHp: 100, power: 50 },
-        sensors: { hp: 100, maxHp: 100, power: 50 }
+        friendly: { name: 'Federation', standings: { neutral: 'neutral', hostile: 'hostile' } },
+        neutral: { name: 'Independent', standings: { friendly: 'neutral', hostile: 'neutral' } },
+        hostile: { name: 'Hostile', standings: { friendly: 'hostile', neutral: 'hostile' } }
     };
 }
 
-// Ship factory
+// Every facing at the same strength
+function createShields(strength) {
+    const shields = {};
+    SHIELD_FACINGS.forEach(facing => {
+        shields[facing] = strength;
+    });
+    return shields;
+}
+
+// Ship factory. type is a ship class id (see shipClasses.js); the class supplies every stat,
+// mount and sensor range the config leaves out.
 function createShip(config) {
+    const shipClass = getShipClass(config.type);
+    const maxShieldStrength = config.maxShieldStrength || shipClass.shieldStrength;
     return {
-        id: config.id || crypto.randomUUID(),
+        id: config.id || generateId('ship'),
         name: config.name || 'Unknown Vessel',
         type: config.type || 'frigate',
-        faction: config.faction || 'neutral', // 'friendly', 'neutral', 'hostile'
+        faction: config.faction || 'neutral', // A key of gameState.factions
         x: config.x || 0,
         y: config.y || 0,
         heading: config.heading || 0, // degrees, 0 = right, 90 = down
-        velocity: config.velocity || 0,
-        maxVelocity: config.maxVelocity || 5,
-        turnRate: config.turnRate || 3,
-        subsystems: config.subsystems || createSubsystems(),
-        hull: config.hull || 100,
-        maxHull: config.maxHull || 100,
-        shieldStrength: config.shieldStrength || 100,
-        maxShieldStrength: config.maxShieldStrength || 100,
+        commandedHeading: config.commandedHeading === undefined ? config.heading || 0 : config.commandedHeading,
+        velocity: config.velocity || 0, // Speed along the heading (negative in reverse)
+        vx: config.vx || 0,             // Actual motion per tick
+        vy: config.vy || 0,
+        throttle: config.throttle || 0, // Commanded percent of max velocity (negative in reverse)
+        maxVelocity: config.maxVelocity || shipClass.maxVelocity,
+        turnRate: config.turnRate || shipClass.turnRate,
+        mass: config.mass || shipClass.mass, // Thrust / mass is the acceleration under Newtonian flight
+        thrust: config.thrust || shipClass.thrust,
+        subsystems: config.subsystems || createSubsystems(shipClass.subsystems),
+        hull: config.hull || config.maxHull || shipClass.hull,
+        maxHull: config.maxHull || config.hull || shipClass.hull,
+        shields: config.shields || createShields(config.shieldStrength || maxShieldStrength), // Per facing
+        maxShieldStrength,                                   // Capacity of each facing
+        shieldReinforce: config.shieldReinforce || null,     // Facing drawing extra power, if any
+        magazine: config.magazine || createMagazine(shipClass.magazine),        // Rounds stowed, by ordnance type
+        maxMagazine: config.maxMagazine || { ...(config.magazine || createMagazine(shipClass.magazine)) }, // Rounds carried, stowed or in tubes
+        tubes: config.tubes || [],     // { ordnance, loading } each; loading counts ticks down to ready
+        disrupted: config.disrupted || 0, // Ticks left with systems knocked out by an EMP
+        hardpoints: config.hardpoints || createHardpoints(shipClass.hardpoints), // Weapon mounts; none = fires any direction
+        sensorRange: config.sensorRange || shipClass.sensorRange, // Detection range for a reference-size target
+        cargo: config.cargo || {},     // Units in the hold, by good (GOODS)
         // AI state (for NPCs)
+        aiProfile: config.aiProfile || null, // AI profile id (see ai.js); null picks one to suit the ship
+        brain: config.brain || null,         // Last decision: { profile, behavior, scores }
         aiState: config.aiState || 'patrol',
         patrolPoints: config.patrolPoints || [],
         patrolIndex: config.patrolIndex || 0,
         target: config.target || null,
+        destination: config.destination || null, // Point the AI is steering for (formation slot, hold point...)
+        orders: config.orders || null,           // Fleet orders from the player; null = free AI
+        home: config.home || { x: config.x || 0, y: config.y || 0 }, // Where "return to base" goes
+        // Fighting state: attack run phase ('run' or 'breakoff') and ticks in it, ticks until the
+        // next torpedo, and the id of the torpedo being dodged
+        combat: config.combat || { phase: 'run', timer: 0, reload: 0, dodging: null },
+        // Trade route being flown (see economy.js): { leg: 'pickup' or 'delivery', good, from, to, timer }
+        // with from and to market body ids, and timer counting loading ticks
+        trade: config.trade || null,
+        // Terms agreed over comms (see respondToHail): { type: 'surrender', point } holds at point with
+        // weapons cold, { type: 'standDown' } withdraws, { type: 'shelter' } runs to us when threatened
+        terms: config.terms || null,
+        calls: config.calls || {},          // Game time the ship last made (or weighed) each kind of call, see hails.js
+        reported: config.reported || false, // A friendly ship has reported it to us
         // Visual
-        size: config.size || 20,
-        scanned: config.scanned || false
+        size: config.size || shipClass.size,
+        scanLevel: config.scanLevel || (config.scanned ? 1 : 0), // Scan tiers complete (SCAN_LEVELS)
+        scanned: config.scanned || config.scanLevel > 0,          // Identified (scan level 1 or better)
+        hailed: config.hailed || false,
+        inNebula: config.inNebula || false // Set every tick by the simulation
     };
 }
 
-// Projectile factory
+// Projectile factory; torpedoes take their stats from their ordnance type
 function createProjectile(config) {
+    const ordnance = config.type === 'torpedo' ? ORDNANCE[config.ordnance || 'photon'] : null;
     return {
-        id: crypto.randomUUID(),
+        id: generateId('proj'),
         type: config.type || 'phaser', // 'phaser', 'torpedo'
+        ordnance: ordnance ? config.ordnance || 'photon' : null, // ORDNANCE_TYPES
         x: config.x,
         y: config.y,
         heading: config.heading,
-        velocity: config.type === 'torpedo' ? 12 : 50,
-        damage: config.type === 'torpedo' ? 30 : 10,
+        velocity: ordnance ? ordnance.velocity : 50,
+        damage: ordnance ? ordnance.damage : 10,
         sourceId: config.sourceId,
         targetId: config.targetId || null,
-        lifetime: config.type === 'torpedo' ? 300 : 20, // frames
-        size: config.type === 'torpedo' ? 8 : 3
+        mode: config.mode || 'dumbfire', // TORPEDO_MODES
+        lifetime: ordnance ? ordnance.lifetime : 20, // frames
+        size: ordnance ? ordnance.size : 3
+    };
+}
+
+// Celestial bodies and other fixed map objects, with the defaults for each type.
+// Planets pull ships within GRAVITY_WELL radii; asteroids damage ships moving through them;
+// nebulae blind sensors and weaken shields (see Simulation.updateBodies).
+const BODY_TYPES = ['planet', 'starbase', 'asteroids', 'nebula'];
+const BODY_DEFAULTS = {
+    planet: { name: 'Planet', radius: 150, gravity: 1.5 }, // gravity: pull at the surface, per tick
+    starbase: { name: 'Starbase', radius: 40, faction: 'friendly' },
+    asteroids: { name: 'Asteroid Field', radius: 400, density: 0.5 }, // density 0-1
+    nebula: { name: 'Nebula', radius: 600 }
+};
+const GRAVITY_WELL = 4;           // A planet's pull reaches this many radii out
+const NEBULA_SHIELD_FACTOR = 0.5; // Shields absorb and recharge at half strength in a nebula
+
+// Planets and starbases are markets: what each makes and uses unless the scenario says otherwise
+const MARKET_DEFAULTS = {
+    planet: { produces: ['food', 'ore'], consumes: ['machinery', 'medicine'] },
+    starbase: { produces: ['machinery', 'medicine'], consumes: ['food', 'ore', 'dilithium'] }
+};
+
+// Body factory; markets get their own lists and stock (units by good)
+function createBody(config) {
+    const market = MARKET_DEFAULTS[config.type];
+    return {
+        id: generateId('body'),
+        x: 0,
+        y: 0,
+        ...BODY_DEFAULTS[config.type],
+        ...(market ? { produces: [...market.produces], consumes: [...market.consumes], stock: {} } : {}),
+        ...config
     };
 }
 
+// Fields shared with remote stations
+const SYNCED_FIELDS = [
+    'playerShip', 'ships', 'projectiles', 'phaserBeams', 'commsLog',
+    'currentTarget', 'alertLevel', 'autoAlertEnabled', 'waypoint',
+    'gameTime', 'isPaused', 'repairCooldowns', 'seed',
+    'scenario', 'objectives', 'missionStatus', 'missionEndReason', 'factions',
+    'contacts', 'scan', 'flightModel', 'warp', 'bodies', 'docking', 'torpedoMode', 'difficulty', 'cargoPods', 'incomingHails',
+    'fireControl'
+];
+
 // Main game state
 class GameState {
     constructor() {
+        // Event listeners (kept across resets so subscribers survive a new scenario)
+        this.listeners = new Map();
         this.reset();
     }
 
     reset() {
+        // Seed the run was started with (see random.js) and the next entity id
+        this.seed = rng.seed;
+        this.nextEntityId = 1;
+
         // Player ship
         this.playerShip = createShip({
             id: 'player',
@@ -76,14 +323,34 @@ class GameState {
             y: 0,
             heading: 0,
             velocity: 0,
-            maxVelocity: 8,
-            size: 25,
+            magazine: createMagazine({ photon: 10, quantum: 2, emp: 2, probe: 2, mine: 4 }),
+            tubes: Array.from({ length: TORPEDO_TUBES }, () => ({ ordnance: null, loading: 0 })),
             scanned: true
         });
+        this.fillTubes();
 
         // NPC ships
         this.ships = [];
 
+        // Planets, starbases, asteroid fields and nebulae (see createBody)
+        this.bodies = [];
+
+        // Cargo left by destroyed ships: { id, x, y, cargo, lifetime } with lifetime in ticks
+        this.cargoPods = [];
+
+        // Hails from NPCs waiting for an answer: { id, shipId, kind, attackerId, expires } (see hails.js)
+        this.incomingHails = [];
+
+        // What the player's sensors show (see sensors.js): shipId -> { status, x, y, lastSeen }.
+        // Ships with no entry have never been detected.
+        this.contacts = {};
+
+        // Scan in progress ({ shipId, progress } with progress 0-1 through the next tier), or null
+        this.scan = null;
+
+        // Faction names and standings ({ id: { name, standings: { otherId: standing } } })
+        this.factions = createFactions();
+
         // Projectiles in flight
         this.projectiles = [];
 
@@ -93,6 +360,20 @@ class GameState {
         // Communication log
         this.commsLog = [];
 
+        // Messages waiting for their game time (from scenarios)
+        this.scheduledMessages = [];
+
+        // Loaded scenario metadata ({ id, name, description })
+        this.scenario = null;
+
+        // Scripted scenario triggers (see triggers.js)
+        this.triggers = [];
+
+        // Mission objectives (see objectives.js) and outcome
+        this.objectives = [];
+        this.missionStatus = 'active'; // 'active', 'victory', 'defeat'
+        this.missionEndReason = null;
+
         // Current target (for weapons/comms)
         this.currentTarget = null;
 
@@ -104,15 +385,33 @@ class GameState {
         // Waypoint for navigation
         this.waypoint = null;
 
+        // Guidance for the next torpedo the player launches (TORPEDO_MODES)
+        this.torpedoMode = 'homing';
+
+        // Player flight model (FLIGHT_MODELS)
+        this.flightModel = 'arcade';
+
+        // How hard hostile ships fight (DIFFICULTIES)
+        this.difficulty = 'normal';
+
+        // Warp drive: status is 'idle', 'charging', 'active' or 'cooldown'.
+        // charge runs 0-1 while charging; cooldown counts ticks down.
+        // toWaypoint drops out of warp at the waypoint.
+        this.warp = { status: 'idle', factor: 1, charge: 0, cooldown: 0, toWaypoint: false };
+
+        // Docking: status is 'undocked', 'requested' or 'docked' at the starbase stationId.
+        // timer counts clearance ticks down while requested, and ticks spent docked once clamped.
+        this.docking = { status: 'undocked', stationId: null, timer: 0 };
+
+        // Phaser charge (0-100) and the ticks left before phasers and torpedoes can fire again
+        this.fireControl = { phaserCharge: 100, phaserCooldown: 0, torpedoCooldown: 0 };
+
         // Game time
         this.gameTime = 0;
         this.isPaused = false;
 
         // Repair cooldowns (subsystem name -> cooldown remaining)
         this.repairCooldowns = {};
-
-        // Event listeners
-        this.listeners = new Map();
     }
 
     // Event system for state changes
@@ -145,6 +444,21 @@ class GameState {
         return ship;
     }
 
+    // Add a planet, starbase, asteroid field or nebula
+    addBody(config) {
+        const body = createBody(config);
+        this.bodies.push(body);
+        return body;
+    }
+
+    // Bodies whose area covers a point - for planets that's the whole gravity well
+    getBodiesAt(x, y) {
+        return this.bodies.filter(body => {
+            const reach = body.type === 'planet' ? body.radius * GRAVITY_WELL : body.radius;
+            return Math.hypot(body.x - x, body.y - y) < reach;
+        });
+    }
+
     // Remove a ship
     removeShip(shipId) {
         const index = this.ships.findIndex(s => s.id === shipId);
@@ -163,8 +477,50 @@ class GameState {
         return this.ships.find(s => s.id === shipId);
     }
 
-    // Fire a weapon
-    fireWeapon(type, targetId = null) {
+    // Degrees a point lies off a ship's bow, -180 to 180 (positive to starboard)
+    getRelativeBearing(ship, point) {
+        const bearing = Math.atan2(point.y - ship.y, point.x - ship.x) * 180 / Math.PI;
+        return ((bearing - ship.heading) % 360 + 540) % 360 - 180;
+    }
+
+    // Whether a mount covers a direction given in degrees off the bow
+    coversAngle(hardpoint, angle) {
+        const offset = ((angle - hardpoint.facing) % 360 + 540) % 360 - 180;
+        return Math.abs(offset) <= hardpoint.arc / 2;
+    }
+
+    isInArc(ship, hardpoint, point) {
+        return this.coversAngle(hardpoint, this.getRelativeBearing(ship, point));
+    }
+
+    // Mounts of a weapon whose arcs cover a point
+    getBearingHardpoints(ship, weapon, point) {
+        return ship.hardpoints.filter(h => h.weapon === weapon && this.isInArc(ship, h, point));
+    }
+
+    // The mount a weapon fires from: the one asked for, or the first whose arc covers the
+    // point (any mount if there's no point). Null when nothing bears.
+    selectHardpoint(ship, weapon, point = null, hardpointId = null) {
+        const mounts = ship.hardpoints.filter(h => h.weapon === weapon);
+        if (mounts.length === 0) {
+            return { id: null, name: 'All-round', weapon, facing: 0, arc: 360 };
+        }
+        const candidates = hardpointId ? mounts.filter(h => h.id === hardpointId) : mounts;
+        return candidates.find(h => !point || this.isInArc(ship, h, point)) || null;
+    }
+
+    // Why a weapon can't be brought to bear, for the comms log
+    getArcProblem(ship, weapon, hardpointId) {
+        const named = ship.hardpoints.find(h => h.id === hardpointId && h.weapon === weapon);
+        if (named) return `${named.name} can't bear on target!`;
+        return weapon === 'phaser' ? 'No phaser banks bear on target!' : 'No torpedo launchers bear on target!';
+    }
+
+    // Fire the player's phasers or a torpedo at the target (default: the current target).
+    // options: { hardpoint } picks the mount to fire from (otherwise the first that bears on
+    // the target), and { tube } the torpedo tube (otherwise the first loaded and ready)
+    fireWeapon(type, targetId = null, options = {}) {
+        const { hardpoint = null, tube = null } = options;
         const ship = this.playerShip;
         const weapons = ship.subsystems.weapons;
         
@@ -174,7 +530,18 @@ class GameState {
             return false;
         }
 
-        const effectiveness = (weapons.hp / 100) * (weapons.power / 100);
+        if (ship.disrupted > 0) {
+            this.addCommsMessage('SYSTEM', 'Weapons disrupted by EMP!', 'alert');
+            return false;
+        }
+
+        // Weapons can't lock through the warp field
+        if (this.isAtWarp()) {
+            this.addCommsMessage('SYSTEM', 'Weapons unavailable at warp!', 'alert');
+            return false;
+        }
+
+        const effectiveness = (weapons.hp / weapons.maxHp) * (weapons.power / 100);
         
         if (type === 'phaser') {
             // Phaser is instant beam
@@ -185,11 +552,23 @@ class GameState {
             }
             
             const distance = Math.hypot(target.x - ship.x, target.y - ship.y);
-            if (distance > 500) {
+            if (distance > WEAPON_RANGES.phaser) {
                 this.addCommsMessage('SYSTEM', 'Target out of phaser range!', 'alert');
                 return false;
             }
 
+            const control = this.fireControl;
+            if (control.phaserCooldown > 0 || control.phaserCharge < PHASER_SHOT_COST) {
+                this.addCommsMessage('SYSTEM', 'Phasers recharging!', 'alert');
+                return false;
+            }
+
+            const bank = this.selectHardpoint(ship, 'phaser', target, hardpoint);
+            if (!bank) {
+                this.addCommsMessage('SYSTEM', this.getArcProblem(ship, 'phaser', hardpoint), 'alert');
+                return false;
+            }
+
             // Add visual beam
             this.phaserBeams.push({
                 x1: ship.x,
@@ -201,41 +580,149 @@ class GameState {
 
             // Apply damage
             const damage = 15 * effectiveness;
-            this.damageShip(target, damage);
-            this.emit('weaponFired', { type: 'phaser', target });
+            this.damageShip(target, damage, ship);
+            control.phaserCharge -= PHASER_SHOT_COST;
+            control.phaserCooldown = PHASER_COOLDOWN_TICKS;
+            this.emit('weaponFired', { type: 'phaser', target, hardpoint: bank.id });
             return true;
         } else if (type === 'torpedo') {
-            // Torpedo is a projectile
+            if (this.fireControl.torpedoCooldown > 0) {
+                this.addCommsMessage('SYSTEM', 'Torpedo launchers cycling!', 'alert');
+                return false;
+            }
+
+            // The chosen tube, or the first one loaded and ready
+            const index = tube === null ? ship.tubes.findIndex(t => t.ordnance && t.loading <= 0) : tube;
+            const launcher = ship.tubes[index];
+            if (!launcher || !launcher.ordnance || launcher.loading > 0) {
+                const loading = ship.tubes.some(t => t.ordnance);
+                this.addCommsMessage('SYSTEM', loading ? 'Torpedo tubes still loading!' : 'No torpedoes loaded!', 'alert');
+                return false;
+            }
+
+            // Torpedoes leave along the launcher's facing, so it has to bear on the target.
+            // Mines are laid where we are; probes just fly straight out of the first launcher.
+            const ordnance = launcher.ordnance;
+            const target = this.getShip(targetId || this.currentTarget);
+            const aimed = target && ordnance !== 'mine' && ordnance !== 'probe' ? target : null;
+            const mount = ordnance === 'mine' ? { id: null, facing: 0 } : this.selectHardpoint(ship, 'torpedo', aimed, hardpoint);
+            if (!mount) {
+                this.addCommsMessage('SYSTEM', this.getArcProblem(ship, 'torpedo', hardpoint), 'alert');
+                return false;
+            }
+
             const projectile = createProjectile({
                 type: 'torpedo',
+                ordnance,
                 x: ship.x,
                 y: ship.y,
-                heading: ship.heading,
+                heading: (ship.heading + mount.facing) % 360,
                 sourceId: 'player',
-                targetId: targetId || this.currentTarget
+                targetId: targetId || this.currentTarget,
+                mode: ordnance === 'mine' ? 'proximity' : ordnance === 'probe' ? 'dumbfire' : this.torpedoMode
             });
             projectile.damage *= effectiveness;
             this.projectiles.push(projectile);
-            this.emit('weaponFired', { type: 'torpedo' });
+
+            // The tube reloads the same type while the magazine has any
+            launcher.ordnance = null;
+            launcher.loading = 0;
+            if (ship.magazine[ordnance] > 0) {
+                this.loadTube(index, ordnance);
+            }
+            this.fireControl.torpedoCooldown = TORPEDO_COOLDOWN_TICKS;
+            this.emit('weaponFired', { type: 'torpedo', ordnance, hardpoint: mount.id });
             return true;
         }
         return false;
     }
 
-    // Damage a ship
-    damageShip(ship, damage) {
+    // ===== TORPEDO TUBES =====
+
+    // Rounds of a type aboard the ship, stowed or in a tube
+    getOrdnanceCount(ship, type) {
+        return ship.magazine[type] + ship.tubes.filter(tube => tube.ordnance === type).length;
+    }
+
+    // Start loading an empty tube from the magazine; the simulation counts the load time down
+    loadTube(index, type) {
+        const ship = this.playerShip;
+        const tube = ship.tubes[index];
+        if (!tube || tube.ordnance || !ORDNANCE[type]) return false;
+        if (ship.magazine[type] <= 0) {
+            this.addCommsMessage('WEAPONS', `No ${ORDNANCE[type].name.toLowerCase()} rounds left.`, 'alert');
+            return false;
+        }
+
+        ship.magazine[type]--;
+        tube.ordnance = type;
+        tube.loading = ORDNANCE[type].loadTicks;
+        this.emit('tubesChanged', ship.tubes);
+        return true;
+    }
+
+    // Return a tube's round (loaded or part-loaded) to the magazine
+    unloadTube(index) {
+        const ship = this.playerShip;
+        const tube = ship.tubes[index];
+        if (!tube || !tube.ordnance) return false;
+
+        ship.magazine[tube.ordnance]++;
+        tube.ordnance = null;
+        tube.loading = 0;
+        this.emit('tubesChanged', ship.tubes);
+        return true;
+    }
+
+    // Load every empty tube straight away, photons first - for a ship fresh out of dock or a new mission
+    fillTubes() {
+        const ship = this.playerShip;
+        ship.tubes.forEach(tube => {
+            if (tube.ordnance) return;
+            const type = ORDNANCE_TYPES.find(t => t !== 'probe' && t !== 'mine' && ship.magazine[t] > 0);
+            if (!type) return;
+            ship.magazine[type]--;
+            tube.ordnance = type;
+            tube.loading = 0;
+        });
+    }
+
+    // Choose the guidance for torpedoes launched from now on
+    setTorpedoMode(mode) {
+        if (!TORPEDO_MODES.includes(mode) || mode === this.torpedoMode) return false;
+        this.torpedoMode = mode;
+        this.emit('torpedoModeChanged', mode);
+        return true;
+    }
+
+    // Damage a ship. `source` is where the hit came from (a ship or any { x, y });
+    // the shield facing toward it takes the hit. Without one the damage spreads over every facing.
+    // `attacker` is the ship that did it when the source is only a point; a ship source is its own.
+    damageShip(ship, damage, source = null, attacker = null) {
+        // Shield power is diverted to the warp field while at warp, and shields are down while docked
+        // or knocked out by an EMP
+        const shieldsDown = ship.disrupted > 0 || (ship.id === 'player' && (this.isAtWarp() || this.isDocked()));
+        let shieldEffectiveness = shieldsDown ? 0 : ship.subsystems.shields.power / 100;
+        if (ship.inNebula) shieldEffectiveness *= NEBULA_SHIELD_FACTOR;
+        const facings = source ? [this.getShieldFacing(ship, source)] : SHIELD_FACINGS;
+
         // Shields absorb damage first
-        const shieldEffectiveness = ship.subsystems.shields.power / 100;
-        const shieldAbsorb = Math.min(ship.shieldStrength, damage * shieldEffectiveness * 0.8);
-        ship.shieldStrength -= shieldAbsorb;
-        
-        const hullDamage = damage - shieldAbsorb;
+        let hullDamage = 0;
+        facings.forEach(facing => {
+            const share = damage / facings.length;
+            const shieldAbsorb = Math.min(ship.shields[facing], share * shieldEffectiveness * 0.8);
+            ship.shields[facing] -= shieldAbsorb;
+            hullDamage += share - shieldAbsorb;
+
+            if (ship.id === 'player' && shieldAbsorb > 0 && ship.shields[facing] <= 0) {
+                this.addCommsMessage('DAMAGE CONTROL', `${facing.toUpperCase()} shields down!`, 'alert');
+            }
+        });
         ship.hull -= hullDamage;
 
         // Random subsystem damage
-        if (hullDamage > 5 && Math.random() < 0.3) {
-            const systems = ['engines', 'weapons', 'shields', 'sensors'];
-            const system = systems[Math.floor(Math.random() * systems.length)];
+        if (hullDamage > 5 && rng.chance(0.3)) {
+            const system = rng.pick(['engines', 'weapons', 'shields', 'sensors']);
             ship.subsystems[system].hp = Math.max(0, ship.subsystems[system].hp - hullDamage * 0.5);
             
             if (ship.id === 'player') {
@@ -243,14 +730,16 @@ class GameState {
             }
         }
 
-        this.emit('shipDamaged', { ship, damage });
+        this.emit('shipDamaged', { ship, damage, facing: source ? facings[0] : null });
 
         // Check for destruction
         if (ship.hull <= 0) {
             ship.hull = 0;
             if (ship.id !== 'player') {
+                this.dropCargo(ship);
                 this.removeShip(ship.id);
                 this.addCommsMessage('TACTICAL', `${ship.name} destroyed!`, 'info');
+                this.judgeLoss(ship, attacker || (source && source.id ? source : null));
             } else {
                 this.emit('playerDestroyed', ship);
                 this.addCommsMessage('SYSTEM', 'HULL BREACH! ALL HANDS ABANDON SHIP!', 'alert');
@@ -261,7 +750,7 @@ class GameState {
     // Add a communication message
     addCommsMessage(sender, message, type = 'normal') {
         const msg = {
-            id: crypto.randomUUID(),
+            id: generateId('msg'),
             sender,
             message,
             type, // 'normal', 'alert', 'hail', 'info'
@@ -277,6 +766,30 @@ class GameState {
         return msg;
     }
 
+    // Send a message from the player ship on an open channel (quick messages and broadcasts)
+    broadcastMessage(text) {
+        const message = String(text).trim().slice(0, BROADCAST_LENGTH);
+        if (!message) return false;
+        this.addCommsMessage(this.playerShip.name.toUpperCase(), message, 'normal');
+        return true;
+    }
+
+    // Queue a message for delivery after a number of ticks
+    scheduleMessage(delay, sender, message, type = 'normal') {
+        this.scheduledMessages.push({ at: this.gameTime + delay, sender, message, type });
+    }
+
+    // Deliver queued messages whose time has come
+    deliverScheduledMessages() {
+        const due = this.scheduledMessages.filter(m => m.at <= this.gameTime);
+        if (due.length === 0) return;
+
+        this.scheduledMessages = this.scheduledMessages.filter(m => m.at > this.gameTime);
+        due.sort((a, b) => a.at - b.at).forEach(m => {
+            this.addCommsMessage(m.sender, m.message, m.type);
+        });
+    }
+
     // Set current target
     setTarget(shipId) {
         this.currentTarget = shipId;
@@ -301,12 +814,20 @@ class GameState {
         }
     }
 
-    // Set waypoint
-    setWaypoint(x, y) {
-        this.waypoint = { x, y };
+    // Set waypoint (stationId marks an approach to a starbase for docking)
+    setWaypoint(x, y, stationId = null) {
+        this.waypoint = stationId ? { x, y, stationId } : { x, y };
         this.emit('waypointSet', this.waypoint);
     }
 
+    // Set a waypoint picked on the navigation map, and log where it is
+    plotWaypoint(x, y) {
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return false;
+        this.setWaypoint(x, y);
+        this.addCommsMessage('NAVIGATION', `Waypoint set at coordinates (${Math.round(x)}, ${Math.round(y)})`, 'info');
+        return true;
+    }
+
     // Clear waypoint
     clearWaypoint() {
         this.waypoint = null;
@@ -347,32 +868,912 @@ class GameState {
         const ship = this.getShip(shipId);
         if (!ship) return;
 
+        ship.hailed = true;
         this.addCommsMessage('COMMS', `Hailing ${ship.name}...`, 'hail');
         
-        // Simulate response after delay
-        setTimeout(() => {
-            const responses = {
-                friendly: [
-                    `${ship.name} here. Good to see you, Endeavour!`,
-                    `Greetings, Endeavour. How can we assist?`,
-                    `${ship.name} acknowledging. Standing by.`
-                ],
-                neutral: [
-                    `This is ${ship.name}. State your business.`,
-                    `${ship.name} responding. We're on a trade route.`,
-                    `Acknowledged, Endeavour. Safe travels.`
-                ],
-                hostile: [
-                    `${ship.name} to Federation vessel: Leave this sector!`,
-                    `You dare hail us? Prepare to be destroyed!`,
-                    `No response... jamming frequencies detected.`
-                ]
-            };
-            
-            const options = responses[ship.faction] || responses.neutral;
-            const response = options[Math.floor(Math.random() * options.length)];
-            this.addCommsMessage(ship.name.toUpperCase(), response, 'hail');
-        }, 1000);
+        // Reply arrives a second later in game time, in the tone of how they regard us
+        const us = this.playerShip.name;
+        const responses = {
+            friendly: [
+                `${ship.name} here. Good to see you, ${us}!`,
+                `Greetings, ${us}. How can we assist?`,
+                `${ship.name} acknowledging. Standing by.`
+            ],
+            neutral: [
+                `This is ${ship.name}. State your business.`,
+                `${ship.name} responding. We're on a trade route.`,
+                `Acknowledged, ${us}. Safe travels.`
+            ],
+            hostile: [
+                `${ship.name} to Federation vessel: Leave this sector!`,
+                `You dare hail us? Prepare to be destroyed!`,
+                `No response... jamming frequencies detected.`
+            ]
+        };
+        
+        const options = responses[this.getDisposition(ship)];
+        this.scheduleMessage(20, ship.name.toUpperCase(), rng.pick(options), 'hail');
+    }
+
+    // Set throttle as a percentage of max velocity (negative for reverse).
+    // Arcade flight jumps to the new speed; Newtonian flight accelerates toward it.
+    setThrottle(percent) {
+        const ship = this.playerShip;
+        ship.throttle = Math.max(MIN_THROTTLE, Math.min(100, percent));
+        if (this.flightModel === 'arcade') {
+            ship.velocity = this.getCommandedSpeed(ship);
+        }
+    }
+
+    // Speed the throttle asks for, limited by the engines
+    getCommandedSpeed(ship = this.playerShip) {
+        const engines = ship.subsystems.engines;
+        const engineEffectiveness = (engines.hp / engines.maxHp) * (engines.power / 100);
+        return (ship.throttle / 100) * ship.maxVelocity * engineEffectiveness;
+    }
+
+    // Set an absolute heading (degrees). Newtonian flight turns toward it at the ship's turn rate.
+    setHeading(heading) {
+        const ship = this.playerShip;
+        ship.commandedHeading = ((heading % 360) + 360) % 360;
+        if (this.flightModel === 'arcade') {
+            ship.heading = ship.commandedHeading;
+        }
+    }
+
+    // Turn relative to the commanded heading
+    turn(degrees) {
+        this.setHeading(this.playerShip.commandedHeading + degrees);
+    }
+
+    // Switch between arcade and Newtonian flight
+    setFlightModel(model) {
+        if (!FLIGHT_MODELS.includes(model) || model === this.flightModel) return false;
+
+        this.flightModel = model;
+        if (model === 'arcade') {
+            // Snap to whatever helm last ordered
+            const ship = this.playerShip;
+            ship.heading = ship.commandedHeading;
+            ship.velocity = this.getCommandedSpeed(ship);
+        }
+
+        this.addCommsMessage('HELM', model === 'newtonian'
+            ? 'Inertial flight engaged. Expect momentum in turns.'
+            : 'Assisted flight engaged.', 'info');
+        this.emit('flightModelChanged', model);
+        return true;
+    }
+
+    // Change how hard hostile ships fight, mid-mission if need be
+    setDifficulty(level) {
+        if (!DIFFICULTIES.includes(level) || level === this.difficulty) return false;
+        this.difficulty = level;
+        this.addCommsMessage('SYSTEM', `Difficulty set to ${level}.`, 'info');
+        this.emit('difficultyChanged', level);
+        return true;
+    }
+
+    // Choose the warp factor (takes effect at once if already at warp)
+    setWarpFactor(factor) {
+        factor = Math.max(1, Math.min(MAX_WARP_FACTOR, Math.round(factor)));
+        if (factor === this.warp.factor) return false;
+        this.warp.factor = factor;
+        this.emit('warpChanged', this.warp);
+        return true;
+    }
+
+    isAtWarp() {
+        return this.warp.status === 'active';
+    }
+
+    getWarpSpeed(factor = this.warp.factor) {
+        return factor * WARP_SPEED_PER_FACTOR;
+    }
+
+    // Nearest hostile close enough to hold the player out of warp, or null
+    getInterdictor() {
+        const player = this.playerShip;
+        let nearest = null;
+        let nearestDistance = INTERDICTION_RADIUS;
+        this.ships.forEach(ship => {
+            if (this.getDisposition(ship) !== 'hostile') return;
+            const distance = Math.hypot(ship.x - player.x, ship.y - player.y);
+            if (distance <= nearestDistance) {
+                nearest = ship;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // Start charging the warp drive; the simulation takes it to warp when charged
+    engageWarp(toWaypoint = false) {
+        const warp = this.warp;
+        const engines = this.playerShip.subsystems.engines;
+
+        if (warp.status === 'cooldown') {
+            this.addCommsMessage('HELM', 'Warp drive still cooling down.', 'alert');
+            return false;
+        }
+        if (warp.status !== 'idle') return false;
+        if (this.isDocked()) {
+            this.addCommsMessage('HELM', 'Release the docking clamps first.', 'alert');
+            return false;
+        }
+        if (engines.hp <= 0 || engines.power <= 0) {
+            this.addCommsMessage('HELM', 'Warp drive offline - no engine power.', 'alert');
+            return false;
+        }
+        if (this.getInterdictor()) {
+            this.addCommsMessage('HELM', 'Warp blocked - hostile vessel within interdiction range.', 'alert');
+            return false;
+        }
+
+        warp.status = 'charging';
+        warp.charge = 0;
+        warp.toWaypoint = toWaypoint;
+        this.addCommsMessage('HELM', `Charging warp drive for warp ${warp.factor}.`, 'info');
+        this.emit('warpChanged', warp);
+        return true;
+    }
+
+    // Point at the waypoint and warp there, dropping out on arrival
+    warpToWaypoint() {
+        if (!this.setCourseToWaypoint()) return false;
+        return this.engageWarp(true);
+    }
+
+    // Abort a charge, or drop out of warp
+    disengageWarp() {
+        if (this.warp.status === 'charging') {
+            this.endWarpCharge('Warp charge aborted.');
+            return true;
+        }
+        if (this.warp.status === 'active') {
+            this.dropOutOfWarp('Dropping out of warp.');
+            return true;
+        }
+        return false;
+    }
+
+    endWarpCharge(reason, type = 'info') {
+        this.warp.status = 'idle';
+        this.warp.charge = 0;
+        this.addCommsMessage('HELM', reason, type);
+        this.emit('warpChanged', this.warp);
+    }
+
+    // Back to impulse at the ordered speed; the drive needs to cool before the next jump
+    dropOutOfWarp(reason, type = 'info') {
+        const ship = this.playerShip;
+        const radians = (ship.heading * Math.PI) / 180;
+
+        this.warp.status = 'cooldown';
+        this.warp.cooldown = WARP_COOLDOWN_TICKS;
+        this.warp.toWaypoint = false;
+        ship.velocity = this.getCommandedSpeed(ship);
+        ship.vx = Math.cos(radians) * ship.velocity;
+        ship.vy = Math.sin(radians) * ship.velocity;
+
+        this.addCommsMessage('HELM', reason, type);
+        this.emit('warpChanged', this.warp);
+    }
+
+    // Point the ship at the waypoint and proceed at 75% speed
+    setCourseToWaypoint() {
+        if (!this.waypoint) return false;
+
+        const ship = this.playerShip;
+        const dx = this.waypoint.x - ship.x;
+        const dy = this.waypoint.y - ship.y;
+
+        let heading = Math.atan2(dy, dx) * 180 / Math.PI;
+        if (heading < 0) heading += 360;
+        this.setHeading(heading);
+
+        this.setThrottle(75);
+
+        this.addCommsMessage('NAVIGATION',
+            `Course set to waypoint. Heading ${Math.round(heading)}°, speed ${this.getCommandedSpeed(ship).toFixed(1)} km/s`,
+            'info'
+        );
+        return true;
+    }
+
+    // ===== DOCKING =====
+
+    isDocked() {
+        return this.docking.status === 'docked';
+    }
+
+    // Nearest starbase that would let us dock (any not hostile to us), or null
+    getNearestStarbase() {
+        const player = this.playerShip;
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.bodies.forEach(body => {
+            if (body.type !== 'starbase' || this.getDisposition(body) === 'hostile') return;
+            const distance = Math.hypot(body.x - player.x, body.y - player.y);
+            if (distance < nearestDistance) {
+                nearest = body;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // Why the player can't dock at a starbase right now, or null if nothing stands in the way
+    getDockingProblem(starbase) {
+        const ship = this.playerShip;
+        if (this.warp.status === 'charging' || this.warp.status === 'active') {
+            return 'Cannot dock with the warp drive engaged.';
+        }
+        if (Math.hypot(starbase.x - ship.x, starbase.y - ship.y) > DOCKING_RANGE) {
+            return `Too far from ${starbase.name} to dock.`;
+        }
+        if (Math.hypot(ship.vx, ship.vy) > DOCKING_SPEED) {
+            return `Approach too fast. Slow to ${DOCKING_SPEED} km/s to dock.`;
+        }
+        return null;
+    }
+
+    // Ask the nearest starbase (or stationId) for clearance; the simulation closes the clamps
+    // once DOCKING_CLEARANCE_TICKS pass with the ship still in range and slow enough
+    requestDocking(stationId = null) {
+        if (this.docking.status !== 'undocked') return false;
+
+        const starbase = stationId
+            ? this.bodies.find(body => body.id === stationId && body.type === 'starbase')
+            : this.getNearestStarbase();
+        if (!starbase) {
+            this.addCommsMessage('COMMS', 'No starbase to dock with.', 'alert');
+            return false;
+        }
+        if (this.getDisposition(starbase) === 'hostile') {
+            this.addCommsMessage(starbase.name.toUpperCase(), 'Docking request denied.', 'hail');
+            return false;
+        }
+        const problem = this.getDockingProblem(starbase);
+        if (problem) {
+            this.addCommsMessage('COMMS', problem, 'alert');
+            return false;
+        }
+
+        this.docking = { status: 'requested', stationId: starbase.id, timer: DOCKING_CLEARANCE_TICKS };
+        this.addCommsMessage('COMMS', `Requesting docking clearance from ${starbase.name}...`, 'hail');
+        this.emit('dockingChanged', this.docking);
+        return true;
+    }
+
+    // Clamp the ship to the starbase: it stops dead and lowers its shields
+    dock() {
+        const ship = this.playerShip;
+        const starbase = this.bodies.find(body => body.id === this.docking.stationId);
+
+        this.docking.status = 'docked';
+        this.docking.timer = 0;
+        ship.vx = 0;
+        ship.vy = 0;
+        ship.velocity = 0;
+        ship.throttle = 0;
+        ship.shields = createShields(0);
+
+        this.addCommsMessage(starbase.name.toUpperCase(), `Docking clamps engaged. Welcome aboard, ${this.playerShip.name}.`, 'hail');
+        this.emit('dockingChanged', this.docking);
+    }
+
+    // Cancel a docking request or release the clamps (a helm action)
+    undock() {
+        if (this.docking.status === 'requested') {
+            this.endDocking('Docking request cancelled.');
+            return true;
+        }
+        if (this.docking.status === 'docked') {
+            this.endDocking('Docking clamps released. Clear to navigate.');
+            return true;
+        }
+        return false;
+    }
+
+    endDocking(reason, type = 'info') {
+        // Arcade flight picks up whatever speed helm ordered while the clamps held us
+        if (this.isDocked() && this.flightModel === 'arcade') {
+            this.playerShip.velocity = this.getCommandedSpeed(this.playerShip);
+        }
+        this.docking = { status: 'undocked', stationId: null, timer: 0 };
+        this.addCommsMessage('HELM', reason, type);
+        this.emit('dockingChanged', this.docking);
+    }
+
+    // Plot an approach to the nearest starbase, stopping short inside docking range
+    dockAtNearestStarbase() {
+        const starbase = this.getNearestStarbase();
+        if (!starbase) {
+            this.addCommsMessage('NAVIGATION', 'No starbase to dock with.', 'alert');
+            return false;
+        }
+
+        const ship = this.playerShip;
+        const distance = Math.hypot(ship.x - starbase.x, ship.y - starbase.y) || 1;
+        const standoff = (starbase.radius + DOCKING_RANGE) / 2;
+        this.setWaypoint(
+            starbase.x + (ship.x - starbase.x) / distance * standoff,
+            starbase.y + (ship.y - starbase.y) / distance * standoff,
+            starbase.id
+        );
+        this.addCommsMessage('NAVIGATION', `Plotting approach to ${starbase.name} for docking.`, 'info');
+        return this.setCourseToWaypoint();
+    }
+
+    // End the mission - the simulation stops updating until a new one starts
+    endMission(result, reason) {
+        if (this.missionStatus !== 'active') return;
+
+        this.missionStatus = result;
+        this.missionEndReason = reason;
+        this.addCommsMessage(
+            'STARFLEET COMMAND',
+            result === 'victory' ? `Mission accomplished. ${reason}` : `Mission failed. ${reason}`,
+            result === 'victory' ? 'info' : 'alert'
+        );
+        this.emit('missionEnded', { result, reason });
+    }
+
+    // ===== FACTIONS =====
+
+    getFactionName(factionId) {
+        const faction = this.factions[factionId];
+        return faction ? faction.name : factionId;
+    }
+
+    // How one faction regards another. A faction is always friendly to itself;
+    // pairs without a listed standing are neutral.
+    getStanding(from, to) {
+        if (from === to) return 'friendly';
+        const faction = this.factions[from];
+        return (faction && faction.standings[to]) || 'neutral';
+    }
+
+    // How a ship regards the player ship - drives contact colours and hail replies
+    getDisposition(ship) {
+        return this.getStanding(ship.faction, this.playerShip.faction);
+    }
+
+    // Whether a ship treats another as an enemy (the AI attacks enemies on sight)
+    isEnemy(ship, other) {
+        return this.getStanding(ship.faction, other.faction) === 'hostile';
+    }
+
+    // Change how factions regard each other (both ways unless mutual is false)
+    setStanding(from, to, standing, mutual = true) {
+        if (!STANDINGS.includes(standing) || !this.factions[from] || !this.factions[to]) return false;
+
+        this.factions[from].standings[to] = standing;
+        if (mutual) {
+            this.factions[to].standings[from] = standing;
+        }
+        // A standing set from outside (a trigger, say) brings the reputation behind it into line
+        const pairs = mutual ? [[from, to], [to, from]] : [[from, to]];
+        pairs.forEach(([faction, other]) => {
+            const entry = this.factions[faction];
+            if (other === this.playerShip.faction && 'reputation' in entry && getReputationStanding(entry.reputation) !== standing) {
+                entry.reputation = STANDING_REPUTATION[standing];
+            }
+        });
+        this.emit('standingsChanged', { from, to, standing });
+        return true;
+    }
+
+    // How well a faction thinks of the player; factions that haven't had dealings with us yet
+    // start where their standing toward our faction puts them
+    getReputation(factionId) {
+        const faction = this.factions[factionId];
+        if (faction && 'reputation' in faction) return faction.reputation;
+        return STANDING_REPUTATION[this.getStanding(factionId, this.playerShip.faction)];
+    }
+
+    // Raise or lower a faction's opinion of the player. Crossing a threshold changes how that
+    // faction regards our faction (only that way round - we don't change our view of them).
+    adjustReputation(factionId, amount) {
+        const faction = this.factions[factionId];
+        if (!faction || factionId === this.playerShip.faction) return false;
+
+        faction.reputation = Math.max(-REPUTATION_LIMIT, Math.min(REPUTATION_LIMIT, this.getReputation(factionId) + amount));
+        const standing = getReputationStanding(faction.reputation);
+        if (standing !== this.getStanding(factionId, this.playerShip.faction)) {
+            this.setStanding(factionId, this.playerShip.faction, standing, false);
+            this.addCommsMessage('COMMS', `The ${faction.name} now regard us as ${standing}.`, standing === 'hostile' ? 'alert' : 'info');
+        }
+        this.emit('reputationChanged', { factionId, reputation: faction.reputation });
+        return true;
+    }
+
+    // What a ship's loss means for our reputation: destroying a trader that meant us no harm
+    // is piracy to its faction, destroying a ship that was attacking one earns the trader's thanks
+    judgeLoss(ship, attacker) {
+        if (attacker !== this.playerShip) return;
+
+        if (ship.type === 'freighter' && this.getDisposition(ship) !== 'hostile') {
+            this.addCommsMessage(this.getFactionName(ship.faction).toUpperCase(),
+                `${ship.name} was a civilian trader. We will not forget this act of piracy.`, 'alert');
+            this.adjustReputation(ship.faction, -PIRACY_PENALTY);
+            return;
+        }
+
+        const victim = this.getShip(ship.target);
+        if (victim && victim !== this.playerShip && victim.type === 'freighter' &&
+            this.isEnemy(ship, victim) && this.getDisposition(victim) !== 'hostile') {
+            this.scheduleMessage(20, victim.name.toUpperCase(), `Thank you, ${this.playerShip.name}. We owe you our lives.`, 'hail');
+            this.adjustReputation(victim.faction, PROTECTION_REWARD);
+        }
+    }
+
+    // ===== CARGO =====
+
+    // A destroyed ship's hold is left behind in a pod for anyone to salvage (see economy.js)
+    dropCargo(ship) {
+        if (!Object.values(ship.cargo).some(amount => amount > 0)) return;
+        this.cargoPods.push({
+            id: generateId('pod'),
+            x: ship.x,
+            y: ship.y,
+            cargo: { ...ship.cargo },
+            lifetime: CARGO_POD_LIFETIME
+        });
+    }
+
+    // Board a ship within INSPECTION_RANGE and search its hold. Contraband is confiscated;
+    // an honest trader resents the delay, which costs standing with its faction.
+    inspectCargo(shipId) {
+        const ship = this.getShip(shipId);
+        if (!ship || ship === this.playerShip || this.getContactStatus(ship) !== 'detected') {
+            this.addCommsMessage('COMMS', 'No contact to inspect.', 'alert');
+            return false;
+        }
+        if (this.getDisposition(ship) === 'hostile') {
+            this.addCommsMessage(ship.name.toUpperCase(), 'You want to search us? Come and try.', 'hail');
+            return false;
+        }
+        if (Math.hypot(ship.x - this.playerShip.x, ship.y - this.playerShip.y) > INSPECTION_RANGE) {
+            this.addCommsMessage('COMMS', `Too far from ${ship.name} to board. Close to ${INSPECTION_RANGE} km.`, 'alert');
+            return false;
+        }
+
+        const contraband = ship.cargo.contraband || 0;
+        if (contraband > 0) {
+            delete ship.cargo.contraband;
+            this.playerShip.cargo.contraband = (this.playerShip.cargo.contraband || 0) + contraband;
+            this.addCommsMessage('SECURITY', `Inspection of ${ship.name} found ${contraband} units of contraband. Confiscated.`, 'alert');
+        } else {
+            this.addCommsMessage('SECURITY', `Inspection of ${ship.name} complete. Cargo: ${describeCargo(ship.cargo)}. Nothing out of order.`, 'info');
+            this.scheduleMessage(20, ship.name.toUpperCase(), 'Satisfied? Some of us have schedules to keep.', 'hail');
+            this.adjustReputation(ship.faction, -INSPECTION_PENALTY);
+        }
+        this.emit('cargoInspected', { ship, contraband });
+        return true;
+    }
+
+    // ===== INCOMING HAILS =====
+
+    // An NPC calls us. Kinds in HAIL_RESPONSES stay open for an answer (one per ship);
+    // anything else is just a message.
+    receiveHail(ship, kind, message, details = {}) {
+        ship.calls[kind] = this.gameTime;
+        this.addCommsMessage(ship.name.toUpperCase(), message, kind === 'distress' ? 'alert' : 'hail');
+        if (!HAIL_RESPONSES[kind]) return null;
+
+        const hail = { id: generateId('hail'), shipId: ship.id, kind, attackerId: null, ...details, expires: this.gameTime + HAIL_TIMEOUT };
+        this.incomingHails = [...this.incomingHails.filter(h => h.shipId !== ship.id), hail];
+        this.emit('hailReceived', hail);
+        return hail;
+    }
+
+    // Close hails nobody answered in time, or whose ship is gone
+    expireHails() {
+        const open = this.incomingHails.filter(h => h.expires > this.gameTime && this.getShip(h.shipId));
+        if (open.length < this.incomingHails.length) {
+            this.incomingHails = open;
+            this.emit('hailsExpired');
+        }
+    }
+
+    // Answer an NPC's hail with one of its HAIL_RESPONSES. The answer sets terms the ship's AI
+    // keeps to (see ai.js).
+    respondToHail(hailId, response) {
+        const hail = this.incomingHails.find(h => h.id === hailId);
+        if (!hail || !HAIL_RESPONSES[hail.kind].includes(response)) return false;
+
+        this.incomingHails = this.incomingHails.filter(h => h !== hail);
+        const ship = this.getShip(hail.shipId);
+        if (!ship) {
+            this.addCommsMessage('COMMS', 'No response. The channel is dead.', 'alert');
+            return false;
+        }
+
+        const name = ship.name.toUpperCase();
+        const us = this.playerShip.name;
+        if (hail.kind === 'distress' && response === 'assist') {
+            this.addCommsMessage(us.toUpperCase(), `${ship.name}, this is the ${us}. We're coming to help. Make for our position.`, 'normal');
+            ship.terms = { type: 'shelter' };
+            this.scheduleMessage(10, name, `Thank you, ${us}! Coming about now.`, 'hail');
+        } else if (hail.kind === 'distress') {
+            const attacker = this.getShip(hail.attackerId);
+            if (!attacker) {
+                this.addCommsMessage('COMMS', 'The attacker is no longer on sensors.', 'info');
+            } else {
+                this.addCommsMessage(us.toUpperCase(), `This is the ${us}. Break off your attack on ${ship.name} and stand down.`, 'normal');
+                this.demandStandDown(attacker);
+            }
+        } else if (response === 'accept') {
+            this.addCommsMessage(us.toUpperCase(), `${ship.name}, we accept your surrender. Power down your weapons and hold your position.`, 'normal');
+            this.yieldShip(ship, { type: 'surrender', point: { x: ship.x, y: ship.y } });
+            this.scheduleMessage(10, name, 'Weapons powered down. We await your instructions.', 'hail');
+        } else {
+            this.addCommsMessage(us.toUpperCase(), `${ship.name}, stand down and leave this sector.`, 'normal');
+            this.yieldShip(ship, { type: 'standDown' });
+            this.scheduleMessage(10, name, 'Understood. We are withdrawing.', 'hail');
+        }
+
+        this.emit('hailAnswered', { hail, response });
+        return true;
+    }
+
+    // An attacker told to stand down is likelier to listen the more damaged it is
+    demandStandDown(ship) {
+        if (rng.chance(1 - ship.hull / ship.maxHull)) {
+            this.yieldShip(ship, { type: 'standDown' });
+            this.scheduleMessage(10, ship.name.toUpperCase(), `Very well, ${this.playerShip.name}. We are breaking off.`, 'hail');
+        } else {
+            this.scheduleMessage(10, ship.name.toUpperCase(), 'We do not take orders from you.', 'hail');
+        }
+    }
+
+    // A ship that gives in drops out of the fight: it keeps to its terms and turns neutral
+    yieldShip(ship, terms) {
+        ship.terms = terms;
+        ship.target = null;
+        ship.orders = null;
+        this.setShipFaction(ship.id, 'neutral');
+    }
+
+    // Surrendered or withdrawing - out of the fight for good (see objectives.js)
+    hasYielded(ship) {
+        return !!ship.terms && ship.terms.type !== 'shelter';
+    }
+
+    // ===== FLEET ORDERS =====
+
+    // Give an order to one friendly ship, or every friendly ship with shipId 'fleet'.
+    // attack uses the current target, defend a friendly ship id (default: us),
+    // patrol the current waypoint. Ships acknowledge over comms.
+    issueOrder(shipId, order, targetId = null) {
+        if (!FLEET_ORDERS.includes(order)) return false;
+
+        const ships = shipId === 'fleet'
+            ? this.ships.filter(s => this.getDisposition(s) === 'friendly')
+            : [this.getShip(shipId)].filter(s => s && s !== this.playerShip);
+        if (ships.length === 0) {
+            this.addCommsMessage('COMMS', 'No friendly ships to receive orders.', 'alert');
+            return false;
+        }
+
+        const orders = { type: order };
+        let acknowledgement;
+        switch (order) {
+            case 'formUp':
+                acknowledgement = `Forming up on you, ${this.playerShip.name}.`;
+                break;
+            case 'attack': {
+                const target = this.getShip(targetId || this.currentTarget);
+                if (!target || target === this.playerShip) {
+                    this.addCommsMessage('COMMS', 'Lock a target before ordering an attack.', 'alert');
+                    return false;
+                }
+                orders.targetId = target.id;
+                acknowledgement = `Engaging ${target.scanned ? target.name : 'your target'}.`;
+                break;
+            }
+            case 'defend': {
+                const protectee = this.getShip(targetId || 'player');
+                if (!protectee || this.getDisposition(protectee) !== 'friendly') {
+                    this.addCommsMessage('COMMS', 'Can only defend a friendly ship.', 'alert');
+                    return false;
+                }
+                orders.targetId = protectee.id;
+                acknowledgement = protectee === this.playerShip ? `Moving to cover you, ${this.playerShip.name}.` : `Moving to defend ${protectee.name}.`;
+                break;
+            }
+            case 'hold':
+                acknowledgement = 'Holding position.';
+                break;
+            case 'patrol': {
+                if (!this.waypoint) {
+                    this.addCommsMessage('COMMS', 'Set a waypoint to patrol first.', 'alert');
+                    return false;
+                }
+                const { x, y } = this.waypoint;
+                orders.route = [0, 1, 2, 3].map(i => ({
+                    x: x + Math.cos(i * Math.PI / 2) * 200,
+                    y: y + Math.sin(i * Math.PI / 2) * 200
+                }));
+                acknowledgement = 'Patrolling the waypoint.';
+                break;
+            }
+            case 'returnToBase':
+                acknowledgement = 'Returning to base.';
+                break;
+        }
+
+        const accepted = ships.filter(ship => this.getDisposition(ship) === 'friendly');
+        ships.filter(ship => !accepted.includes(ship)).forEach(ship => {
+            this.scheduleMessage(10, ship.name.toUpperCase(), 'We do not take orders from you.', 'hail');
+        });
+
+        accepted.forEach(ship => {
+            ship.orders = { ...orders };
+            if (order === 'hold') {
+                ship.orders.point = { x: ship.x, y: ship.y };
+            }
+            if (order === 'patrol') {
+                ship.patrolIndex = 0;
+            }
+            this.scheduleMessage(10, ship.name.toUpperCase(), acknowledgement, 'hail');
+        });
+
+        if (accepted.length > 0) {
+            this.emit('ordersIssued', { ships: accepted, order });
+        }
+        return accepted.length > 0;
+    }
+
+    // Change a ship's allegiance; the AI picks up the new faction on the next tick
+    setShipFaction(shipId, faction) {
+        const ship = this.getShip(shipId);
+        if (!ship || ship.faction === faction) return false;
+
+        ship.faction = faction;
+        this.emit('factionChanged', { ship, faction });
+        return true;
+    }
+
+    // ===== SHIELDS =====
+
+    // The facing of `ship` that points toward a position
+    getShieldFacing(ship, from) {
+        const bearing = Math.atan2(from.y - ship.y, from.x - ship.x) * 180 / Math.PI;
+        const relative = ((bearing - ship.heading) % 360 + 360 + 45) % 360;
+        return SHIELD_FACINGS[Math.floor(relative / 90)];
+    }
+
+    // Most a facing can hold with the current reinforcement
+    getShieldCapacity(ship, facing) {
+        if (!ship.shieldReinforce) return ship.maxShieldStrength;
+        return ship.maxShieldStrength * (ship.shieldReinforce === facing ? REINFORCED_CAPACITY : UNREINFORCED_CAPACITY);
+    }
+
+    // Overall shield strength as a percentage of normal capacity, for summary readouts
+    getShieldPercent(ship) {
+        const total = SHIELD_FACINGS.reduce((sum, facing) => sum + ship.shields[facing], 0);
+        return total / (ship.maxShieldStrength * SHIELD_FACINGS.length) * 100;
+    }
+
+    // Divert shield power to one facing (null to balance them again). Charge the other
+    // facings can no longer hold is shunted into the reinforced one.
+    reinforceShields(facing) {
+        const ship = this.playerShip;
+        if ((facing !== null && !SHIELD_FACINGS.includes(facing)) || ship.shieldReinforce === facing) return false;
+
+        ship.shieldReinforce = facing;
+        let surplus = 0;
+        SHIELD_FACINGS.forEach(f => {
+            const capacity = this.getShieldCapacity(ship, f);
+            if (ship.shields[f] > capacity) {
+                surplus += ship.shields[f] - capacity;
+                ship.shields[f] = capacity;
+            }
+        });
+        if (facing) {
+            ship.shields[facing] = Math.min(this.getShieldCapacity(ship, facing), ship.shields[facing] + surplus);
+        }
+
+        this.addCommsMessage('ENGINEERING', facing ? `Reinforcing ${facing} shields.` : 'Shields balanced.', 'info');
+        this.emit('shieldsReinforced', facing);
+        return true;
+    }
+
+    // ===== SENSORS =====
+
+    // 'detected', 'faint', 'lost', or 'undetected' for ships sensors have never picked up
+    getContactStatus(ship) {
+        const contact = this.contacts[ship.id];
+        return contact ? contact.status : 'undetected';
+    }
+
+    // Whether a ship is currently on sensors at all (clearly or as a faint blip)
+    isTracked(ship) {
+        const status = this.getContactStatus(ship);
+        return status === 'detected' || status === 'faint';
+    }
+
+    // Replace the sensor picture; listeners only hear about it when a contact changes status
+    setContacts(contacts) {
+        const statuses = (list) => JSON.stringify(Object.keys(list).sort().map(id => [id, list[id].status]));
+        const changed = statuses(contacts) !== statuses(this.contacts);
+        this.contacts = contacts;
+        if (changed) this.emit('contactsChanged', contacts);
+    }
+
+    // Start scanning a contact; it works through the remaining tiers on game time
+    startScan(shipId) {
+        const ship = this.getShip(shipId);
+        if (!ship || ship === this.playerShip || ship.scanLevel >= SCAN_LEVELS.length) return false;
+
+        if (this.playerShip.subsystems.sensors.hp <= 0) {
+            this.addCommsMessage('SENSORS', 'Sensors offline!', 'alert');
+            return false;
+        }
+        if (this.getContactStatus(ship) !== 'detected') {
+            this.addCommsMessage('SENSORS', 'Contact too faint to scan.', 'alert');
+            return false;
+        }
+
+        this.scan = { shipId, progress: 0 };
+        this.emit('scanStarted', ship);
+        return true;
+    }
+
+    // Stop the scan in progress, with a SENSORS message saying why (none when cancelled)
+    endScan(reason = null) {
+        if (!this.scan) return false;
+
+        const ship = this.getShip(this.scan.shipId);
+        this.scan = null;
+        if (reason) {
+            this.addCommsMessage('SENSORS', reason, 'alert');
+        }
+        this.emit('scanEnded', ship);
+        return true;
+    }
+
+    cancelScan() {
+        return this.endScan();
+    }
+
+    // Record a completed scan tier (default: basic identification)
+    markScanned(shipId, level = 1) {
+        const ship = this.getShip(shipId);
+        if (!ship || ship.scanLevel >= level) return false;
+
+        ship.scanLevel = level;
+        ship.scanned = true;
+        this.emit('shipScanned', ship);
+
+        const results = {
+            identity: `Scan complete: ${ship.name}`,
+            hull: `${ship.name}: hull and shield readings`,
+            subsystems: `${ship.name}: subsystems and cargo manifest`,
+            tactical: `${ship.name}: weapons and intent`
+        };
+        this.addCommsMessage('SENSORS', results[SCAN_LEVELS[level - 1]], 'info');
+        return true;
+    }
+
+    // Copy synced fields into a plain object for transport
+    getSyncState(fields = SYNCED_FIELDS) {
+        const data = {};
+        fields.forEach(field => {
+            data[field] = JSON.parse(JSON.stringify(this[field]));
+        });
+        return data;
+    }
+
+    // Apply synced fields from the host and emit the matching change events
+    applySyncState(data) {
+        if ('ships' in data) {
+            const previous = new Map(this.ships.map(s => [s.id, s]));
+            const incoming = new Set(data.ships.map(s => s.id));
+            this.ships = data.ships;
+            this.ships.forEach(ship => {
+                if (!previous.has(ship.id)) this.emit('shipAdded', ship);
+            });
+            previous.forEach((ship, id) => {
+                if (!incoming.has(id)) this.emit('shipDestroyed', ship);
+            });
+        }
+
+        if ('commsLog' in data) {
+            // Read flags are local to each station
+            const previous = new Map(this.commsLog.map(m => [m.id, m]));
+            this.commsLog = data.commsLog;
+            this.commsLog.forEach(msg => {
+                if (previous.has(msg.id)) msg.read = previous.get(msg.id).read;
+            });
+            this.commsLog.slice().reverse().forEach(msg => {
+                if (!previous.has(msg.id)) this.emit('commsMessage', msg);
+            });
+        }
+
+        if ('playerShip' in data) {
+            const oldSystems = this.playerShip.subsystems;
+            this.playerShip = data.playerShip;
+            Object.keys(this.playerShip.subsystems).forEach(name => {
+                const power = this.playerShip.subsystems[name].power;
+                if (!oldSystems[name] || oldSystems[name].power !== power) {
+                    this.emit('powerChanged', { system: name, power });
+                }
+            });
+        }
+
+        ['projectiles', 'phaserBeams', 'gameTime', 'isPaused', 'repairCooldowns', 'scenario', 'factions', 'scan', 'warp', 'bodies', 'docking', 'cargoPods', 'incomingHails', 'fireControl'].forEach(field => {
+            if (field in data) this[field] = data[field];
+        });
+
+        if ('torpedoMode' in data && data.torpedoMode !== this.torpedoMode) {
+            this.torpedoMode = data.torpedoMode;
+            this.emit('torpedoModeChanged', this.torpedoMode);
+        }
+
+        if ('flightModel' in data && data.flightModel !== this.flightModel) {
+            this.flightModel = data.flightModel;
+            this.emit('flightModelChanged', this.flightModel);
+        }
+
+        if ('difficulty' in data && data.difficulty !== this.difficulty) {
+            this.difficulty = data.difficulty;
+            this.emit('difficultyChanged', this.difficulty);
+        }
+
+        if ('currentTarget' in data && data.currentTarget !== this.currentTarget) {
+            this.currentTarget = data.currentTarget;
+            this.emit('targetChanged', this.currentTarget);
+        }
+
+        if ('alertLevel' in data && data.alertLevel !== this.alertLevel) {
+            this.alertLevel = data.alertLevel;
+            this.emit('alertChanged', this.alertLevel);
+        }
+
+        if ('autoAlertEnabled' in data && data.autoAlertEnabled !== this.autoAlertEnabled) {
+            this.autoAlertEnabled = data.autoAlertEnabled;
+            this.emit('autoAlertChanged', this.autoAlertEnabled);
+        }
+
+        if ('seed' in data && data.seed !== this.seed) {
+            this.seed = data.seed;
+            this.emit('seedChanged', this.seed);
+        }
+
+        if ('contacts' in data) {
+            this.setContacts(data.contacts);
+        }
+
+        if ('objectives' in data) {
+            const changed = JSON.stringify(data.objectives) !== JSON.stringify(this.objectives);
+            this.objectives = data.objectives;
+            if (changed) this.emit('objectivesChanged', this.objectives);
+        }
+
+        if ('missionEndReason' in data) {
+            this.missionEndReason = data.missionEndReason;
+        }
+
+        if ('missionStatus' in data && data.missionStatus !== this.missionStatus) {
+            this.missionStatus = data.missionStatus;
+            if (this.missionStatus === 'active') {
+                this.emit('missionStarted', this.scenario);
+            } else {
+                this.emit('missionEnded', { result: this.missionStatus, reason: this.missionEndReason });
+            }
+        }
+
+        if ('waypoint' in data) {
+            const changed = JSON.stringify(data.waypoint) !== JSON.stringify(this.waypoint);
+            this.waypoint = data.waypoint;
+            if (changed) {
+                this.emit(this.waypoint ? 'waypointSet' : 'waypointCleared', this.waypoint);
+            }
+        }
     }
 
     // Get distance to waypoint
@@ -394,4 +1795,7 @@ class GameState {
 
 // Singleton instance
 export const gameState = new GameState();
-export { createShip, createProjectile, createSubsystems };
+export {
+    createShip, createProjectile, createSubsystems, createMagazine, createHardpoints, createFactions, createShields, createBody, describeCargo,
+    BODY_TYPES, MARKET_DEFAULTS, GOODS, GOODS_TYPES, INSPECTION_RANGE, HAIL_RESPONSES, GRAVITY_WELL, NEBULA_SHIELD_FACTOR, STANDINGS, FLEET_ORDERS, SCAN_LEVELS, SHIELD_FACINGS, SHIELD_FACING_ANGLES, FLIGHT_MODELS, MIN_THROTTLE, DIFFICULTIES, TORPEDO_MODES, PROXIMITY_FUSE, ORDNANCE, ORDNANCE_TYPES, TORPEDO_TUBES, HARDPOINT_WEAPONS, WEAPON_RANGES, PHASER_SHOT_COST, PHASER_RECHARGE, MAX_WARP_FACTOR, INTERDICTION_RADIUS, DOCKING_RANGE, SYNCED_FIELDS
+};
@@ -0,0 +1,113 @@
+/**
+ * Scenario Triggers
+ * Scripted mission beats that fire when simulation conditions are met
+ */
+
+import { gameState } from './state.js';
+import { objectives } from './objectives.js';
+
+export const TRIGGER_CONDITIONS = ['time', 'radius', 'hull', 'scanned', 'destroyed', 'hailed'];
+export const TRIGGER_ACTIONS = ['spawn', 'comms', 'setFaction', 'setAlert', 'setStanding', 'completeObjective'];
+
+const TICKS_PER_SECOND = 20;
+
+// Condition checks. Each receives the trigger's "when" block and the trigger itself.
+const conditions = {
+    time(when) {
+        return gameState.gameTime >= when.seconds * TICKS_PER_SECOND;
+    },
+
+    radius(when) {
+        const ship = gameState.getShip(when.ship || 'player');
+        return !!ship && Math.hypot(when.position.x - ship.x, when.position.y - ship.y) <= when.radius;
+    },
+
+    // Hull below a percentage of maximum
+    hull(when) {
+        const ship = gameState.getShip(when.ship);
+        return !!ship && ship.hull / ship.maxHull * 100 < when.below;
+    },
+
+    // Scanned to at least the given tier (default: identified)
+    scanned(when) {
+        const ship = gameState.getShip(when.ship);
+        return !!ship && ship.scanLevel >= (when.level || 1);
+    },
+
+    // Only counts once the ship has existed (ships spawned by other triggers start out missing)
+    destroyed(when, trigger) {
+        if (gameState.getShip(when.ship)) {
+            trigger.seen = true;
+            return false;
+        }
+        return trigger.seen === true;
+    },
+
+    hailed(when) {
+        const ship = gameState.getShip(when.ship);
+        return !!ship && ship.hailed;
+    }
+};
+
+const actions = {
+    // Ship configs are resolved when the scenario loads (see scenario.js)
+    spawn(action) {
+        action.ships.forEach(config => {
+            gameState.addShip({ ...config, patrolPoints: config.patrolPoints.map(p => ({ ...p })) });
+        });
+    },
+
+    comms(action) {
+        gameState.addCommsMessage(action.sender, action.text, action.type || 'normal');
+    },
+
+    setFaction(action) {
+        gameState.setShipFaction(action.ship, action.faction);
+    },
+
+    setAlert(action) {
+        gameState.setAlertLevel(action.level);
+    },
+
+    setStanding(action) {
+        gameState.setStanding(action.faction, action.toward, action.standing, action.mutual !== false);
+    },
+
+    completeObjective(action) {
+        objectives.complete(action.objective);
+    }
+};
+
+class TriggerSystem {
+    constructor() {
+        // Runs on game ticks, so triggers respect pause and only fire where the simulation runs
+        gameState.on('tick', () => this.evaluate());
+    }
+
+    // Take the scenario's triggers (with spawns already resolved) and check them once
+    load(triggers) {
+        gameState.triggers = triggers.map((trigger, i) => ({
+            id: trigger.id || `trigger-${i + 1}`,
+            when: trigger.when,
+            actions: trigger.actions,
+            fired: false
+        }));
+        this.evaluate();
+    }
+
+    evaluate() {
+        if (gameState.missionStatus !== 'active') return;
+
+        gameState.triggers.forEach(trigger => {
+            if (trigger.fired || !conditions[trigger.when.condition](trigger.when, trigger)) return;
+
+            // Each trigger fires once
+            trigger.fired = true;
+            trigger.actions.forEach(action => actions[action.action](action));
+            gameState.emit('triggerFired', trigger);
+        });
+    }
+}
+
+// Singleton instance
+export const triggers = new TriggerSystem();
@@ -3,10 +3,17 @@
  * Main Application Entry Point
  */
 
-import { gameState } from './core/state.js';
+import { gameState, DIFFICULTIES } from './core/state.js';
 import { simulation } from './core/simulation.js';
 import { audio } from './core/audio.js';
-import { initializeScenario } from './core/scenario.js';
+import { loadScenario, initializeScenario, DEFAULT_SCENARIO } from './core/scenario.js';
+import { network } from './core/network.js';
+import { rng, SeededRandom } from './core/random.js';
+import { recorder } from './core/recorder.js';
+import { saveDialog } from './ui/saveDialog.js';
+import { replayViewer } from './ui/replayViewer.js';
+import { objectivesPanel } from './ui/objectivesPanel.js';
+import { missionEndScreen } from './ui/missionEndScreen.js';
 
 // Import stations
 import { tacticalStation } from './stations/tactical.js';
@@ -27,17 +34,22 @@ const stations = {
 };
 
 let currentStation = null;
+let currentScenarioId = null;
 
 // Initialize the application
-function init() {
+async function init() {
     console.log('WarpMe Starship Simulator initializing...');
     
     // Initialize audio on first interaction
     document.addEventListener('click', () => audio.init(), { once: true });
     document.addEventListener('keydown', () => audio.init(), { once: true });
     
-    // Initialize the scenario
-    initializeScenario();
+    // Remote stations receive the world from the host instead of building it
+    const params = new URLSearchParams(window.location.search);
+    network.configure(params);
+    if (!network.isRemoteStation()) {
+        await startScenario(params.get('scenario') || DEFAULT_SCENARIO, params.get('seed'), params.get('difficulty'));
+    }
     
     // Set up tab navigation
     setupTabNavigation();
@@ -48,12 +60,15 @@ function init() {
     // Listen for state changes to update top nav
     setupStateListeners();
     
-    // Start with tactical station
-    switchStation('tactical');
+    // Start with tactical station (or the assigned remote station)
+    switchStation(network.isRemoteStation() ? network.station : 'tactical');
     
     // Start the simulation
+    simulation.setAudio(audio);
     simulation.start((timestamp) => {
-        if (currentStation && currentStation.update) {
+        if (replayViewer.isOpen()) {
+            replayViewer.update(timestamp);
+        } else if (currentStation && currentStation.update) {
             currentStation.update(timestamp);
         }
     });
@@ -61,6 +76,67 @@ function init() {
     console.log('WarpMe initialized successfully!');
 }
 
+// Load a scenario file and build the world from it.
+// ?seed=N replays a run exactly; without it every launch gets a fresh seed.
+// ?difficulty=easy|normal|hard overrides the scenario's difficulty.
+async function startScenario(scenarioId, seedParam = null, difficultyParam = null) {
+    currentScenarioId = scenarioId;
+    let seed = SeededRandom.parseSeed(seedParam);
+    if (seed === null) {
+        seed = SeededRandom.generateSeed();
+    }
+    const difficulty = DIFFICULTIES.includes(difficultyParam) ? difficultyParam : null;
+
+    try {
+        const scenario = await loadScenario(scenarioId);
+        initializeScenario(scenario, seed, difficulty);
+    } catch (e) {
+        console.error(e);
+        rng.setSeed(seed);
+        gameState.reset();
+        e.message.split('\n').reverse().forEach(line => {
+            gameState.addCommsMessage('SYSTEM', line, 'alert');
+        });
+    }
+
+    if (seedParam !== null && SeededRandom.parseSeed(seedParam) === null) {
+        gameState.addCommsMessage('SYSTEM', `Ignoring invalid seed "${seedParam}" - using ${seed}.`, 'alert');
+    }
+    if (difficultyParam !== null && !difficulty) {
+        gameState.addCommsMessage('SYSTEM', `Ignoring unknown difficulty "${difficultyParam}".`, 'alert');
+    }
+    updateShipName();
+    updateSeedDisplay();
+    updateDifficultyButton();
+    recorder.start();
+}
+
+function updateShipName() {
+    const label = document.querySelector('.ship-name');
+    if (label) {
+        label.textContent = gameState.playerShip.name.toUpperCase();
+    }
+}
+
+// Include the seed in bug reports - ?seed=N reproduces the run
+function updateSeedDisplay() {
+    const label = document.getElementById('seed-display');
+    if (label) {
+        label.hidden = gameState.seed === null;
+        label.textContent = `SEED ${gameState.seed}`;
+        label.title = `Reproduce this run with ?seed=${gameState.seed}`;
+    }
+}
+
+// Show the difficulty hostile ships are fighting at
+function updateDifficultyButton() {
+    const button = document.getElementById('difficulty-btn');
+    if (button) {
+        button.textContent = gameState.difficulty.toUpperCase();
+        button.title = `Difficulty: ${gameState.difficulty} (click to change)`;
+    }
+}
+
 // Set up tab navigation
 function setupTabNavigation() {
     const tabButtons = document.querySelectorAll('[role="tab"]');
@@ -105,6 +181,11 @@ function setupTabNavigation() {
 
 // Switch to a different station
 function switchStation(stationId) {
+    // Remote crew members are locked to their own station
+    if (network.isRemoteStation() && stationId !== network.station) {
+        return;
+    }
+
     // Update tab buttons
     document.querySelectorAll('[role="tab"]').forEach(tab => {
         const isSelected = tab.id === `tab-${stationId}`;
@@ -143,6 +224,72 @@ function setupTopNav() {
         audio.toggleMute();
         updateMuteButton();
     });
+
+    // Save / load (the host owns the game, so remote stations can't)
+    const saveBtn = document.getElementById('save-btn');
+    saveDialog.init(document.getElementById('save-dialog'));
+    saveBtn.hidden = network.isRemoteStation();
+    saveBtn.addEventListener('click', () => {
+        saveDialog.open();
+        audio.playClick();
+    });
+
+    // Difficulty cycles easy - normal - hard (the host decides for everyone)
+    const difficultyBtn = document.getElementById('difficulty-btn');
+    difficultyBtn.hidden = network.isRemoteStation();
+    difficultyBtn.addEventListener('click', () => {
+        const next = DIFFICULTIES[(DIFFICULTIES.indexOf(gameState.difficulty) + 1) % DIFFICULTIES.length];
+        gameState.setDifficulty(next);
+        audio.playClick();
+    });
+
+    // Mission replay (the viewer borrows the renderer, so the station is rebuilt after)
+    replayViewer.init(document.getElementById('replay-dialog'), refreshStation);
+    document.getElementById('replay-btn').addEventListener('click', () => {
+        replayViewer.open();
+        audio.playClick();
+    });
+
+    // Objectives and the end-of-mission debrief (only the host can restart)
+    objectivesPanel.init(document.getElementById('objectives-panel'));
+    missionEndScreen.init(document.getElementById('mission-end'), {
+        onRestart: network.isRemoteStation() ? null : restartMission,
+        onReplay: () => replayViewer.open()
+    });
+
+    // Multiplayer role and connection status
+    if (network.isRemoteStation()) {
+        document.querySelectorAll('[role="tab"]').forEach(tab => {
+            tab.hidden = tab.id !== `tab-${network.station}`;
+        });
+    }
+    network.on('statusChanged', updateNetworkStatus);
+    updateNetworkStatus(network.getStatus());
+}
+
+function updateNetworkStatus(status) {
+    const indicator = document.getElementById('network-status');
+    if (!indicator) return;
+
+    if (status.mode === 'local') {
+        indicator.hidden = true;
+        return;
+    }
+
+    indicator.hidden = false;
+    if (!status.connected) {
+        indicator.textContent = 'RELAY OFFLINE';
+        indicator.className = 'network-status offline';
+    } else if (status.mode === 'host') {
+        indicator.textContent = `HOST · ${status.stationCount} STATION${status.stationCount === 1 ? '' : 'S'}`;
+        indicator.className = 'network-status online';
+    } else if (!status.hostOnline) {
+        indicator.textContent = `${status.station.toUpperCase()} · WAITING FOR HOST`;
+        indicator.className = 'network-status waiting';
+    } else {
+        indicator.textContent = `${status.station.toUpperCase()} · CONNECTED`;
+        indicator.className = 'network-status online';
+    }
 }
 
 function updateMuteButton() {
@@ -167,6 +314,41 @@ function setupStateListeners() {
     
     // Initial alert indicator
     updateAlertIndicator(gameState.alertLevel);
+
+    // Remote stations learn the seed from the host
+    gameState.on('seedChanged', updateSeedDisplay);
+    updateSeedDisplay();
+
+    gameState.on('difficultyChanged', updateDifficultyButton);
+    updateDifficultyButton();
+
+    // A loaded save or a restarted mission replaces the whole world - rebuild the visible station
+    gameState.on('stateRestored', () => {
+        recorder.start();
+        refreshBridge();
+    });
+    gameState.on('missionStarted', refreshBridge);
+}
+
+function refreshBridge() {
+    updateAlertIndicator(gameState.alertLevel);
+    updateShipName();
+    updateSeedDisplay();
+    updateDifficultyButton();
+    refreshStation();
+}
+
+// Same scenario, same seed - a clean rerun of the mission
+function restartMission() {
+    startScenario(currentScenarioId, String(gameState.seed), gameState.difficulty);
+}
+
+// Re-initialize the visible station (after its world or canvas was replaced)
+function refreshStation() {
+    if (currentStation) {
+        const stationId = Object.keys(stations).find(id => stations[id] === currentStation);
+        switchStation(stationId);
+    }
 }
 
 function updateAlertIndicator(level) {
@@ -201,10 +383,8 @@ window.addEventListener('hashchange', () => {
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-        init();
-        handleInitialRoute();
+        init().then(handleInitialRoute);
     });
 } else {
-    init();
-    handleInitialRoute();
+    init().then(handleInitialRoute);
 }
@@ -3,14 +3,42 @@
  * Hailing, message log, and frequency management
  */
 
-import { gameState } from '../core/state.js';
+import { gameState, describeCargo, HAIL_RESPONSES } from '../core/state.js';
 import { audio } from '../core/audio.js';
+import { network } from '../core/network.js';
+
+// Messages can come from remote stations and scenario files, so their text never goes in as markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// Fleet order buttons and the labels used in the fleet status list
+const ORDER_LABELS = {
+    formUp: 'FORM UP',
+    attack: 'ATTACK TARGET',
+    defend: 'DEFEND',
+    hold: 'HOLD POSITION',
+    patrol: 'PATROL WAYPOINT',
+    returnToBase: 'RETURN TO BASE'
+};
+
+// Hails NPCs open with us, and the buttons for answering them
+const HAIL_KIND_LABELS = {
+    distress: 'DISTRESS CALL',
+    surrender: 'SURRENDER OFFER'
+};
+const HAIL_RESPONSE_LABELS = {
+    assist: 'OFFER ASSISTANCE',
+    accept: 'ACCEPT SURRENDER',
+    standDown: 'DEMAND THEY STAND DOWN'
+};
 
 class CommsStation {
     constructor() {
         this.container = null;
         this.selectedFrequency = 'all';
         this.unreadCount = 0;
+        this.hailsShown = null; // Ids of the hails listed, so the list is only rebuilt when they change
     }
 
     init(container) {
@@ -32,6 +60,44 @@ class CommsStation {
                             <span class="btn-icon">📡</span> OPEN HAILING FREQUENCIES
                         </button>
                     </div>
+                    <div class="panel">
+                        <h3>INCOMING HAILS</h3>
+                        <div id="incoming-hails" class="fleet-status"></div>
+                    </div>
+                    <div class="panel">
+                        <h3>DOCKING</h3>
+                        <div class="stat-row">
+                            <span id="docking-starbase" class="dim">No starbase</span>
+                            <span id="docking-status">UNDOCKED</span>
+                        </div>
+                        <button id="request-docking" class="btn btn-secondary">REQUEST DOCKING</button>
+                    </div>
+                    <div class="panel">
+                        <h3>CARGO</h3>
+                        <div class="stat-row">
+                            <span class="dim">HOLD:</span>
+                            <span id="cargo-hold">EMPTY</span>
+                        </div>
+                        <button id="inspect-btn" class="btn btn-secondary">INSPECT HAIL TARGET</button>
+                    </div>
+                    <div class="panel">
+                        <h3>FACTION STANDINGS</h3>
+                        <div id="faction-standings" class="fleet-status"></div>
+                    </div>
+                    <div class="panel">
+                        <h3>FLEET ORDERS</h3>
+                        <select id="order-recipient" class="select-input"></select>
+                        <div class="fleet-orders">
+                            ${Object.entries(ORDER_LABELS).map(([order, label]) => `
+                                <button class="btn btn-secondary btn-small" data-order="${order}">${label}</button>
+                            `).join('')}
+                        </div>
+                        <label class="fleet-defend">
+                            <span class="dim">DEFEND:</span>
+                            <select id="defend-target" class="select-input"></select>
+                        </label>
+                        <div id="fleet-status" class="fleet-status"></div>
+                    </div>
                     <div class="panel">
                         <h3>FREQUENCY FILTER</h3>
                         <div class="frequency-buttons">
@@ -61,7 +127,7 @@ class CommsStation {
                     <div class="panel">
                         <h3>BROADCAST</h3>
                         <textarea id="broadcast-input" class="broadcast-input" 
-                                  placeholder="Enter message..." rows="3"></textarea>
+                                  placeholder="Enter message..." rows="3" maxlength="280"></textarea>
                         <button id="broadcast-btn" class="btn btn-primary">
                             BROADCAST
                         </button>
@@ -76,7 +142,13 @@ class CommsStation {
             </div>
         `;
 
+        this.hailsShown = null;
         this.updateHailTargets();
+        this.updateIncomingHails();
+        this.updateFleetPanel();
+        this.updateDockingPanel();
+        this.updateCargoPanel();
+        this.updateStandings();
         this.updateCommsLog();
     }
 
@@ -85,7 +157,7 @@ class CommsStation {
         document.getElementById('hail-btn').addEventListener('click', () => {
             const target = document.getElementById('hail-target').value;
             if (target) {
-                gameState.hailShip(target);
+                network.dispatch('hailShip', target);
                 audio.playHail();
             } else {
                 gameState.addCommsMessage('COMMS', 'Select a target to hail.', 'alert');
@@ -93,6 +165,48 @@ class CommsStation {
             }
         });
 
+        // Answer a hail from an NPC
+        document.getElementById('incoming-hails').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-response]');
+            if (!btn) return;
+            if (network.dispatch('respondToHail', btn.dataset.hail, btn.dataset.response)) {
+                audio.playBeep();
+            } else {
+                audio.playError();
+            }
+        });
+
+        // Docking clearance from the nearest starbase
+        document.getElementById('request-docking').addEventListener('click', () => {
+            if (network.dispatch('requestDocking')) {
+                audio.playHail();
+            } else {
+                audio.playError();
+            }
+        });
+
+        // Board the hail target and search its hold
+        document.getElementById('inspect-btn').addEventListener('click', () => {
+            const target = document.getElementById('hail-target').value;
+            if (target && network.dispatch('inspectCargo', target)) {
+                audio.playBeep();
+            } else {
+                if (!target) gameState.addCommsMessage('COMMS', 'Select a ship to inspect.', 'alert');
+                audio.playError();
+            }
+        });
+
+        // Fleet orders (attack uses the locked target, patrol the waypoint)
+        document.querySelectorAll('[data-order]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const recipient = document.getElementById('order-recipient').value;
+                const order = btn.dataset.order;
+                const target = order === 'defend' ? document.getElementById('defend-target').value : null;
+                network.dispatch('issueOrder', recipient, order, target);
+                audio.playBeep();
+            });
+        });
+
         // Frequency filter buttons
         document.querySelectorAll('.btn-freq').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -108,7 +222,7 @@ class CommsStation {
         document.querySelectorAll('[data-msg]').forEach(btn => {
             btn.addEventListener('click', () => {
                 const msg = btn.dataset.msg;
-                gameState.addCommsMessage('USS ENDEAVOUR', msg, 'normal');
+                network.dispatch('broadcastMessage', msg);
                 audio.playBeep();
             });
         });
@@ -118,7 +232,7 @@ class CommsStation {
             const input = document.getElementById('broadcast-input');
             const msg = input.value.trim();
             if (msg) {
-                gameState.addCommsMessage('USS ENDEAVOUR', msg, 'normal');
+                network.dispatch('broadcastMessage', msg);
                 input.value = '';
                 audio.playBeep();
             }
@@ -135,6 +249,7 @@ class CommsStation {
         // Listen for new messages
         gameState.on('commsMessage', (msg) => {
             this.updateCommsLog();
+            this.updateFleetPanel(); // Order acknowledgements also reach remote stations this way
             if (msg.type === 'hail') {
                 audio.playHail();
             } else if (msg.type === 'alert') {
@@ -145,16 +260,127 @@ class CommsStation {
         // Update targets when ships change
         gameState.on('shipAdded', () => this.updateHailTargets());
         gameState.on('shipDestroyed', () => this.updateHailTargets());
+        gameState.on('contactsChanged', () => this.updateHailTargets());
+        gameState.on('shipAdded', () => this.updateFleetPanel());
+        gameState.on('shipDestroyed', () => this.updateFleetPanel());
+        gameState.on('ordersIssued', () => this.updateFleetPanel());
+        gameState.on('standingsChanged', () => this.updateStandings());
+        gameState.on('reputationChanged', () => this.updateStandings());
     }
 
     updateHailTargets() {
         const select = document.getElementById('hail-target');
         if (!select) return;
 
-        select.innerHTML = '<option value="">-- Select Target --</option>' +
-            gameState.ships.map(ship => {
-                const name = ship.scanned ? ship.name : `Unknown (${ship.faction})`;
-                return `<option value="${ship.id}">${name}</option>`;
+        // Keeps the selection, since contacts come and go while the officer is choosing
+        this.fillSelect(select, [['', '-- Select Target --'], ...gameState.ships
+            .filter(ship => gameState.getContactStatus(ship) === 'detected')
+            .map(ship => [ship.id, ship.scanned ? ship.name : `Unknown (${gameState.getDisposition(ship)})`])
+        ]);
+    }
+
+    // Rebuild a select's options, keeping the current choice if it's still there
+    fillSelect(select, options) {
+        const previous = select.value;
+        select.innerHTML = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        if (options.some(([value]) => value === previous)) {
+            select.value = previous;
+        }
+    }
+
+    // Open hails, each with a button for every answer it allows
+    updateIncomingHails() {
+        const list = document.getElementById('incoming-hails');
+        if (!list) return;
+
+        // Rebuilding only when the hails change keeps a click from landing on a replaced button
+        const shown = gameState.incomingHails.map(hail => hail.id).join();
+        if (shown === this.hailsShown) return;
+        this.hailsShown = shown;
+
+        list.innerHTML = gameState.incomingHails.length === 0 ? '<p class="dim">No open hails</p>' : gameState.incomingHails.map(hail => {
+            const ship = gameState.getShip(hail.shipId);
+            return `
+                <div class="fleet-ship">
+                    <span class="faction-${ship ? gameState.getDisposition(ship) : 'neutral'}">${ship ? ship.name : 'Unknown'}</span>
+                    <span class="${hail.kind === 'distress' ? 'text-red' : 'text-yellow'}">${HAIL_KIND_LABELS[hail.kind]}</span>
+                </div>
+                <div class="fleet-orders">
+                    ${HAIL_RESPONSES[hail.kind].map(response => `
+                        <button class="btn btn-secondary btn-small" data-hail="${hail.id}" data-response="${response}">${HAIL_RESPONSE_LABELS[response]}</button>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    updateFleetPanel() {
+        const recipient = document.getElementById('order-recipient');
+        const defend = document.getElementById('defend-target');
+        const status = document.getElementById('fleet-status');
+        if (!recipient) return;
+
+        const fleet = gameState.ships.filter(ship => gameState.getDisposition(ship) === 'friendly');
+
+        this.fillSelect(recipient, [['fleet', 'All friendly ships'], ...fleet.map(ship => [ship.id, ship.name])]);
+        this.fillSelect(defend, [['player', gameState.playerShip.name], ...fleet.map(ship => [ship.id, ship.name])]);
+
+        status.innerHTML = fleet.length === 0 ? '<p class="dim">No friendly ships in range</p>' : fleet.map(ship => {
+            let order = 'FREE';
+            if (ship.orders) {
+                const subject = gameState.getShip(ship.orders.targetId);
+                order = ORDER_LABELS[ship.orders.type] + (subject && ship.orders.type !== 'formUp' ? `: ${subject.scanned ? subject.name : 'Unknown'}` : '');
+            }
+            return `
+                <div class="fleet-ship">
+                    <span class="faction-friendly">${ship.name}</span>
+                    <span class="dim">${order}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Nearest starbase with its distance, and where the docking request stands
+    updateDockingPanel() {
+        const starbaseLabel = document.getElementById('docking-starbase');
+        const status = document.getElementById('docking-status');
+        const button = document.getElementById('request-docking');
+        if (!starbaseLabel) return;
+
+        const docking = gameState.docking;
+        const starbase = docking.stationId
+            ? gameState.bodies.find(body => body.id === docking.stationId)
+            : gameState.getNearestStarbase();
+        const player = gameState.playerShip;
+
+        starbaseLabel.textContent = starbase
+            ? `${starbase.name} (${Math.round(Math.hypot(starbase.x - player.x, starbase.y - player.y))} km)`
+            : 'No starbase';
+        status.textContent = { undocked: 'UNDOCKED', requested: 'AWAITING CLEARANCE', docked: 'DOCKED' }[docking.status];
+        status.className = { undocked: 'dim', requested: 'text-yellow', docked: 'text-green' }[docking.status];
+        button.disabled = !starbase || docking.status !== 'undocked';
+    }
+
+    updateCargoPanel() {
+        const hold = document.getElementById('cargo-hold');
+        if (hold) hold.textContent = describeCargo(gameState.playerShip.cargo);
+    }
+
+    // How every other faction regards us, and its opinion of us behind that
+    updateStandings() {
+        const list = document.getElementById('faction-standings');
+        if (!list) return;
+
+        list.innerHTML = Object.keys(gameState.factions)
+            .filter(id => id !== gameState.playerShip.faction)
+            .map(id => {
+                const standing = gameState.getStanding(id, gameState.playerShip.faction);
+                return `
+                    <div class="fleet-ship">
+                        <span>${gameState.getFactionName(id)}</span>
+                        <span class="faction-${standing}">${standing.toUpperCase()} (${gameState.getReputation(id)})</span>
+                    </div>
+                `;
             }).join('');
     }
 
@@ -171,7 +397,7 @@ class CommsStation {
 
         log.innerHTML = messages.map(msg => {
             const timeStr = this.formatTime(msg.timestamp);
-            const typeClass = `msg-${msg.type}`;
+            const typeClass = `msg-${escapeHtml(msg.type)}`;
             const unreadClass = msg.read ? '' : 'unread';
             
             // Mark as read
@@ -180,10 +406,10 @@ class CommsStation {
             return `
                 <div class="comms-message ${typeClass} ${unreadClass}">
                     <div class="msg-header">
-                        <span class="msg-sender">${msg.sender}</span>
+                        <span class="msg-sender">${escapeHtml(msg.sender)}</span>
                         <span class="msg-time">${timeStr}</span>
                     </div>
-                    <div class="msg-body">${msg.message}</div>
+                    <div class="msg-body">${escapeHtml(msg.message)}</div>
                 </div>
             `;
         }).join('');
@@ -217,9 +443,15 @@ class CommsStation {
     }
 
     update(timestamp) {
+        this.updateDockingPanel();
+        this.updateCargoPanel();
+        this.updateIncomingHails();
+
         // Periodically update hail targets (in case new ships appear)
         if (Math.floor(timestamp / 1000) % 5 === 0) {
             this.updateHailTargets();
+            this.updateFleetPanel();
+            this.updateStandings();
         }
     }
 
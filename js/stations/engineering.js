@@ -3,8 +3,9 @@
  * Power distribution, damage control, and system management
  */
 
-import { gameState } from '../core/state.js';
+import { gameState, SHIELD_FACINGS } from '../core/state.js';
 import { audio } from '../core/audio.js';
+import { network } from '../core/network.js';
 
 class EngineeringStation {
     constructor() {
@@ -63,9 +64,14 @@ class EngineeringStation {
                             <h4>SHIELD STRENGTH</h4>
                             <div class="progress-bar large">
                                 <div id="shield-bar" class="progress-fill shield-fill" 
-                                     style="width: ${ship.shieldStrength}%"></div>
+                                     style="width: ${Math.min(100, gameState.getShieldPercent(ship))}%"></div>
                             </div>
-                            <span id="shield-pct">${Math.round(ship.shieldStrength)}%</span>
+                            <span id="shield-pct">${Math.round(gameState.getShieldPercent(ship))}%</span>
+                            <h4>SHIELD FACINGS <span class="dim">- click to reinforce</span></h4>
+                            <div class="shield-facings">
+                                ${SHIELD_FACINGS.map(facing => this.renderShieldFacing(facing)).join('')}
+                            </div>
+                            <button class="btn btn-small" data-reinforce="">BALANCE SHIELDS</button>
                         </div>
                     </div>
                 </div>
@@ -108,12 +114,13 @@ class EngineeringStation {
     }
 
     renderPowerSlider(name, system) {
-        const healthClass = system.hp > 70 ? 'text-green' : system.hp > 30 ? 'text-yellow' : 'text-red';
+        const health = this.getHealthPercent(system);
+        const healthClass = health > 70 ? 'text-green' : health > 30 ? 'text-yellow' : 'text-red';
         return `
             <div class="power-control" data-system="${name}">
                 <div class="power-header">
                     <span class="power-name">${name.toUpperCase()}</span>
-                    <span class="power-health ${healthClass}">${Math.round(system.hp)}% HP</span>
+                    <span class="power-health ${healthClass}">${Math.round(health)}% HP</span>
                 </div>
                 <div class="power-slider-row">
                     <input type="range" class="power-slider" id="power-${name}" 
@@ -124,6 +131,18 @@ class EngineeringStation {
         `;
     }
 
+    renderShieldFacing(facing) {
+        return `
+            <div class="shield-facing">
+                <button class="btn btn-small" data-reinforce="${facing}">${facing.toUpperCase()}</button>
+                <div class="progress-bar small">
+                    <div id="shield-${facing}-bar" class="progress-fill shield-fill" style="width: 0%"></div>
+                </div>
+                <span id="shield-${facing}-pct" class="shield-facing-pct">0%</span>
+            </div>
+        `;
+    }
+
     renderRepairControls() {
         const systems = ['engines', 'weapons', 'shields', 'sensors'];
         return systems.map(name => {
@@ -137,8 +156,8 @@ class EngineeringStation {
                     <span class="repair-name">${name.toUpperCase()}</span>
                     <div class="repair-bar-container">
                         <div class="progress-bar small">
-                            <div class="progress-fill ${this.getHealthClass(system.hp)}" 
-                                 style="width: ${system.hp}%"></div>
+                            <div class="progress-fill ${this.getHealthClass(this.getHealthPercent(system))}" 
+                                 style="width: ${this.getHealthPercent(system)}%"></div>
                         </div>
                     </div>
                     <button class="btn btn-small btn-repair" 
@@ -151,6 +170,11 @@ class EngineeringStation {
         }).join('');
     }
 
+    // Subsystem health as a percentage of its class's durability
+    getHealthPercent(system) {
+        return system.hp / system.maxHp * 100;
+    }
+
     getHealthClass(hp) {
         if (hp > 70) return 'health-good';
         if (hp > 30) return 'health-warning';
@@ -169,7 +193,7 @@ class EngineeringStation {
             slider.addEventListener('input', (e) => {
                 const system = e.target.id.replace('power-', '');
                 const value = parseInt(e.target.value);
-                gameState.setPower(system, value);
+                network.dispatch('setPower', system, value);
                 this.updatePowerDisplay();
             });
         });
@@ -182,11 +206,23 @@ class EngineeringStation {
             });
         });
 
+        // Shield reinforcement (empty facing = balance)
+        this.container.querySelectorAll('[data-reinforce]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (network.dispatch('reinforceShields', btn.dataset.reinforce || null)) {
+                    audio.playBeep();
+                } else {
+                    audio.playClick();
+                }
+                this.updateShieldFacings();
+            });
+        });
+
         // Repair buttons
         document.querySelectorAll('[data-repair]').forEach(btn => {
             btn.addEventListener('click', () => {
                 const system = btn.dataset.repair;
-                if (gameState.repairSubsystem(system)) {
+                if (network.dispatch('repairSubsystem', system)) {
                     audio.playBeep();
                 } else {
                     audio.playError();
@@ -197,7 +233,7 @@ class EngineeringStation {
         // Alert buttons (scoped to this station)
         this.container.querySelectorAll('[data-alert]').forEach(btn => {
             btn.addEventListener('click', () => {
-                gameState.setAlertLevel(btn.dataset.alert);
+                network.dispatch('setAlertLevel', btn.dataset.alert);
                 this.updateAlertButtons();
                 
                 if (btn.dataset.alert === 'red') {
@@ -227,7 +263,7 @@ class EngineeringStation {
         const config = presets[preset];
         if (config) {
             Object.keys(config).forEach(system => {
-                gameState.setPower(system, config[system]);
+                network.dispatch('setPower', system, config[system]);
             });
             this.updatePowerDisplay();
         }
@@ -252,6 +288,22 @@ class EngineeringStation {
         }
     }
 
+    // Facing strengths as a percentage of normal capacity (a reinforced facing can pass 100%)
+    updateShieldFacings() {
+        const ship = gameState.playerShip;
+        SHIELD_FACINGS.forEach(facing => {
+            const percent = ship.shields[facing] / ship.maxShieldStrength * 100;
+            const bar = document.getElementById(`shield-${facing}-bar`);
+            const pct = document.getElementById(`shield-${facing}-pct`);
+            if (bar) bar.style.width = `${Math.min(100, percent)}%`;
+            if (pct) pct.textContent = `${Math.round(percent)}%`;
+        });
+
+        this.container.querySelectorAll('[data-reinforce]').forEach(btn => {
+            btn.classList.toggle('active', (btn.dataset.reinforce || null) === ship.shieldReinforce);
+        });
+    }
+
     updateAlertButtons() {
         this.container.querySelectorAll('[data-alert]').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.alert === gameState.alertLevel);
@@ -267,7 +319,7 @@ class EngineeringStation {
             document.querySelectorAll('[data-repair]').forEach(btn => {
                 btn.addEventListener('click', () => {
                     const system = btn.dataset.repair;
-                    if (gameState.repairSubsystem(system)) {
+                    if (network.dispatch('repairSubsystem', system)) {
                         audio.playBeep();
                     } else {
                         audio.playError();
@@ -283,7 +335,7 @@ class EngineeringStation {
         Object.keys(systems).forEach(name => {
             const indicator = document.getElementById(`svg-${name}`);
             if (indicator) {
-                const hp = systems[name].hp;
+                const hp = this.getHealthPercent(systems[name]);
                 let color;
                 if (hp > 70) color = '#00ff88';
                 else if (hp > 30) color = '#ffcc00';
@@ -304,11 +356,13 @@ class EngineeringStation {
         if (hullBar) hullBar.style.width = `${ship.hull}%`;
         if (hullPct) hullPct.textContent = `${Math.round(ship.hull)}%`;
         
-        // Update shield bar
+        // Update shield bars
+        const shieldPercent = gameState.getShieldPercent(ship);
         const shieldBar = document.getElementById('shield-bar');
         const shieldPct = document.getElementById('shield-pct');
-        if (shieldBar) shieldBar.style.width = `${ship.shieldStrength}%`;
-        if (shieldPct) shieldPct.textContent = `${Math.round(ship.shieldStrength)}%`;
+        if (shieldBar) shieldBar.style.width = `${Math.min(100, shieldPercent)}%`;
+        if (shieldPct) shieldPct.textContent = `${Math.round(shieldPercent)}%`;
+        this.updateShieldFacings();
         
         // Update system indicators on diagram
         this.updateSystemIndicators();
@@ -322,7 +376,7 @@ class EngineeringStation {
         Object.keys(ship.subsystems).forEach(name => {
             const healthEl = document.querySelector(`.power-control[data-system="${name}"] .power-health`);
             if (healthEl) {
-                const hp = ship.subsystems[name].hp;
+                const hp = this.getHealthPercent(ship.subsystems[name]);
                 healthEl.textContent = `${Math.round(hp)}% HP`;
                 healthEl.className = `power-health ${hp > 70 ? 'text-green' : hp > 30 ? 'text-yellow' : 'text-red'}`;
             }
@@ -3,9 +3,10 @@
  * Ship piloting - throttle, heading, and maneuvering
  */
 
-import { gameState } from '../core/state.js';
+import { gameState, MIN_THROTTLE, MAX_WARP_FACTOR } from '../core/state.js';
 import { renderer } from '../core/renderer.js';
 import { audio } from '../core/audio.js';
+import { network } from '../core/network.js';
 
 class HelmStation {
     constructor() {
@@ -37,15 +38,16 @@ class HelmStation {
                         <h3>THROTTLE</h3>
                         <div class="throttle-control">
                             <input type="range" id="throttle-slider" class="vertical-slider"
-                                   min="0" max="100" value="${(ship.velocity / ship.maxVelocity) * 100}"
+                                   min="${MIN_THROTTLE}" max="100" value="${ship.throttle}"
                                    orient="vertical">
                             <div class="throttle-display">
-                                <span id="throttle-value">${Math.round((ship.velocity / ship.maxVelocity) * 100)}%</span>
-                                <span id="velocity-value">${ship.velocity.toFixed(1)} km/s</span>
+                                <span id="throttle-value">${Math.round(ship.throttle)}%</span>
+                                <span id="velocity-value">${gameState.getCommandedSpeed(ship).toFixed(1)} km/s</span>
                             </div>
                         </div>
                         <div class="throttle-presets">
-                            <button class="btn btn-small" data-throttle="0">STOP</button>
+                            <button class="btn btn-small" data-throttle="${MIN_THROTTLE}">REVERSE</button>
+                            <button class="btn btn-small" data-throttle="0">ALL STOP</button>
                             <button class="btn btn-small" data-throttle="25">1/4</button>
                             <button class="btn btn-small" data-throttle="50">1/2</button>
                             <button class="btn btn-small" data-throttle="75">3/4</button>
@@ -62,6 +64,7 @@ class HelmStation {
                                     <span class="compass-mark s">180°</span>
                                     <span class="compass-mark w">270°</span>
                                 </div>
+                                <div class="compass-needle commanded" id="compass-order"></div>
                                 <div class="compass-needle" id="compass-needle"></div>
                                 <div class="compass-center">${Math.round(ship.heading)}°</div>
                             </div>
@@ -69,7 +72,7 @@ class HelmStation {
                         <div class="heading-input">
                             <label>SET HEADING:</label>
                             <input type="number" id="heading-input" min="0" max="359" 
-                                   value="${Math.round(ship.heading)}">
+                                   value="${Math.round(ship.commandedHeading)}">
                             <button id="set-heading" class="btn btn-primary">SET</button>
                         </div>
                         <div class="turn-controls">
@@ -77,6 +80,22 @@ class HelmStation {
                             <button id="turn-right" class="btn btn-large">STARBOARD ►</button>
                         </div>
                     </div>
+                    <div class="helm-panel warp-panel">
+                        <h3>WARP DRIVE</h3>
+                        <div class="warp-factors">
+                            ${Array.from({ length: MAX_WARP_FACTOR }, (_, i) => `
+                                <button class="btn btn-small" data-warp-factor="${i + 1}">${i + 1}</button>
+                            `).join('')}
+                        </div>
+                        <div class="progress-bar small">
+                            <div id="warp-fill" class="progress-fill warp-fill" style="width: 0%"></div>
+                        </div>
+                        <div class="stat-row">
+                            <span>Warp Status:</span>
+                            <span id="warp-status">READY</span>
+                        </div>
+                        <button id="warp-engage" class="btn btn-primary">ENGAGE</button>
+                    </div>
                     <div class="helm-panel status-panel">
                         <h3>FLIGHT STATUS</h3>
                         <div class="flight-stats">
@@ -92,15 +111,37 @@ class HelmStation {
                                 <span>Heading:</span>
                                 <span id="current-heading">${Math.round(ship.heading)}°</span>
                             </div>
+                            <div class="stat-row">
+                                <span>Ordered Heading:</span>
+                                <span id="ordered-heading">${Math.round(ship.commandedHeading)}°</span>
+                            </div>
                             <div class="stat-row">
                                 <span>Velocity:</span>
-                                <span id="current-velocity">${ship.velocity.toFixed(1)} km/s</span>
+                                <span id="current-velocity">${Math.hypot(ship.vx, ship.vy).toFixed(1)} km/s</span>
+                            </div>
+                            <div class="stat-row">
+                                <span>Ordered Speed:</span>
+                                <span id="ordered-speed">${gameState.getCommandedSpeed(ship).toFixed(1)} km/s</span>
+                            </div>
+                            <div class="stat-row">
+                                <span>Course:</span>
+                                <span id="current-course">${this.getCourseText(ship)}</span>
+                            </div>
+                            <div class="stat-row">
+                                <span>Environment:</span>
+                                <span id="environment">${this.getEnvironmentText(ship)}</span>
+                            </div>
+                            <div class="stat-row">
+                                <span>Docking:</span>
+                                <span id="docking-state">${this.getDockingText()}</span>
                             </div>
                             <div class="stat-row">
                                 <span>Engine Status:</span>
                                 <span id="engine-status" class="text-green">ONLINE</span>
                             </div>
                         </div>
+                        <button id="flight-model" class="btn btn-small flight-model-toggle">${this.getFlightModelLabel()}</button>
+                        <button id="undock" class="btn btn-small btn-warning undock-btn" disabled>UNDOCK</button>
                         <div class="waypoint-info" id="waypoint-info">
                             ${this.getWaypointInfo()}
                         </div>
@@ -113,6 +154,31 @@ class HelmStation {
         renderer.init(this.canvas);
     }
 
+    getFlightModelLabel() {
+        return gameState.flightModel === 'newtonian' ? 'FLIGHT: NEWTONIAN' : 'FLIGHT: ARCADE';
+    }
+
+    // Direction of travel, which drifts away from the heading under Newtonian flight
+    getCourseText(ship) {
+        if (Math.hypot(ship.vx, ship.vy) < 0.01) return '---';
+        return `${Math.round(this.calculateHeadingFromVector(ship.vx, ship.vy))}°`;
+    }
+
+    // Bodies the ship is inside: nebulae, asteroid fields, gravity wells
+    getEnvironmentText(ship) {
+        const bodies = gameState.getBodiesAt(ship.x, ship.y).filter(body => body.type !== 'starbase');
+        if (bodies.length === 0) return 'Open space';
+        return bodies.map(body => body.type === 'planet' ? `${body.name} gravity well` : body.name).join(', ');
+    }
+
+    getDockingText() {
+        const docking = gameState.docking;
+        const starbase = gameState.bodies.find(body => body.id === docking.stationId);
+        if (docking.status === 'docked') return `Docked at ${starbase ? starbase.name : 'starbase'}`;
+        if (docking.status === 'requested') return 'Awaiting clearance';
+        return 'Undocked';
+    }
+
     getWaypointInfo() {
         if (!gameState.waypoint) {
             return '<p class="dim">No waypoint set</p>';
@@ -160,6 +226,40 @@ class HelmStation {
             });
         });
 
+        // Flight model toggle
+        document.getElementById('flight-model').addEventListener('click', () => {
+            const model = gameState.flightModel === 'newtonian' ? 'arcade' : 'newtonian';
+            if (network.dispatch('setFlightModel', model)) {
+                audio.playClick();
+            }
+        });
+
+        // Release the docking clamps, or cancel a pending request
+        document.getElementById('undock').addEventListener('click', () => {
+            if (network.dispatch('undock')) {
+                audio.playBeep();
+            } else {
+                audio.playError();
+            }
+        });
+
+        // Warp factor and engage / drop out
+        document.querySelectorAll('[data-warp-factor]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                network.dispatch('setWarpFactor', parseInt(btn.dataset.warpFactor));
+                audio.playClick();
+            });
+        });
+
+        document.getElementById('warp-engage').addEventListener('click', () => {
+            const action = gameState.warp.status === 'idle' ? 'engageWarp' : 'disengageWarp';
+            if (network.dispatch(action)) {
+                audio.playBeep();
+            } else {
+                audio.playError();
+            }
+        });
+
         // Set heading button
         document.getElementById('set-heading').addEventListener('click', () => {
             const input = document.getElementById('heading-input');
@@ -212,11 +312,14 @@ class HelmStation {
             switch(e.key) {
                 case 'ArrowUp':
                 case 'w':
-                    this.setThrottle(Math.min(100, (gameState.playerShip.velocity / gameState.playerShip.maxVelocity) * 100 + 10));
+                    this.setThrottle(Math.min(100, gameState.playerShip.throttle + 10));
                     break;
                 case 'ArrowDown':
                 case 's':
-                    this.setThrottle(Math.max(0, (gameState.playerShip.velocity / gameState.playerShip.maxVelocity) * 100 - 10));
+                    this.setThrottle(Math.max(MIN_THROTTLE, gameState.playerShip.throttle - 10));
+                    break;
+                case 'x':
+                    this.setThrottle(0); // All stop
                     break;
                 case 'ArrowLeft':
                 case 'a':
@@ -278,52 +381,95 @@ class HelmStation {
     }
 
     setThrottle(percent) {
-        const ship = gameState.playerShip;
-        const engineEffectiveness = (ship.subsystems.engines.hp / 100) * (ship.subsystems.engines.power / 100);
-        ship.velocity = (percent / 100) * ship.maxVelocity * engineEffectiveness;
-        
+        network.dispatch('setThrottle', percent);
         this.updateThrottleDisplay();
     }
 
     setHeading(heading) {
-        heading = ((heading % 360) + 360) % 360;
-        gameState.playerShip.heading = heading;
+        network.dispatch('setHeading', heading);
         this.updateHeadingDisplay();
     }
 
     turn(degrees) {
-        let heading = gameState.playerShip.heading + degrees;
-        heading = ((heading % 360) + 360) % 360;
-        gameState.playerShip.heading = heading;
+        network.dispatch('turn', degrees);
         this.updateHeadingDisplay();
     }
 
+    // Throttle shows what helm ordered; the flight status panel shows what the ship is doing
     updateThrottleDisplay() {
         const ship = gameState.playerShip;
-        const percent = Math.round((ship.velocity / ship.maxVelocity) * 100);
+        const percent = Math.round(ship.throttle);
+        const ordered = `${gameState.getCommandedSpeed(ship).toFixed(1)} km/s`;
         
         const throttleValue = document.getElementById('throttle-value');
         const velocityValue = document.getElementById('velocity-value');
+        const orderedSpeed = document.getElementById('ordered-speed');
         const slider = document.getElementById('throttle-slider');
         
         if (throttleValue) throttleValue.textContent = `${percent}%`;
-        if (velocityValue) velocityValue.textContent = `${ship.velocity.toFixed(1)} km/s`;
+        if (velocityValue) velocityValue.textContent = ordered;
+        if (orderedSpeed) orderedSpeed.textContent = ordered;
         if (slider) slider.value = percent;
     }
 
     updateHeadingDisplay() {
         const ship = gameState.playerShip;
         const heading = Math.round(ship.heading);
+        const ordered = Math.round(ship.commandedHeading);
         
         const needle = document.getElementById('compass-needle');
+        const orderNeedle = document.getElementById('compass-order');
         const center = document.querySelector('.compass-center');
         const input = document.getElementById('heading-input');
         const current = document.getElementById('current-heading');
+        const orderedHeading = document.getElementById('ordered-heading');
         
         if (needle) needle.style.transform = `rotate(${heading}deg)`;
+        if (orderNeedle) orderNeedle.style.transform = `rotate(${ordered}deg)`;
         if (center) center.textContent = `${heading}°`;
-        if (input) input.value = heading;
+        if (input) input.value = ordered;
         if (current) current.textContent = `${heading}°`;
+        if (orderedHeading) orderedHeading.textContent = `${ordered}°`;
+    }
+
+    updateWarpDisplay() {
+        const warp = gameState.warp;
+        const status = document.getElementById('warp-status');
+        const fill = document.getElementById('warp-fill');
+        const engage = document.getElementById('warp-engage');
+
+        let text = 'READY';
+        let className = 'text-green';
+        let percent = 0;
+        if (warp.status === 'charging') {
+            percent = warp.charge * 100;
+            text = `CHARGING ${Math.round(percent)}%`;
+            className = 'text-yellow';
+        } else if (warp.status === 'active') {
+            percent = 100;
+            text = `WARP ${warp.factor}`;
+            className = 'text-blue';
+        } else if (warp.status === 'cooldown') {
+            text = `COOLDOWN ${Math.ceil(warp.cooldown / 20)}s`;
+            className = 'dim';
+        } else if (gameState.getInterdictor()) {
+            text = 'INTERDICTED';
+            className = 'text-red';
+        }
+
+        if (status) {
+            status.textContent = text;
+            status.className = className;
+        }
+        if (fill) fill.style.width = `${percent}%`;
+        if (engage) {
+            engage.textContent = { idle: 'ENGAGE', charging: 'ABORT', active: 'DROP OUT', cooldown: 'ENGAGE' }[warp.status];
+            engage.disabled = warp.status === 'cooldown';
+        }
+
+        this.container.querySelectorAll('[data-warp-factor]').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.warpFactor) === warp.factor);
+        });
     }
 
     update(timestamp) {
@@ -333,15 +479,28 @@ class HelmStation {
         const posX = document.getElementById('pos-x');
         const posY = document.getElementById('pos-y');
         const velDisplay = document.getElementById('current-velocity');
+        const courseDisplay = document.getElementById('current-course');
+        const environment = document.getElementById('environment');
+        const dockingState = document.getElementById('docking-state');
+        const undock = document.getElementById('undock');
+        const flightModel = document.getElementById('flight-model');
         const engineStatus = document.getElementById('engine-status');
         const waypointInfo = document.getElementById('waypoint-info');
         
         if (posX) posX.textContent = Math.round(ship.x);
         if (posY) posY.textContent = Math.round(ship.y);
-        if (velDisplay) velDisplay.textContent = `${ship.velocity.toFixed(1)} km/s`;
+        if (velDisplay) velDisplay.textContent = `${Math.hypot(ship.vx, ship.vy).toFixed(1)} km/s`;
+        if (courseDisplay) courseDisplay.textContent = this.getCourseText(ship);
+        if (environment) environment.textContent = this.getEnvironmentText(ship);
+        if (dockingState) dockingState.textContent = this.getDockingText();
+        if (undock) {
+            undock.textContent = gameState.docking.status === 'requested' ? 'CANCEL DOCKING' : 'UNDOCK';
+            undock.disabled = gameState.docking.status === 'undocked';
+        }
+        if (flightModel) flightModel.textContent = this.getFlightModelLabel();
         
         // Engine status
-        const engineHealth = ship.subsystems.engines.hp;
+        const engineHealth = ship.subsystems.engines.hp / ship.subsystems.engines.maxHp * 100;
         if (engineStatus) {
             if (engineHealth <= 0) {
                 engineStatus.textContent = 'OFFLINE';
@@ -363,6 +522,7 @@ class HelmStation {
         // Update compass
         this.updateHeadingDisplay();
         this.updateThrottleDisplay();
+        this.updateWarpDisplay();
 
         // Render view
         renderer.renderMap({
@@ -371,7 +531,8 @@ class HelmStation {
             scale: this.scale,
             showGrid: true,
             showHUD: true,
-            showWaypointLine: true
+            showWaypointLine: true,
+            showVelocityVector: gameState.flightModel === 'newtonian'
         });
     }
 
@@ -6,6 +6,7 @@
 import { gameState } from '../core/state.js';
 import { renderer } from '../core/renderer.js';
 import { audio } from '../core/audio.js';
+import { network } from '../core/network.js';
 
 class NavigationStation {
     constructor() {
@@ -61,6 +62,12 @@ class NavigationStation {
                             <button id="auto-navigate" class="btn btn-primary" disabled>
                                 AUTO-NAVIGATE
                             </button>
+                            <button id="warp-to-waypoint" class="btn btn-primary" disabled>
+                                WARP TO WAYPOINT
+                            </button>
+                            <button id="dock-at-starbase" class="btn btn-secondary">
+                                DOCK AT NEAREST STARBASE
+                            </button>
                         </div>
                     </div>
                     <div class="panel">
@@ -89,6 +96,10 @@ class NavigationStation {
                                 <span>Hostile:</span>
                                 <span id="hostile-count" class="text-red">0</span>
                             </div>
+                            <div class="stat-row">
+                                <span>Faint:</span>
+                                <span id="faint-count" class="dim">0</span>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -99,6 +110,8 @@ class NavigationStation {
                             <span class="legend-item"><span class="legend-dot friendly"></span> Friendly</span>
                             <span class="legend-item"><span class="legend-dot neutral"></span> Neutral</span>
                             <span class="legend-item"><span class="legend-dot hostile"></span> Hostile</span>
+                            <span class="legend-item"><span class="legend-dot faint"></span> Faint</span>
+                            <span class="legend-item"><span class="legend-dot lost"></span> Last known</span>
                             <span class="legend-item"><span class="legend-dot waypoint"></span> Waypoint</span>
                         </div>
                     </div>
@@ -134,7 +147,7 @@ class NavigationStation {
 
         // Clear waypoint
         document.getElementById('clear-waypoint').addEventListener('click', () => {
-            gameState.clearWaypoint();
+            network.dispatch('clearWaypoint');
             this.updateWaypointStatus();
             audio.playClick();
         });
@@ -142,8 +155,27 @@ class NavigationStation {
         // Auto-navigate
         document.getElementById('auto-navigate').addEventListener('click', () => {
             if (gameState.waypoint) {
-                this.autoNavigateToWaypoint();
+                network.dispatch('setCourseToWaypoint');
+                audio.playBeep();
+            }
+        });
+
+        // Warp to waypoint (drops out on arrival)
+        document.getElementById('warp-to-waypoint').addEventListener('click', () => {
+            if (gameState.waypoint && network.dispatch('warpToWaypoint')) {
+                audio.playBeep();
+            } else {
+                audio.playError();
+            }
+        });
+
+        // Plot an approach to the nearest starbase that will take us
+        document.getElementById('dock-at-starbase').addEventListener('click', () => {
+            if (network.dispatch('dockAtNearestStarbase')) {
+                this.updateWaypointStatus();
                 audio.playBeep();
+            } else {
+                audio.playError();
             }
         });
 
@@ -214,43 +246,16 @@ class NavigationStation {
         
         const worldPos = renderer.screenToWorld(screenX, screenY, centerX, centerY, this.scale);
         
-        gameState.setWaypoint(worldPos.x, worldPos.y);
+        network.dispatch('plotWaypoint', worldPos.x, worldPos.y);
         this.updateWaypointStatus();
         audio.playBeep();
-        
-        gameState.addCommsMessage('NAVIGATION', 
-            `Waypoint set at coordinates (${Math.round(worldPos.x)}, ${Math.round(worldPos.y)})`, 
-            'info'
-        );
-    }
-
-    autoNavigateToWaypoint() {
-        if (!gameState.waypoint) return;
-
-        const ship = gameState.playerShip;
-        const dx = gameState.waypoint.x - ship.x;
-        const dy = gameState.waypoint.y - ship.y;
-        
-        // Calculate heading to waypoint
-        let heading = Math.atan2(dy, dx) * 180 / Math.PI;
-        if (heading < 0) heading += 360;
-        
-        ship.heading = heading;
-        
-        // Set velocity to 75%
-        const engineEffectiveness = (ship.subsystems.engines.hp / 100) * (ship.subsystems.engines.power / 100);
-        ship.velocity = ship.maxVelocity * 0.75 * engineEffectiveness;
-        
-        gameState.addCommsMessage('NAVIGATION', 
-            `Course set to waypoint. Heading ${Math.round(heading)}°, speed ${ship.velocity.toFixed(1)} km/s`, 
-            'info'
-        );
     }
 
     updateWaypointStatus() {
         const status = document.getElementById('waypoint-status');
         const clearBtn = document.getElementById('clear-waypoint');
         const navBtn = document.getElementById('auto-navigate');
+        const warpBtn = document.getElementById('warp-to-waypoint');
         
         if (!status) return;
 
@@ -281,10 +286,12 @@ class NavigationStation {
             
             if (clearBtn) clearBtn.disabled = false;
             if (navBtn) navBtn.disabled = false;
+            if (warpBtn) warpBtn.disabled = gameState.warp.status !== 'idle';
         } else {
             status.innerHTML = '<p class="dim">Click map to set waypoint</p>';
             if (clearBtn) clearBtn.disabled = true;
             if (navBtn) navBtn.disabled = true;
+            if (warpBtn) warpBtn.disabled = true;
         }
     }
 
@@ -307,15 +314,23 @@ class NavigationStation {
         const friendly = document.getElementById('friendly-count');
         const neutral = document.getElementById('neutral-count');
         const hostile = document.getElementById('hostile-count');
+        const faint = document.getElementById('faint-count');
         
-        const counts = { friendly: 0, neutral: 0, hostile: 0 };
+        // Only contacts on sensors; faint ones can't be told apart yet
+        const counts = { friendly: 0, neutral: 0, hostile: 0, faint: 0 };
         gameState.ships.forEach(ship => {
-            counts[ship.faction]++;
+            const status = gameState.getContactStatus(ship);
+            if (status === 'detected') {
+                counts[gameState.getDisposition(ship)]++;
+            } else if (status === 'faint') {
+                counts.faint++;
+            }
         });
         
         if (friendly) friendly.textContent = counts.friendly;
         if (neutral) neutral.textContent = counts.neutral;
         if (hostile) hostile.textContent = counts.hostile;
+        if (faint) faint.textContent = counts.faint;
     }
 
     update(timestamp) {
@@ -345,7 +360,8 @@ class NavigationStation {
             centerY: centerY,
             scale: this.scale,
             showGrid: true,
-            showHUD: true
+            showHUD: true,
+            showLastKnown: true
         });
     }
 
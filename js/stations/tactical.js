@@ -3,9 +3,37 @@
  * Long-range sensors, ship identification, and scanning
  */
 
-import { gameState } from '../core/state.js';
+import { gameState, SCAN_LEVELS, SHIELD_FACINGS, ORDNANCE, ORDNANCE_TYPES, GOODS, describeCargo } from '../core/state.js';
 import { renderer } from '../core/renderer.js';
 import { audio } from '../core/audio.js';
+import { network } from '../core/network.js';
+import { sensors } from '../core/sensors.js';
+import { getShipClass } from '../core/shipClasses.js';
+import { ai } from '../core/ai.js';
+
+// Progress label for the tier being scanned
+const SCAN_TIER_LABELS = {
+    identity: 'IDENTIFYING',
+    hull: 'HULL & SHIELDS',
+    subsystems: 'SUBSYSTEMS & CARGO',
+    tactical: 'WEAPONS & INTENT'
+};
+
+// What a fully scanned ship's AI state says about its intentions ({target} is its target)
+const INTENT_LABELS = {
+    patrol: 'Patrolling',
+    approach: 'Closing on {target}',
+    attack: 'Attacking {target}',
+    breakoff: 'Breaking off from {target}',
+    evade: 'Evading torpedo',
+    flee: 'Fleeing',
+    escort: 'Escorting {target}',
+    formation: 'Flying in formation',
+    hold: 'Holding position',
+    return: 'Returning to base',
+    trade: 'Hauling cargo',
+    surrender: 'Surrendered'
+};
 
 class TacticalStation {
     constructor() {
@@ -13,9 +41,8 @@ class TacticalStation {
         this.canvas = null;
         this.scale = 3; // Zoomed out for long range
         this.radarAngle = 0;
-        this.scanRadius = 0;
-        this.scanning = false;
         this.selectedShip = null;
+        this.showAIDebug = false; // AI profile, behavior and target overlay
     }
 
     init(container) {
@@ -37,6 +64,15 @@ class TacticalStation {
                         <div id="scan-info" class="scan-info">
                             <p class="dim">No target selected</p>
                         </div>
+                        <div id="scan-progress" class="scan-progress" hidden>
+                            <div class="scan-progress-label">
+                                <span id="scan-tier">IDENTIFYING</span>
+                                <span id="scan-pct">0%</span>
+                            </div>
+                            <div class="progress-bar small">
+                                <div id="scan-fill" class="progress-fill scan-fill" style="width: 0%"></div>
+                            </div>
+                        </div>
                         <button id="scan-btn" class="btn btn-primary" disabled>
                             <span class="btn-icon">◎</span> SCAN
                         </button>
@@ -48,6 +84,11 @@ class TacticalStation {
                             <span id="range-display">3000 km</span>
                             <button id="zoom-out" class="btn btn-small">−</button>
                         </div>
+                        <div class="stat-row">
+                            <span>Detection:</span>
+                            <span id="detection-range">0 km</span>
+                        </div>
+                        <button id="ai-debug-btn" class="btn btn-small ${this.showAIDebug ? 'active' : ''}">AI DEBUG: ${this.showAIDebug ? 'ON' : 'OFF'}</button>
                     </div>
                     <div class="panel">
                         <h3>ALERT STATUS</h3>
@@ -90,6 +131,15 @@ class TacticalStation {
             audio.playClick();
         });
 
+        // AI debug overlay
+        document.getElementById('ai-debug-btn').addEventListener('click', (e) => {
+            this.showAIDebug = !this.showAIDebug;
+            e.currentTarget.textContent = `AI DEBUG: ${this.showAIDebug ? 'ON' : 'OFF'}`;
+            e.currentTarget.classList.toggle('active', this.showAIDebug);
+            this.updateScanInfo();
+            audio.playClick();
+        });
+
         // Canvas click for target selection
         this.canvas.addEventListener('click', (e) => {
             this.handleCanvasClick(e);
@@ -99,12 +149,14 @@ class TacticalStation {
         gameState.on('shipAdded', () => this.updateContactList());
         gameState.on('shipDestroyed', () => this.updateContactList());
         gameState.on('targetChanged', () => this.updateContactList());
+        gameState.on('contactsChanged', () => this.updateContactList());
+        gameState.on('shipScanned', () => this.updateContactList());
         gameState.on('alertChanged', () => this.updateAlertButtons());
 
         // Alert buttons
         this.container.querySelectorAll('[data-alert]').forEach(btn => {
             btn.addEventListener('click', () => {
-                gameState.setAlertLevel(btn.dataset.alert);
+                network.dispatch('setAlertLevel', btn.dataset.alert);
                 this.updateAlertButtons();
 
                 if (btn.dataset.alert === 'red') {
@@ -130,12 +182,13 @@ class TacticalStation {
             this.scale
         );
 
-        // Find closest ship to click
+        // Find closest sensor contact to click (faint blips are picked where they appear)
         let closestShip = null;
         let closestDist = 50 * this.scale; // Click tolerance
 
-        gameState.ships.forEach(ship => {
-            const dist = Math.hypot(ship.x - worldPos.x, ship.y - worldPos.y);
+        gameState.ships.filter(ship => gameState.isTracked(ship)).forEach(ship => {
+            const contact = gameState.contacts[ship.id];
+            const dist = Math.hypot(contact.x - worldPos.x, contact.y - worldPos.y);
             if (dist < closestDist) {
                 closestDist = dist;
                 closestShip = ship;
@@ -144,55 +197,56 @@ class TacticalStation {
 
         if (closestShip) {
             this.selectedShip = closestShip;
-            gameState.setTarget(closestShip.id);
+            network.dispatch('setTarget', closestShip.id);
             this.updateScanInfo();
             audio.playTargetLock();
         }
     }
 
+    // Start scanning the selected ship, or stop the scan already running on it
     performScan() {
-        if (!this.selectedShip || this.scanning) return;
-
-        this.scanning = true;
-        this.scanRadius = 0;
-        audio.playScan();
-
-        const scanInterval = setInterval(() => {
-            this.scanRadius += 50;
-            if (this.scanRadius > 500) {
-                clearInterval(scanInterval);
-                this.scanning = false;
-                this.scanRadius = 0;
-                
-                // Mark ship as scanned
-                this.selectedShip.scanned = true;
-                this.updateScanInfo();
-                this.updateContactList();
-                
-                gameState.addCommsMessage('SENSORS', 
-                    `Scan complete: ${this.selectedShip.name}`, 'info');
-            }
-        }, 50);
+        if (!this.selectedShip) return;
+
+        if (gameState.scan && gameState.scan.shipId === this.selectedShip.id) {
+            network.dispatch('cancelScan');
+            audio.playClick();
+        } else if (network.dispatch('startScan', this.selectedShip.id)) {
+            audio.playScan();
+        } else {
+            audio.playError();
+        }
     }
 
     updateContactList() {
         const list = document.getElementById('contact-list');
         if (!list) return;
 
-        const ships = gameState.ships.slice().sort((a, b) => {
-            const distA = Math.hypot(a.x - gameState.playerShip.x, a.y - gameState.playerShip.y);
-            const distB = Math.hypot(b.x - gameState.playerShip.x, b.y - gameState.playerShip.y);
-            return distA - distB;
-        });
+        // Only what sensors can see, at the range sensors report
+        const player = gameState.playerShip;
+        const contactDistance = (ship) => {
+            const contact = gameState.contacts[ship.id];
+            return Math.hypot(contact.x - player.x, contact.y - player.y);
+        };
+        const ships = gameState.ships
+            .filter(ship => gameState.isTracked(ship))
+            .sort((a, b) => contactDistance(a) - contactDistance(b));
 
         list.innerHTML = ships.map(ship => {
-            const dist = Math.hypot(
-                ship.x - gameState.playerShip.x,
-                ship.y - gameState.playerShip.y
-            );
+            const dist = contactDistance(ship);
             const isTarget = ship.id === gameState.currentTarget;
-            const factionClass = `faction-${ship.faction}`;
-            
+
+            if (gameState.getContactStatus(ship) === 'faint') {
+                return `
+                    <div class="contact-item contact-faint ${isTarget ? 'selected' : ''}"
+                         data-ship-id="${ship.id}">
+                        <span class="contact-icon">?</span>
+                        <span class="contact-name">Faint contact</span>
+                        <span class="contact-dist">~${Math.round(dist / 100) * 100} km</span>
+                    </div>
+                `;
+            }
+
+            const factionClass = `faction-${gameState.getDisposition(ship)}`;
             return `
                 <div class="contact-item ${isTarget ? 'selected' : ''} ${factionClass}" 
                      data-ship-id="${ship.id}">
@@ -208,7 +262,7 @@ class TacticalStation {
             item.addEventListener('click', () => {
                 const shipId = item.dataset.shipId;
                 this.selectedShip = gameState.getShip(shipId);
-                gameState.setTarget(shipId);
+                network.dispatch('setTarget', shipId);
                 this.updateScanInfo();
                 audio.playClick();
             });
@@ -220,66 +274,138 @@ class TacticalStation {
         const btn = document.getElementById('scan-btn');
         if (!info || !btn) return;
 
-        if (!this.selectedShip) {
+        // Look the ship up again - remote stations get fresh ship objects with every update
+        const ship = this.selectedShip && gameState.getShip(this.selectedShip.id);
+        this.updateScanProgress(ship);
+
+        if (!ship) {
             info.innerHTML = '<p class="dim">No target selected</p>';
             btn.disabled = true;
             return;
         }
 
-        btn.disabled = this.selectedShip.scanned;
-        const ship = this.selectedShip;
-        const dist = Math.hypot(
-            ship.x - gameState.playerShip.x,
-            ship.y - gameState.playerShip.y
-        );
+        const status = gameState.getContactStatus(ship);
+        const scanningThis = gameState.scan && gameState.scan.shipId === ship.id;
+        btn.disabled = !scanningThis && (ship.scanLevel >= SCAN_LEVELS.length || status !== 'detected');
+        btn.innerHTML = scanningThis
+            ? '<span class="btn-icon">■</span> CANCEL SCAN'
+            : '<span class="btn-icon">◎</span> SCAN';
 
-        if (ship.scanned) {
+        if (status !== 'detected') {
+            // Faint blips can be locked but not identified; lost contacts not even that
             info.innerHTML = `
                 <div class="scan-detail">
                     <div class="scan-row">
-                        <span>Name:</span>
-                        <span>${ship.name}</span>
-                    </div>
-                    <div class="scan-row">
-                        <span>Type:</span>
-                        <span>${ship.type}</span>
-                    </div>
-                    <div class="scan-row">
-                        <span>Faction:</span>
-                        <span class="faction-${ship.faction}">${ship.faction.toUpperCase()}</span>
-                    </div>
-                    <div class="scan-row">
-                        <span>Distance:</span>
-                        <span>${Math.round(dist)} km</span>
-                    </div>
-                    <div class="scan-row">
-                        <span>Hull:</span>
-                        <span>${Math.round(ship.hull)}%</span>
-                    </div>
-                    <div class="scan-row">
-                        <span>Shields:</span>
-                        <span>${Math.round(ship.shieldStrength)}%</span>
+                        <span>Contact:</span>
+                        <span class="dim">${status === 'faint' ? 'FAINT - CLOSE TO SCAN' : 'SENSOR CONTACT LOST'}</span>
                     </div>
                 </div>
             `;
-        } else {
-            info.innerHTML = `
-                <div class="scan-detail">
-                    <div class="scan-row">
-                        <span>Name:</span>
-                        <span class="dim">UNKNOWN</span>
-                    </div>
-                    <div class="scan-row">
-                        <span>Distance:</span>
-                        <span>${Math.round(dist)} km</span>
-                    </div>
+            return;
+        }
+
+        const dist = Math.hypot(
+            ship.x - gameState.playerShip.x,
+            ship.y - gameState.playerShip.y
+        );
+        const disposition = gameState.getDisposition(ship);
+        const row = (label, value) => `
                     <div class="scan-row">
-                        <span>Faction:</span>
-                        <span class="faction-${ship.faction}">${ship.faction.toUpperCase()}</span>
-                    </div>
+                        <span>${label}:</span>
+                        <span>${value}</span>
+                    </div>`;
+
+        // Each scan tier adds rows to what the one before showed
+        let rows;
+        if (ship.scanLevel >= 1) {
+            rows = row('Name', ship.name) +
+                row('Class', getShipClass(ship.type).name) +
+                row('Faction', `<span class="faction-${disposition}">${gameState.getFactionName(ship.faction).toUpperCase()}</span>`) +
+                row('Distance', `${Math.round(dist)} km`);
+        } else {
+            rows = row('Name', '<span class="dim">UNKNOWN</span>') +
+                row('Distance', `${Math.round(dist)} km`) +
+                row('Faction', `<span class="faction-${disposition}">${disposition.toUpperCase()}</span>`);
+        }
+
+        if (ship.scanLevel >= 2) {
+            rows += row('Hull', `${Math.round(ship.hull / ship.maxHull * 100)}%`) +
+                row('Shields', SHIELD_FACINGS.map(facing =>
+                    `${facing.charAt(0).toUpperCase()} ${Math.round(ship.shields[facing] / ship.maxShieldStrength * 100)}`
+                ).join(' / ') + '%');
+        }
+
+        if (ship.scanLevel >= 3) {
+            rows += '<div class="scan-section">SUBSYSTEMS</div>' + Object.entries(ship.subsystems).map(([name, system]) =>
+                row(name.charAt(0).toUpperCase() + name.slice(1), `${Math.round(system.hp / system.maxHp * 100)}% / ${Math.round(system.power)}% pwr`)
+            ).join('') +
+                row('Cargo', this.describeManifest(ship));
+        }
+
+        if (ship.scanLevel >= 4) {
+            rows += '<div class="scan-section">TACTICAL</div>' + row('Phasers', ship.subsystems.weapons.hp > 0 ? 'ARMED' : 'OFFLINE') +
+                row('Ordnance', this.describeOrdnance(ship)) +
+                row('Intent', this.describeIntent(ship));
+        }
+
+        // The AI's last decision, whatever the scan has found out
+        if (this.showAIDebug && ship.brain) {
+            const label = (name) => ai.getBehavior(name) ? ai.getBehavior(name).label : name;
+            rows += '<div class="scan-section">AI DEBUG</div>' +
+                row('Profile', ai.getProfile(ship.brain.profile).name) +
+                row('Behavior', ship.brain.behavior ? label(ship.brain.behavior) : 'NONE') +
+                Object.entries(ship.brain.scores)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([name, score]) => row(label(name), score.toFixed(2)))
+                    .join('');
+        }
+
+        info.innerHTML = `
+                <div class="scan-detail">${rows}
                 </div>
             `;
-        }
+    }
+
+    // Progress bar for the scan in progress on the selected ship
+    updateScanProgress(ship) {
+        const progress = document.getElementById('scan-progress');
+        if (!progress) return;
+
+        const scan = gameState.scan;
+        progress.hidden = !ship || !scan || scan.shipId !== ship.id;
+        if (progress.hidden) return;
+
+        const pct = Math.round(scan.progress * 100);
+        document.getElementById('scan-tier').textContent =
+            `${SCAN_TIER_LABELS[SCAN_LEVELS[ship.scanLevel]]} (${ship.scanLevel + 1}/${SCAN_LEVELS.length})`;
+        document.getElementById('scan-pct').textContent = `${pct}%`;
+        document.getElementById('scan-fill').style.width = `${pct}%`;
+    }
+
+    // Rounds aboard by type, e.g. "Photon 6, Mine 2"
+    describeOrdnance(ship) {
+        const carried = ORDNANCE_TYPES
+            .map(type => [type, gameState.getOrdnanceCount(ship, type)])
+            .filter(([, count]) => count > 0);
+        if (carried.length === 0) return 'NONE';
+        return carried.map(([type, count]) => `${ORDNANCE[type].name} ${count}`).join(', ');
+    }
+
+    // The hold as scans see it - contraband is hidden from sensors, and only an inspection finds it
+    describeManifest(ship) {
+        const manifest = Object.fromEntries(Object.entries(ship.cargo).filter(([good]) => !GOODS[good].contraband));
+        const route = ship.trade && gameState.bodies.find(body => body.id === ship.trade.to);
+        return describeCargo(manifest) + (route && ship.trade.leg === 'delivery' ? ` for ${route.name}` : '');
+    }
+
+    describeIntent(ship) {
+        const target = gameState.getShip(ship.target);
+        const targetName = !target ? 'unknown'
+            : target === gameState.playerShip ? 'us'
+            : target.scanned ? target.name : 'unknown contact';
+        // Between passes of an attack run
+        const state = ship.aiState === 'attack' && ship.combat.phase === 'breakoff' ? 'breakoff' : ship.aiState;
+        return (INTENT_LABELS[state] || state).replace('{target}', targetName);
     }
 
     updateRangeDisplay() {
@@ -289,6 +415,13 @@ class TacticalStation {
         }
     }
 
+    updateDetectionRange() {
+        const display = document.getElementById('detection-range');
+        if (display) {
+            display.textContent = `${Math.round(sensors.getNominalRange())} km`;
+        }
+    }
+
     updateAlertButtons() {
         this.container.querySelectorAll('[data-alert]').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.alert === gameState.alertLevel);
@@ -302,6 +435,14 @@ class TacticalStation {
             this.radarAngle -= Math.PI * 2;
         }
 
+        // Scan ring reaches out to the target as the current tier completes
+        let scanRadius = 0;
+        const scanTarget = gameState.scan && gameState.getShip(gameState.scan.shipId);
+        if (scanTarget) {
+            const dist = Math.hypot(scanTarget.x - gameState.playerShip.x, scanTarget.y - gameState.playerShip.y);
+            scanRadius = dist * gameState.scan.progress;
+        }
+
         // Render the tactical view
         renderer.renderMap({
             centerX: gameState.playerShip.x,
@@ -311,9 +452,13 @@ class TacticalStation {
             showHUD: true,
             showRadar: true,
             radarAngle: this.radarAngle,
-            scanRadius: this.scanRadius
+            scanRadius,
+            sensorRange: sensors.getNominalRange(),
+            showAIDebug: this.showAIDebug
         });
 
+        this.updateDetectionRange();
+
         // Update scan info periodically
         if (this.selectedShip) {
             this.updateScanInfo();
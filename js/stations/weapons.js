@@ -1,21 +1,22 @@
 /**
  * Weapons Station
- * Target lock, phaser and torpedo controls
+ * Target lock, firing arcs, phaser and torpedo controls
  */
 
-import { gameState } from '../core/state.js';
+import { gameState, TORPEDO_MODES, ORDNANCE, ORDNANCE_TYPES, WEAPON_RANGES, PHASER_SHOT_COST } from '../core/state.js';
 import { renderer } from '../core/renderer.js';
 import { audio } from '../core/audio.js';
+import { network } from '../core/network.js';
+
+// What each torpedo guidance mode is called on the mode buttons
+const TORPEDO_MODE_LABELS = { dumbfire: 'DUMBFIRE', homing: 'HOMING', proximity: 'PROXIMITY' };
 
 class WeaponsStation {
     constructor() {
         this.container = null;
         this.canvas = null;
         this.scale = 1.5;
-        this.phaserCharge = 100;
-        this.torpedoCount = 10;
-        this.phaserCooldown = 0;
-        this.torpedoCooldown = 0;
+        this.selectedOrdnance = 'photon'; // What empty tubes load when clicked
     }
 
     init(container) {
@@ -25,6 +26,8 @@ class WeaponsStation {
     }
 
     render() {
+        const ship = gameState.playerShip;
+
         this.container.innerHTML = `
             <div class="station-layout weapons-layout">
                 <div class="weapons-main">
@@ -45,6 +48,18 @@ class WeaponsStation {
                             <option value="">-- Select Target --</option>
                         </select>
                     </div>
+                    <div class="panel">
+                        <h3>FIRING ARCS</h3>
+                        <div class="hardpoint-list">
+                            ${ship.hardpoints.length === 0 ? '<p class="dim">Weapons fire in any direction</p>' : ''}
+                            ${ship.hardpoints.map(hardpoint => `
+                                <div class="stat-row" data-hardpoint="${hardpoint.id}">
+                                    <span>${hardpoint.name}</span>
+                                    <span class="hardpoint-status"></span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
                     <div class="panel">
                         <h3>PHASERS</h3>
                         <div class="weapon-status">
@@ -59,15 +74,29 @@ class WeaponsStation {
                     </div>
                     <div class="panel">
                         <h3>TORPEDOES</h3>
-                        <div class="torpedo-count">
-                            <span id="torpedo-count">10</span> / 10
+                        <div class="ordnance-list">
+                            ${ORDNANCE_TYPES.map(type => `
+                                <button class="btn btn-small ordnance-btn" data-ordnance="${type}">
+                                    <span>${ORDNANCE[type].name.toUpperCase()}</span>
+                                    <span data-ordnance-count="${type}"></span>
+                                </button>
+                            `).join('')}
+                        </div>
+                        <div class="torpedo-modes">
+                            ${TORPEDO_MODES.map(mode => `
+                                <button class="btn btn-small" data-torpedo-mode="${mode}">${TORPEDO_MODE_LABELS[mode]}</button>
+                            `).join('')}
                         </div>
                         <div class="torpedo-tubes">
-                            <div class="torpedo-tube" data-tube="1">●</div>
-                            <div class="torpedo-tube" data-tube="2">●</div>
-                            <div class="torpedo-tube" data-tube="3">●</div>
-                            <div class="torpedo-tube" data-tube="4">●</div>
-                            <div class="torpedo-tube" data-tube="5">●</div>
+                            ${ship.tubes.map((tube, i) => `
+                                <button class="torpedo-tube" data-tube="${i}" title="Click to load or unload">
+                                    <span class="tube-number">${i + 1}</span>
+                                    <span class="tube-contents"></span>
+                                    <div class="progress-bar small">
+                                        <div class="progress-fill tube-fill"></div>
+                                    </div>
+                                </button>
+                            `).join('')}
                         </div>
                         <button id="fire-torpedo" class="btn btn-warning btn-large">
                             <span class="btn-icon">◉</span> FIRE TORPEDO
@@ -94,6 +123,8 @@ class WeaponsStation {
         renderer.init(this.canvas);
         this.updateTargetSelect();
         this.updateTargetInfo();
+        this.updateTorpedoDisplay();
+        this.updateTorpedoMode();
     }
 
     setupEventListeners() {
@@ -107,13 +138,46 @@ class WeaponsStation {
             this.fireTorpedo();
         });
 
+        // Torpedo guidance for the next launch
+        document.querySelectorAll('[data-torpedo-mode]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                network.dispatch('setTorpedoMode', btn.dataset.torpedoMode);
+                audio.playClick();
+            });
+        });
+
+        // Ordnance to load, then click an empty tube to load it or a full one to unload it
+        document.querySelectorAll('[data-ordnance]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.selectedOrdnance = btn.dataset.ordnance;
+                this.updateTorpedoDisplay();
+                audio.playClick();
+            });
+        });
+
+        document.querySelectorAll('[data-tube]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const index = parseInt(btn.dataset.tube);
+                const loaded = gameState.playerShip.tubes[index].ordnance;
+                const done = loaded
+                    ? network.dispatch('unloadTube', index)
+                    : network.dispatch('loadTube', index, this.selectedOrdnance);
+                if (done) {
+                    audio.playClick();
+                } else {
+                    audio.playError();
+                }
+                this.updateTorpedoDisplay();
+            });
+        });
+
         // Target select
         document.getElementById('target-select').addEventListener('change', (e) => {
             if (e.target.value) {
-                gameState.setTarget(e.target.value);
+                network.dispatch('setTarget', e.target.value);
                 audio.playTargetLock();
             } else {
-                gameState.setTarget(null);
+                network.dispatch('setTarget', null);
             }
             this.updateTargetInfo();
         });
@@ -133,6 +197,9 @@ class WeaponsStation {
             this.updateTargetSelect();
             this.updateTargetInfo();
         });
+
+        gameState.on('contactsChanged', () => this.updateTargetSelect());
+        gameState.on('torpedoModeChanged', () => this.updateTorpedoMode());
     }
 
     handleCanvasClick(e) {
@@ -147,12 +214,13 @@ class WeaponsStation {
             this.scale
         );
 
-        // Find closest ship to click
+        // Find closest sensor contact to click
         let closestShip = null;
         let closestDist = 40 * this.scale;
 
-        gameState.ships.forEach(ship => {
-            const dist = Math.hypot(ship.x - worldPos.x, ship.y - worldPos.y);
+        gameState.ships.filter(ship => gameState.isTracked(ship)).forEach(ship => {
+            const contact = gameState.contacts[ship.id];
+            const dist = Math.hypot(contact.x - worldPos.x, contact.y - worldPos.y);
             if (dist < closestDist) {
                 closestDist = dist;
                 closestShip = ship;
@@ -160,13 +228,15 @@ class WeaponsStation {
         });
 
         if (closestShip) {
-            gameState.setTarget(closestShip.id);
+            network.dispatch('setTarget', closestShip.id);
             audio.playTargetLock();
         }
     }
 
+    // Charge and cooldowns are checked here for a quick answer, but the host checks and spends them
     firePhaser() {
-        if (this.phaserCooldown > 0 || this.phaserCharge < 20) {
+        const control = gameState.fireControl;
+        if (control.phaserCooldown > 0 || control.phaserCharge < PHASER_SHOT_COST) {
             audio.playError();
             return;
         }
@@ -177,24 +247,27 @@ class WeaponsStation {
             return;
         }
 
-        if (gameState.fireWeapon('phaser', gameState.currentTarget)) {
+        // A remote station can't tell whether the host fired, so it only acknowledges the order
+        const result = network.dispatch('fireWeapon', 'phaser', gameState.currentTarget);
+        if (result === true) {
             audio.playPhaser();
-            this.phaserCharge -= 20;
-            this.phaserCooldown = 30; // 0.5 second cooldown
+        } else if (result === 'sent') {
+            audio.playClick();
         }
     }
 
     fireTorpedo() {
-        if (this.torpedoCooldown > 0 || this.torpedoCount <= 0) {
+        if (gameState.fireControl.torpedoCooldown > 0 || !gameState.playerShip.tubes.some(tube => tube.ordnance && tube.loading <= 0)) {
             audio.playError();
             return;
         }
 
-        if (gameState.fireWeapon('torpedo', gameState.currentTarget)) {
+        const result = network.dispatch('fireWeapon', 'torpedo', gameState.currentTarget);
+        if (result === true) {
             audio.playTorpedo();
-            this.torpedoCount--;
-            this.torpedoCooldown = 60; // 1 second cooldown
             this.updateTorpedoDisplay();
+        } else if (result === 'sent') {
+            audio.playClick();
         }
     }
 
@@ -205,12 +278,14 @@ class WeaponsStation {
         const currentValue = select.value;
         
         select.innerHTML = '<option value="">-- Select Target --</option>' +
-            gameState.ships.map(ship => {
+            gameState.ships.filter(ship => gameState.isTracked(ship)).map(ship => {
+                const contact = gameState.contacts[ship.id];
                 const dist = Math.hypot(
-                    ship.x - gameState.playerShip.x,
-                    ship.y - gameState.playerShip.y
+                    contact.x - gameState.playerShip.x,
+                    contact.y - gameState.playerShip.y
                 );
-                const name = ship.scanned ? ship.name : 'Unknown Contact';
+                const name = contact.status === 'faint' ? 'Faint Contact'
+                    : ship.scanned ? ship.name : 'Unknown Contact';
                 const selected = ship.id === gameState.currentTarget ? 'selected' : '';
                 return `<option value="${ship.id}" ${selected}>${name} (${Math.round(dist)} km)</option>`;
             }).join('');
@@ -232,12 +307,12 @@ class WeaponsStation {
             target.y - gameState.playerShip.y
         );
 
-        const inPhaserRange = dist <= 500;
-        const inTorpedoRange = dist <= 1500;
+        const inPhaserRange = dist <= WEAPON_RANGES.phaser;
+        const inTorpedoRange = dist <= WEAPON_RANGES.torpedo;
 
         info.innerHTML = `
             <div class="target-detail">
-                <div class="target-name faction-${target.faction}">
+                <div class="target-name faction-${gameState.getDisposition(target)}">
                     ${target.scanned ? target.name : 'UNKNOWN'}
                 </div>
                 <div class="target-stats">
@@ -266,6 +341,39 @@ class WeaponsStation {
         `;
     }
 
+    // Mounts whose arcs cover the locked target
+    getBearingHardpoints() {
+        const target = gameState.getShip(gameState.currentTarget);
+        if (!target) return [];
+        const ship = gameState.playerShip;
+        return ship.hardpoints.filter(h => gameState.isInArc(ship, h, target)).map(h => h.id);
+    }
+
+    // Which banks and launchers bear on the target, and whether it's in their range
+    updateHardpoints(bearing) {
+        const ship = gameState.playerShip;
+        const target = gameState.getShip(gameState.currentTarget);
+        const dist = target ? Math.hypot(target.x - ship.x, target.y - ship.y) : 0;
+
+        this.container.querySelectorAll('[data-hardpoint]').forEach(row => {
+            const hardpoint = ship.hardpoints.find(h => h.id === row.dataset.hardpoint);
+            const status = row.querySelector('.hardpoint-status');
+            if (!hardpoint || !target) {
+                status.textContent = '--';
+                status.className = 'hardpoint-status dim';
+            } else if (!bearing.includes(hardpoint.id)) {
+                status.textContent = 'NO BEARING';
+                status.className = 'hardpoint-status dim';
+            } else if (dist > WEAPON_RANGES[hardpoint.weapon]) {
+                status.textContent = 'OUT OF RANGE';
+                status.className = 'hardpoint-status text-yellow';
+            } else {
+                status.textContent = 'BEARS';
+                status.className = 'hardpoint-status text-green';
+            }
+        });
+    }
+
     getBearing(target) {
         const dx = target.x - gameState.playerShip.x;
         const dy = target.y - gameState.playerShip.y;
@@ -274,52 +382,63 @@ class WeaponsStation {
         return Math.round(angle);
     }
 
+    // Rounds aboard of each type, and what each tube holds and how far it has loaded
     updateTorpedoDisplay() {
-        const countEl = document.getElementById('torpedo-count');
-        if (countEl) {
-            countEl.textContent = this.torpedoCount;
-        }
+        const ship = gameState.playerShip;
+
+        document.querySelectorAll('[data-ordnance]').forEach(btn => {
+            const type = btn.dataset.ordnance;
+            btn.classList.toggle('active', type === this.selectedOrdnance);
+            btn.classList.toggle('empty', ship.magazine[type] <= 0);
+            btn.querySelector('[data-ordnance-count]').textContent =
+                `${gameState.getOrdnanceCount(ship, type)} / ${ship.maxMagazine[type]}`;
+        });
 
-        const tubes = document.querySelectorAll('.torpedo-tube');
-        tubes.forEach((tube, i) => {
-            if (i < this.torpedoCount) {
-                tube.classList.add('loaded');
-                tube.classList.remove('empty');
-            } else {
-                tube.classList.remove('loaded');
-                tube.classList.add('empty');
-            }
+        document.querySelectorAll('[data-tube]').forEach(btn => {
+            const tube = ship.tubes[parseInt(btn.dataset.tube)];
+            if (!tube) return;
+            const loadTicks = tube.ordnance ? ORDNANCE[tube.ordnance].loadTicks : 1;
+            btn.classList.toggle('loaded', !!tube.ordnance && tube.loading <= 0);
+            btn.classList.toggle('loading', tube.loading > 0);
+            btn.classList.toggle('empty', !tube.ordnance);
+            btn.querySelector('.tube-contents').textContent = tube.ordnance ? ORDNANCE[tube.ordnance].name.toUpperCase() : 'EMPTY';
+            btn.querySelector('.tube-fill').style.width = tube.ordnance ? `${(1 - tube.loading / loadTicks) * 100}%` : '0%';
+        });
+    }
+
+    updateTorpedoMode() {
+        this.container.querySelectorAll('[data-torpedo-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.torpedoMode === gameState.torpedoMode);
         });
     }
 
     update(timestamp) {
-        // Recharge phasers
         const weaponSys = gameState.playerShip.subsystems.weapons;
-        const rechargeRate = (weaponSys.hp / 100) * (weaponSys.power / 100) * 0.5;
-        this.phaserCharge = Math.min(100, this.phaserCharge + rechargeRate);
-
-        // Reduce cooldowns
-        if (this.phaserCooldown > 0) this.phaserCooldown--;
-        if (this.torpedoCooldown > 0) this.torpedoCooldown--;
+        const { phaserCharge } = gameState.fireControl;
+        this.updateTorpedoDisplay();
 
-        // Update UI
+        // Update UI (the simulation recharges phasers and counts cooldowns down)
         const chargeEl = document.getElementById('phaser-charge');
         const pctEl = document.getElementById('phaser-pct');
-        if (chargeEl) chargeEl.style.width = `${this.phaserCharge}%`;
-        if (pctEl) pctEl.textContent = `${Math.round(this.phaserCharge)}%`;
+        if (chargeEl) chargeEl.style.width = `${phaserCharge}%`;
+        if (pctEl) pctEl.textContent = `${Math.round(phaserCharge)}%`;
 
         const healthEl = document.getElementById('weapon-health');
         const powerEl = document.getElementById('weapon-power');
-        if (healthEl) healthEl.textContent = `${Math.round(weaponSys.hp)}%`;
+        if (healthEl) healthEl.textContent = `${Math.round(weaponSys.hp / weaponSys.maxHp * 100)}%`;
         if (powerEl) powerEl.textContent = `${Math.round(weaponSys.power)}%`;
 
-        // Render view
+        // Render view, with the firing arcs that cover the target lit up
+        const bearing = this.getBearingHardpoints();
+        this.updateHardpoints(bearing);
         renderer.renderMap({
             centerX: gameState.playerShip.x,
             centerY: gameState.playerShip.y,
             scale: this.scale,
             showGrid: false,
-            showHUD: true
+            showHUD: true,
+            showFiringArcs: true,
+            bearingHardpoints: bearing
         });
 
         // Update target info periodically
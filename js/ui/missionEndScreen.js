@@ -0,0 +1,105 @@
+/**
+ * Mission End Screen
+ * Victory / defeat debrief with restart
+ */
+
+import { gameState } from '../core/state.js';
+import { audio } from '../core/audio.js';
+
+class MissionEndScreen {
+    constructor() {
+        this.container = null;
+        this.actions = {}; // { onRestart, onReplay } from main.js; onRestart is omitted for remote stations
+    }
+
+    init(container, actions) {
+        this.container = container;
+        this.actions = actions;
+
+        gameState.on('missionEnded', ({ result }) => {
+            this.show();
+            if (result === 'victory') {
+                audio.playVictory();
+            } else {
+                audio.playDefeat();
+            }
+        });
+        gameState.on('missionStarted', () => this.hide());
+        gameState.on('stateRestored', () => {
+            if (gameState.missionStatus === 'active') {
+                this.hide();
+            } else {
+                this.show();
+            }
+        });
+    }
+
+    show() {
+        this.render();
+        this.container.hidden = false;
+        this.setupEventListeners();
+    }
+
+    hide() {
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+    }
+
+    render() {
+        const victory = gameState.missionStatus === 'victory';
+        const scenarioName = gameState.scenario ? gameState.scenario.name : 'Mission';
+
+        this.container.innerHTML = `
+            <div class="modal mission-end panel ${victory ? 'victory' : 'defeat'}" role="dialog" aria-modal="true" aria-labelledby="mission-end-title">
+                <h2 id="mission-end-title" class="mission-end-title">${victory ? 'MISSION ACCOMPLISHED' : 'MISSION FAILED'}</h2>
+                <p class="mission-end-reason">${gameState.missionEndReason || ''}</p>
+                <div class="mission-end-stats">
+                    <span>${scenarioName}</span>
+                    <span>MISSION TIME ${this.formatTime(gameState.gameTime)}</span>
+                    <span>SEED ${gameState.seed}</span>
+                </div>
+                ${gameState.objectives.length ? `
+                    <ul class="objectives-list">
+                        ${gameState.objectives.map(o => `
+                            <li class="objective ${o.status}">
+                                <span class="objective-icon">${o.status === 'complete' ? '✓' : o.status === 'failed' ? '✕' : '○'}</span>
+                                <span class="objective-text">${o.description}${o.optional ? ' <span class="dim">(optional)</span>' : ''}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <div class="mission-end-actions">
+                    ${this.actions.onRestart
+                        ? '<button id="mission-restart" class="btn btn-primary">RESTART MISSION</button>'
+                        : '<p class="dim">Waiting for the host to restart the mission...</p>'}
+                    <button id="mission-replay" class="btn btn-secondary">VIEW REPLAY</button>
+                </div>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        const restart = document.getElementById('mission-restart');
+        if (restart) {
+            restart.addEventListener('click', () => {
+                restart.disabled = true;
+                audio.playClick();
+                this.actions.onRestart();
+            });
+        }
+
+        document.getElementById('mission-replay').addEventListener('click', () => {
+            audio.playClick();
+            this.actions.onReplay();
+        });
+    }
+
+    formatTime(gameTime) {
+        const totalSeconds = Math.floor(gameTime / 20); // 20 ticks per second
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+}
+
+export const missionEndScreen = new MissionEndScreen();
@@ -0,0 +1,64 @@
+/**
+ * Objectives Panel
+ * Compact mission checklist shown over every station
+ */
+
+import { gameState } from '../core/state.js';
+import { audio } from '../core/audio.js';
+
+const STATUS_ICONS = { active: '○', complete: '✓', failed: '✕' };
+
+class ObjectivesPanel {
+    constructor() {
+        this.container = null;
+        this.collapsed = false;
+    }
+
+    init(container) {
+        this.container = container;
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('.objectives-toggle')) {
+                this.collapsed = !this.collapsed;
+                this.render();
+                audio.playClick();
+            }
+        });
+
+        gameState.on('objectivesChanged', () => this.render());
+        gameState.on('missionStarted', () => this.render());
+        gameState.on('stateRestored', () => this.render());
+        this.render();
+    }
+
+    render() {
+        const list = gameState.objectives;
+        this.container.hidden = list.length === 0;
+        if (list.length === 0) return;
+
+        const done = list.filter(o => !o.optional && o.status === 'complete').length;
+        const required = list.filter(o => !o.optional).length;
+
+        this.container.innerHTML = `
+            <button class="objectives-toggle" aria-expanded="${!this.collapsed}">
+                <span>OBJECTIVES</span>
+                <span class="objectives-count">${done}/${required} ${this.collapsed ? '▸' : '▾'}</span>
+            </button>
+            ${this.collapsed ? '' : `
+                <ul class="objectives-list">
+                    ${list.map(o => `
+                        <li class="objective ${o.status}">
+                            <span class="objective-icon">${STATUS_ICONS[o.status]}</span>
+                            <span class="objective-text">
+                                ${o.description}${o.optional ? ' <span class="dim">(optional)</span>' : ''}
+                                ${o.progress && o.status === 'active' ? `<span class="objective-progress">${o.progress}</span>` : ''}
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        `;
+    }
+}
+
+export const objectivesPanel = new ObjectivesPanel();
@@ -0,0 +1,297 @@
+/**
+ * Replay Viewer
+ * Plays back mission recordings on the map for debriefing
+ */
+
+import { gameState } from '../core/state.js';
+import { recorder } from '../core/recorder.js';
+import { renderer } from '../core/renderer.js';
+import { audio } from '../core/audio.js';
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+// Recordings can come from anywhere, so their text never goes in as markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+class ReplayViewer {
+    constructor() {
+        this.container = null;
+        this.canvas = null;
+        this.onClose = null; // Lets main.js hand the renderer back to the station
+        this.wasPaused = false;
+        this.recording = null;
+        this.playhead = 0; // Frame index (fractional while playing)
+        this.playing = false;
+        this.speed = 1;
+        this.scale = 2;
+        this.lastTimestamp = null;
+        this.shownFrame = -1;
+    }
+
+    init(container, onClose) {
+        this.container = container;
+        this.onClose = onClose;
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target === this.container) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen()) return;
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === ' ' && e.target.tagName !== 'BUTTON') {
+                e.preventDefault();
+                this.togglePlay();
+            }
+        });
+    }
+
+    isOpen() {
+        return this.container && !this.container.hidden;
+    }
+
+    open() {
+        // The live game waits while the crew watches the tape
+        this.wasPaused = gameState.isPaused;
+        gameState.isPaused = true;
+
+        this.lastTimestamp = null;
+        this.render();
+        this.container.hidden = false;
+        this.canvas = document.getElementById('replay-canvas');
+        renderer.init(this.canvas);
+        this.setupEventListeners();
+        this.load(recorder.hasFrames() ? recorder.recording : null);
+    }
+
+    close() {
+        this.playing = false;
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+        gameState.isPaused = this.wasPaused;
+        if (this.onClose) this.onClose();
+    }
+
+    // Show a recording from the start
+    load(recording) {
+        this.recording = recording;
+        this.playhead = 0;
+        this.playing = false;
+        this.shownFrame = -1;
+
+        const scrub = document.getElementById('replay-scrub');
+        scrub.max = recording ? recording.frames.length - 1 : 0;
+        scrub.disabled = !recording;
+        document.getElementById('replay-play').disabled = !recording;
+
+        document.getElementById('replay-title').textContent = recording
+            ? `${recording.scenario.toUpperCase()} · SEED ${recording.seed}`
+            : 'NO RECORDING';
+        this.updatePlayButton();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="modal replay-modal panel" role="dialog" aria-modal="true" aria-labelledby="replay-dialog-title">
+                <h3 id="replay-dialog-title">MISSION REPLAY <span id="replay-title" class="dim"></span></h3>
+                <div class="replay-layout">
+                    <div class="canvas-container replay-canvas-container">
+                        <canvas id="replay-canvas"></canvas>
+                    </div>
+                    <div class="replay-comms">
+                        <h4>COMMS</h4>
+                        <div id="replay-comms-log" class="replay-comms-log"></div>
+                    </div>
+                </div>
+                <div class="replay-transport">
+                    <button id="replay-play" class="btn btn-primary btn-small" title="Play / Pause (Space)">▶</button>
+                    <input type="range" id="replay-scrub" class="replay-scrub" min="0" max="0" value="0" step="1" aria-label="Replay position">
+                    <span id="replay-time" class="replay-time">00:00 / 00:00</span>
+                    <select id="replay-speed" class="replay-speed" aria-label="Playback speed">
+                        ${SPEEDS.map(s => `<option value="${s}" ${s === this.speed ? 'selected' : ''}>${s}×</option>`).join('')}
+                    </select>
+                    <button id="replay-zoom-in" class="btn btn-small" title="Zoom in">+</button>
+                    <button id="replay-zoom-out" class="btn btn-small" title="Zoom out">−</button>
+                </div>
+                <div class="save-file-controls">
+                    <button id="replay-current" class="btn btn-secondary">CURRENT MISSION</button>
+                    <button id="replay-export" class="btn btn-secondary">EXPORT RECORDING</button>
+                    <label class="btn btn-secondary file-btn">
+                        IMPORT RECORDING
+                        <input type="file" id="replay-import" accept=".json,application/json" hidden>
+                    </label>
+                </div>
+                <p id="replay-status" class="save-status dim"></p>
+                <button id="close-replay" class="btn btn-primary">RETURN TO BRIDGE</button>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        document.getElementById('replay-play').addEventListener('click', () => this.togglePlay());
+
+        document.getElementById('replay-scrub').addEventListener('input', (e) => {
+            this.playhead = Number(e.target.value);
+        });
+
+        document.getElementById('replay-speed').addEventListener('change', (e) => {
+            this.speed = Number(e.target.value);
+            audio.playClick();
+        });
+
+        document.getElementById('replay-zoom-in').addEventListener('click', () => {
+            this.scale = Math.max(0.5, this.scale - 0.5);
+            audio.playClick();
+        });
+
+        document.getElementById('replay-zoom-out').addEventListener('click', () => {
+            this.scale = Math.min(10, this.scale + 0.5);
+            audio.playClick();
+        });
+
+        document.getElementById('replay-current').addEventListener('click', () => {
+            if (recorder.hasFrames()) {
+                this.load(recorder.recording);
+                this.showStatus('Showing the current mission.', false);
+                audio.playBeep();
+            } else {
+                this.showStatus('Nothing recorded yet.', true);
+                audio.playError();
+            }
+        });
+
+        document.getElementById('replay-export').addEventListener('click', () => {
+            try {
+                recorder.exportToFile();
+                this.showStatus('Recording exported.', false);
+                audio.playBeep();
+            } catch (e) {
+                this.showStatus(e.message, true);
+                audio.playError();
+            }
+        });
+
+        document.getElementById('replay-import').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            recorder.importFromFile(file).then(recording => {
+                this.load(recording);
+                this.showStatus(`Loaded ${file.name}.`, false);
+                audio.playBeep();
+            }).catch(err => {
+                this.showStatus(err.message, true);
+                audio.playError();
+            });
+        });
+
+        document.getElementById('close-replay').addEventListener('click', () => {
+            this.close();
+            audio.playClick();
+        });
+    }
+
+    togglePlay() {
+        if (!this.recording) return;
+
+        // Playing from the end starts over
+        if (!this.playing && this.playhead >= this.recording.frames.length - 1) {
+            this.playhead = 0;
+        }
+        this.playing = !this.playing;
+        this.updatePlayButton();
+        audio.playClick();
+    }
+
+    updatePlayButton() {
+        const button = document.getElementById('replay-play');
+        if (button) {
+            button.textContent = this.playing ? '❚❚' : '▶';
+        }
+    }
+
+    // Called every animation frame while the viewer is open (instead of the station)
+    update(timestamp) {
+        const elapsed = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+        this.lastTimestamp = timestamp;
+
+        if (!this.recording) {
+            renderer.clear();
+            return;
+        }
+
+        const lastFrame = this.recording.frames.length - 1;
+        if (this.playing) {
+            // One recorded frame per 50ms tick at 1x
+            this.playhead = Math.min(lastFrame, this.playhead + (elapsed / 50) * this.speed);
+            if (this.playhead >= lastFrame) {
+                this.playing = false;
+                this.updatePlayButton();
+            }
+        }
+
+        const index = Math.floor(this.playhead);
+        const frame = this.recording.frames[index];
+        const world = recorder.frameToWorld(this.recording, frame);
+
+        renderer.renderMap({
+            world,
+            scale: this.scale,
+            showGrid: true,
+            showHUD: true,
+            showWaypointLine: true
+        });
+
+        if (index !== this.shownFrame) {
+            this.shownFrame = index;
+            this.updateTransport(frame, index);
+        }
+    }
+
+    updateTransport(frame, index) {
+        const frames = this.recording.frames;
+        const scrub = document.getElementById('replay-scrub');
+        if (scrub && Number(scrub.value) !== index) {
+            scrub.value = index;
+        }
+
+        const time = document.getElementById('replay-time');
+        if (time) {
+            const start = recorder.frameTick(frames[0]);
+            const end = recorder.frameTick(frames[frames.length - 1]);
+            time.textContent = `${this.formatTime(recorder.frameTick(frame) - start)} / ${this.formatTime(end - start)}`;
+        }
+
+        const log = document.getElementById('replay-comms-log');
+        if (log) {
+            log.innerHTML = recorder.commsUntil(this.recording, recorder.frameTick(frame)).slice(0, 12).map(msg => `
+                <div class="comms-message msg-${escapeHtml(msg.type)}">
+                    <div class="msg-header">
+                        <span class="msg-sender">${escapeHtml(msg.sender)}</span>
+                        <span class="msg-time">${this.formatTime(msg.t - recorder.frameTick(frames[0]))}</span>
+                    </div>
+                    <div class="msg-body">${escapeHtml(msg.message)}</div>
+                </div>
+            `).join('');
+        }
+    }
+
+    showStatus(message, isError) {
+        const status = document.getElementById('replay-status');
+        if (status) {
+            status.textContent = message;
+            status.className = `save-status ${isError ? 'text-red' : 'text-green'}`;
+        }
+    }
+
+    formatTime(ticks) {
+        const totalSeconds = Math.floor(ticks / 20); // 20 ticks per second
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+}
+
+export const replayViewer = new ReplayViewer();
@@ -0,0 +1,174 @@
+/**
+ * Save / Load Dialog
+ * Modal for save slots and snapshot file import/export
+ */
+
+import { gameState } from '../core/state.js';
+import { persistence } from '../core/persistence.js';
+import { audio } from '../core/audio.js';
+
+class SaveDialog {
+    constructor() {
+        this.container = null;
+        this.wasPaused = false;
+    }
+
+    init(container) {
+        this.container = container;
+
+        // Close on backdrop click or Escape
+        this.container.addEventListener('click', (e) => {
+            if (e.target === this.container) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.close();
+        });
+    }
+
+    isOpen() {
+        return this.container && !this.container.hidden;
+    }
+
+    open() {
+        // The world holds still while the crew is in the menu
+        this.wasPaused = gameState.isPaused;
+        gameState.isPaused = true;
+
+        this.render();
+        this.container.hidden = false;
+        this.setupEventListeners();
+    }
+
+    close() {
+        this.container.hidden = true;
+        gameState.isPaused = this.wasPaused;
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="modal panel" role="dialog" aria-modal="true" aria-labelledby="save-dialog-title">
+                <h3 id="save-dialog-title">SAVE / LOAD</h3>
+                <div class="save-slots">
+                    ${persistence.listSlots().map(({ slot, summary }) => this.renderSlot(slot, summary)).join('')}
+                </div>
+                <div class="save-file-controls">
+                    <button id="export-save" class="btn btn-secondary">EXPORT TO FILE</button>
+                    <label class="btn btn-secondary file-btn">
+                        IMPORT FROM FILE
+                        <input type="file" id="import-save" accept=".json,application/json" hidden>
+                    </label>
+                </div>
+                <p id="save-status" class="save-status dim"></p>
+                <button id="close-save-dialog" class="btn btn-primary">RESUME</button>
+            </div>
+        `;
+    }
+
+    renderSlot(slot, summary) {
+        let details;
+        if (!summary) {
+            details = '<span class="dim">Empty</span>';
+        } else if (summary.corrupt) {
+            details = '<span class="text-red">Unreadable save</span>';
+        } else {
+            const savedAt = new Date(summary.savedAt).toLocaleString();
+            details = `
+                <span>${summary.scenarioName} · ${this.formatTime(summary.gameTime)}</span>
+                <span class="dim">${savedAt}</span>
+            `;
+        }
+
+        return `
+            <div class="save-slot" data-slot="${slot}">
+                <span class="save-slot-label">SLOT ${slot}</span>
+                <div class="save-slot-details">${details}</div>
+                <div class="save-slot-actions">
+                    <button class="btn btn-small" data-save-slot="${slot}">SAVE</button>
+                    <button class="btn btn-small" data-load-slot="${slot}" ${summary && !summary.corrupt ? '' : 'disabled'}>LOAD</button>
+                    <button class="btn btn-small btn-danger" data-delete-slot="${slot}" ${summary ? '' : 'disabled'}>✕</button>
+                </div>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        this.container.querySelectorAll('[data-save-slot]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.attempt(() => persistence.saveToSlot(btn.dataset.saveSlot), `Saved to slot ${btn.dataset.saveSlot}.`);
+            });
+        });
+
+        this.container.querySelectorAll('[data-load-slot]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.attempt(() => persistence.loadFromSlot(btn.dataset.loadSlot))) {
+                    this.close();
+                }
+            });
+        });
+
+        this.container.querySelectorAll('[data-delete-slot]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.attempt(() => persistence.deleteSlot(btn.dataset.deleteSlot), `Slot ${btn.dataset.deleteSlot} cleared.`);
+            });
+        });
+
+        document.getElementById('export-save').addEventListener('click', () => {
+            this.attempt(() => persistence.exportToFile(), 'Save file exported.');
+        });
+
+        document.getElementById('import-save').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            persistence.importFromFile(file).then(() => {
+                audio.playBeep();
+                this.close();
+            }).catch(err => {
+                this.showStatus(err.message, true);
+                audio.playError();
+            });
+        });
+
+        document.getElementById('close-save-dialog').addEventListener('click', () => {
+            this.close();
+            audio.playClick();
+        });
+    }
+
+    // Run an action, refresh the slot list and report the outcome
+    attempt(action, successMessage) {
+        try {
+            action();
+        } catch (e) {
+            console.error(e);
+            this.showStatus(e.message, true);
+            audio.playError();
+            return false;
+        }
+
+        audio.playBeep();
+        if (successMessage) {
+            this.render();
+            this.setupEventListeners();
+            this.showStatus(successMessage, false);
+        }
+        return true;
+    }
+
+    showStatus(message, isError) {
+        const status = document.getElementById('save-status');
+        if (status) {
+            status.textContent = message;
+            status.className = `save-status ${isError ? 'text-red' : 'text-green'}`;
+        }
+    }
+
+    formatTime(gameTime) {
+        const totalSeconds = Math.floor(gameTime / 20); // 20 ticks per second
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+}
+
+export const saveDialog = new SaveDialog();
@@ -0,0 +1,263 @@
+/**
+ * Bridge Relay Server
+ * Serves the simulator and relays WebSocket traffic between the host and remote stations.
+ * Uses only Node built-ins - run with: node server/relay.mjs [port]
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Connected clients: id -> { socket, role, station }
+const clients = new Map();
+let hostId = null;
+let nextClientId = 1;
+
+// ===== STATIC FILES =====
+
+function serveStatic(req, res) {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    // Never serve outside the project directory
+    if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(data);
+    });
+}
+
+// ===== WEBSOCKET FRAMING =====
+
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    header[0] = 0x80 | opcode; // FIN + opcode
+    return Buffer.concat([header, payload]);
+}
+
+// Parse as many complete frames as the buffer holds
+function decodeFrames(client) {
+    const frames = [];
+
+    while (client.buffer.length >= 2) {
+        const buf = client.buffer;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buf.length < 4) break;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) break;
+            length = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buf.length < offset + length) break;
+
+        const payload = Buffer.from(buf.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buf[maskOffset + (i % 4)];
+            }
+        }
+
+        client.buffer = buf.subarray(offset + length);
+        frames.push({ fin, opcode, payload });
+    }
+
+    return frames;
+}
+
+function send(client, msg) {
+    if (!client.socket.destroyed) {
+        client.socket.write(encodeFrame(JSON.stringify(msg)));
+    }
+}
+
+// ===== RELAY LOGIC =====
+
+function handleMessage(client, msg) {
+    switch (msg.type) {
+        case 'join':
+            if (msg.role === 'host') {
+                if (hostId !== null && hostId !== client.id) {
+                    send(client, { type: 'error', message: 'A host is already running this bridge.' });
+                    return;
+                }
+                client.role = 'host';
+                hostId = client.id;
+                console.log(`Host connected (client ${client.id})`);
+
+                // Tell the host who is already aboard, and the stations that the host is up
+                clients.forEach(other => {
+                    if (other.role === 'station') {
+                        send(client, { type: 'stationJoined', clientId: other.id, station: other.station });
+                        send(other, { type: 'hostStatus', online: true });
+                    }
+                });
+            } else {
+                client.role = 'station';
+                client.station = String(msg.station || 'unknown');
+                console.log(`${client.station} station joined (client ${client.id})`);
+
+                send(client, { type: 'hostStatus', online: hostId !== null });
+                const host = clients.get(hostId);
+                if (host) {
+                    send(host, { type: 'stationJoined', clientId: client.id, station: client.station });
+                }
+            }
+            break;
+
+        case 'command': {
+            // Stations -> host
+            const host = clients.get(hostId);
+            if (client.role === 'station' && host) {
+                send(host, { type: 'command', station: client.station, name: msg.name, args: msg.args });
+            }
+            break;
+        }
+
+        case 'state':
+            // Host -> every station
+            if (client.id === hostId) {
+                clients.forEach(other => {
+                    if (other.role === 'station') send(other, msg);
+                });
+            }
+            break;
+    }
+}
+
+function handleDisconnect(client) {
+    if (!clients.has(client.id)) return;
+    clients.delete(client.id);
+
+    if (client.id === hostId) {
+        hostId = null;
+        console.log('Host disconnected');
+        clients.forEach(other => send(other, { type: 'hostStatus', online: false }));
+    } else if (client.role === 'station') {
+        console.log(`${client.station} station left (client ${client.id})`);
+        const host = clients.get(hostId);
+        if (host) {
+            send(host, { type: 'stationLeft', clientId: client.id, station: client.station });
+        }
+    }
+}
+
+function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = {
+        id: nextClientId++,
+        socket,
+        role: null,
+        station: null,
+        buffer: Buffer.alloc(0),
+        fragments: []
+    };
+    clients.set(client.id, client);
+
+    socket.on('data', (chunk) => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+
+        decodeFrames(client).forEach(frame => {
+            switch (frame.opcode) {
+                case 0x0: // Continuation
+                case 0x1: // Text
+                    client.fragments.push(frame.payload);
+                    if (frame.fin) {
+                        const text = Buffer.concat(client.fragments).toString('utf8');
+                        client.fragments = [];
+                        try {
+                            handleMessage(client, JSON.parse(text));
+                        } catch (e) {
+                            console.warn(`Ignoring malformed message from client ${client.id}:`, e.message);
+                        }
+                    }
+                    break;
+                case 0x8: // Close
+                    socket.end(encodeFrame('', 0x8));
+                    handleDisconnect(client);
+                    break;
+                case 0x9: // Ping
+                    socket.write(encodeFrame(frame.payload.toString('utf8'), 0xA));
+                    break;
+            }
+        });
+    });
+
+    socket.on('close', () => handleDisconnect(client));
+    socket.on('error', () => handleDisconnect(client));
+}
+
+const server = http.createServer(serveStatic);
+server.on('upgrade', handleUpgrade);
+server.listen(PORT, () => {
+    console.log(`WarpMe bridge relay running at http://localhost:${PORT}/`);
+    console.log(`  Host:     http://localhost:${PORT}/?role=host`);
+    console.log(`  Stations: http://localhost:${PORT}/?station=helm (tactical, weapons, helm, navigation, comms, engineering)`);
+});
@@ -0,0 +1,89 @@
+/**
+ * Simulation Tests
+ * Scripted combat and determinism checks against the real core, run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { gameState, createShip } from '../js/core/state.js';
+import { simulation } from '../js/core/simulation.js';
+import { validateScenario, initializeScenario } from '../js/core/scenario.js';
+import { rng } from '../js/core/random.js';
+
+const SCENARIOS = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'scenarios');
+
+function readScenario(file) {
+    return JSON.parse(fs.readFileSync(path.join(SCENARIOS, file), 'utf8'));
+}
+
+// An empty sector with a tough, harmless target dead ahead of the player
+function setUpRange(seed = 1) {
+    rng.setSeed(seed);
+    gameState.reset();
+    gameState.addShip(createShip({ id: 'target', faction: 'neutral', x: 300, y: 0, hull: 1000, maxHull: 1000, patrolPoints: [] }));
+    return gameState.getShip('target');
+}
+
+// Run the bundled patrol for a while and return everything a save would hold
+function runPatrol(seed, ticks) {
+    initializeScenario(readScenario('patrol.json'), seed);
+    simulation.step(ticks);
+    return JSON.stringify({ state: gameState.getSyncState(), random: rng.getState() });
+}
+
+test('every bundled scenario validates', () => {
+    fs.readdirSync(SCENARIOS).filter(file => file.endsWith('.json')).forEach(file => {
+        assert.deepEqual(validateScenario(readScenario(file)), [], file);
+    });
+});
+
+test('a torpedo hits a target ahead within 60 ticks', () => {
+    const target = setUpRange();
+    const hull = target.hull;
+
+    assert.equal(gameState.fireWeapon('torpedo', 'target'), true);
+    let ticks = 0;
+    while (gameState.projectiles.length > 0 && ticks < 60) {
+        simulation.step(1);
+        ticks++;
+    }
+
+    assert.equal(gameState.projectiles.length, 0, 'torpedo still in flight');
+    assert.ok(target.shields.fore < 100 || target.hull < hull, 'target took no damage');
+});
+
+test('phasers wait out their cooldown and charge', () => {
+    setUpRange();
+
+    assert.equal(gameState.fireWeapon('phaser', 'target'), true);
+    assert.equal(gameState.fireWeapon('phaser', 'target'), false);
+
+    simulation.step(30);
+    assert.equal(gameState.fireWeapon('phaser', 'target'), true);
+
+    // Back-to-back shots drain the charge faster than it refills
+    let shots = 0;
+    for (let i = 0; i < 300; i++) {
+        if (gameState.fireWeapon('phaser', 'target')) shots++;
+        simulation.step(1);
+    }
+    assert.ok(shots < 300 / 30, `${shots} shots in 300 ticks`);
+});
+
+test('the same seed plays out the same way', () => {
+    const first = runPatrol(42, 600);
+    const second = runPatrol(42, 600);
+    assert.equal(first, second);
+    assert.notEqual(runPatrol(7, 600), first);
+});
+
+test('step() stops once the mission is over', () => {
+    initializeScenario(readScenario('patrol.json'), 42);
+    gameState.damageShip(gameState.playerShip, 100000);
+    const endedAt = simulation.step(1);
+    assert.equal(gameState.missionStatus, 'defeat');
+    assert.equal(simulation.step(100), endedAt);
+});